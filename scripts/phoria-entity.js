@@ -68,12 +68,12 @@
        * processing cycle before the local matrix has been multipled by the parent matrix.
        * 
        * @param fn {function}    onBeforeSceneHandlers handler signature: function(Phoria.Scene, time) this = Phoria.Entity,
-       *                         accepts [] of functions also
+       *                         accepts [] of functions also - or behaviour references @see Phoria.Behaviours
        */
       onBeforeScene: function onBeforeScene(fn)
       {
          if (this.onBeforeSceneHandlers === null) this.onBeforeSceneHandlers = [];
-         this.onBeforeSceneHandlers = this.onBeforeSceneHandlers.concat(fn);
+         this.onBeforeSceneHandlers = this.onBeforeSceneHandlers.concat(Phoria.Behaviours.resolve(fn));
       },
 
       /**
@@ -81,12 +81,35 @@
        * local matrix has been multiplied by the parent matrix. 
        * 
        * @param fn {function}    onScene handler signature: function(Phoria.Scene, matLocal, time) this = Phoria.Entity,
-       *                         accepts [] of functions also
+       *                         accepts [] of functions also - or behaviour references @see Phoria.Behaviours
        */
       onScene: function onScene(fn)
       {
          if (this.onSceneHandlers === null) this.onSceneHandlers = [];
-         this.onSceneHandlers = this.onSceneHandlers.concat(fn);
+         this.onSceneHandlers = this.onSceneHandlers.concat(Phoria.Behaviours.resolve(fn));
+      },
+
+      /**
+       * Return a plain object description of the entity for JSON serialisation - called by JSON.stringify().
+       * The description matches the object literal accepted by the factory create() method of the entity type and
+       * records the type name so the entity can be reconstructed by Phoria.Scene.createFromJSON(). Subclasses extend
+       * the description with their own properties. The entity itself is not modified. Event handlers are described
+       * only if they were created from a named behaviour - @see Phoria.Behaviours
+       */
+      toJSON: function toJSON()
+      {
+         var desc = {
+            type: Phoria.Scene.getEntityType(this)
+         };
+         if (this.id) desc.id = this.id;
+         if (this.matrix) desc.matrix = Array.prototype.slice.call(this.matrix);
+         if (this.disabled) desc.disabled = true;
+         var handlers = Phoria.Behaviours.describe(this.onBeforeSceneHandlers);
+         if (handlers) desc.onBeforeScene = handlers;
+         handlers = Phoria.Behaviours.describe(this.onSceneHandlers);
+         if (handlers) desc.onScene = handlers;
+         desc.children = this.children;
+         return desc;
       },
 
       identity: function identity()
@@ -229,15 +252,24 @@ Phoria.CLIP_ARRAY_TYPE = (typeof Uint32Array !== 'undefined') ? Uint32Array : Ar
     *       emit: 0.0,                 // material emission (glow) 0-1
     *       opacity: 1.0,              // material opacity 0-1
     *       drawmode: "solid",         // one of "point", "wireframe", "solid"
-    *       shademode: "lightsource",  // one of "plain", "lightsource", "sprite", "callback" (only for point rendering)
+    *       shademode: "lightsource",  // one of "plain", "lightsource", "gouraud", "sprite", "callback" (only for point rendering)
+    *       creaseangle: 180,          // gouraud shading - polygons meeting at a greater angle (degrees) are not smoothed
     *       fillmode: "inflate",       // one of "fill", "filltwice", "inflate", "fillstroke", "hiddenline"
     *       objectsortmode: "sorted",  // coarse object sort - one of "sorted", "front", "back"
     *       geometrysortmode: "automatic",   // point, edge or polygon sorting mode - one of "sorted", "automatic", "none"
     *       linewidth: 1.0,            // wireframe line thickness
     *       linescale: 0.0,            // depth based scaling factor for wireframes - can be zero for no scaling
     *       doublesided: false,        // true to always render polygons - i.e. do not perform hidden surface test
-    *       texture: undefined         // default texture index to use for polygons if not specified - e.g. when UVs are used
+    *       castshadows: true,         // true to cast planar shadows from lights with shadows enabled
+    *       receiveshadows: false,     // true to receive planar shadows - the entity must be flat e.g. a floor plane
+    *       texture: undefined,        // default texture index to use for polygons if not specified - e.g. when UVs are used
+    *       texturemapping: "affine",  // one of "affine", "perspective" - perspective correct textures are subdivided
+    *       textureerror: 1.0          // perspective texture mapping - maximum error in pixels before a triangle is subdivided
     *    },
+    *    textures: [Image,...],       // list of texture images available to polygons
+    *    triangulate: false,          // true to triangulate polygons that are not triangles or convex quads
+    *    bsp: false,                  // true to build a BSP tree to depth sort the polygons of static geometry
+    *    pickbvh: false,              // true to pick the polygons through a bounding volume hierarchy - for large meshes
     *    onRender: function() {...}
     * }
     */
@@ -249,13 +281,16 @@ Phoria.CLIP_ARRAY_TYPE = (typeof Uint32Array !== 'undefined') ? Uint32Array : Ar
       if (desc.points) e.points = desc.points;
       if (desc.polygons) e.polygons = desc.polygons;
       if (desc.edges) e.edges = desc.edges;
+      if (desc.textures) e.textures = desc.textures;
       if (desc.style) Phoria.Util.combine(e.style, desc.style);
       if (desc.onRender) e.onRender(desc.onRender);
+      if (desc.triangulate) e.polygons = Phoria.Util.triangulate(e.polygons, e.points);
       
       // generate normals - can call generate...() if manually changing points/polys at runtime
+      // vertex normals are generated on demand when the entity is first processed with gouraud shading
       e.generatePolygonNormals();
-      // TODO: apply when gouraud shading for software rendering is added
-      //e.generateVertexNormals();
+      if (desc.bsp) e.generateBSP();
+      if (desc.pickbvh) e.pickbvh = true;
       
       return e;
    };
@@ -273,13 +308,18 @@ Phoria.CLIP_ARRAY_TYPE = (typeof Uint32Array !== 'undefined') ? Uint32Array : Ar
          specular: 0,
          drawmode: "solid",
          shademode: "lightsource",
+         creaseangle: 180,
          fillmode: "inflate",
          objectsortmode: "sorted",
          geometrysortmode: "automatic",
          linewidth: 1.0,
          linescale: 0.0,
          opacity: 1.0,
-         doublesided: false
+         doublesided: false,
+         castshadows: true,
+         receiveshadows: false,
+         texturemapping: "affine",
+         textureerror: 1.0
       };
       if (s) Phoria.Util.combine(style, s);
       return style;
@@ -308,21 +348,129 @@ Phoria.CLIP_ARRAY_TYPE = (typeof Uint32Array !== 'undefined') ? Uint32Array : Ar
       _cameracoords: null,
       _coords: null,
       _clip: null,
+      _clipped: false,
       _averagez: 0,
       _sorted: true,
       
+      // @private {Object} cached local bounds of the points - @see getLocalBounds()
+      _bounds: null,
+      
+      // @private {Array} vertex normals for gouraud shading - each polygon has a list of indexes into the normals
+      // for each of its vertices. @see generateVertexNormals()
+      _vertexNormals: null,
+      _worldVertexNormals: null,
+      // @private {Array} index of the point that each vertex normal belongs to
+      _vertexNormalPoints: null,
+      // @private {Number} crease angle the vertex normals were generated with
+      _vertexNormalsCrease: -1,
+      // @private {Array} lit brightness at each vertex normal - calculated by the renderer each frame
+      _vertexBrightness: null,
+      
+      // @private {Array} planar shadows projected onto a receiver entity for the current view - @see Phoria.Scene
+      _shadows: null,
+      
+      // @private {Object} root node of the BSP tree used to depth sort the polygons - @see generateBSP()
+      _bsp: null,
+      
+      // {boolean} true to pick the polygons through a bounding volume hierarchy of the world coordinates. The hierarchy
+      // is rebuilt when the entity is moved, so is best used for large meshes that are mostly static - @see getPickBVH()
+      pickbvh: false,
+      
+      // @private {Object} bounding volume hierarchy for picking with the matrix and points it was built from
+      _pickbvh: null,
+      
+      // @private {Object} world bounding sphere and local matrix combined with the parent matrices - as processed by
+      // the last call to Scene.modelView()
+      _worldbounds: null,
+      _worldmatrix: null,
+      
       /**
        * Add an onRender event handler function to the entity. Called if shademode="callback" for custom rendering.
        * 
        * @param fn {function}    onRender handler signature: function(ctx, x, y, w) this = Phoria.Entity,
-       *                         accepts [] of functions also
+       *                         accepts [] of functions also - or behaviour references @see Phoria.Behaviours
        */
       onRender: function onRender(fn)
       {
          if (this.onRenderHandlers === null) this.onRenderHandlers = [];
-         this.onRenderHandlers = this.onRenderHandlers.concat(fn);
+         this.onRenderHandlers = this.onRenderHandlers.concat(Phoria.Behaviours.resolve(fn));
       },
 
+      /**
+       * Return a plain object description of the entity for JSON serialisation. Private runtime values such as
+       * sort keys and transformed normals are removed from the edges and polygons - normals are regenerated by create().
+       * Textures are described by their image source URL.
+       */
+      toJSON: function toJSON()
+      {
+         var desc = Phoria.Entity.superclass.toJSON.call(this);
+         desc.points = this.points;
+         desc.edges = this.edges.map(function(edge) {
+            return Phoria.Util.stripPrivate(edge);
+         });
+         desc.polygons = this.polygons.map(function(poly) {
+            var p = Phoria.Util.stripPrivate(poly);
+            delete p.normal;
+            return p;
+         });
+         desc.style = this.style;
+         if (this.textures.length !== 0) desc.textures = this.textures.map(Phoria.Util.imageSource);
+         var handlers = Phoria.Behaviours.describe(this.onRenderHandlers);
+         if (handlers) desc.onRender = handlers;
+         if (this._bsp !== null) desc.bsp = true;
+         if (this.pickbvh) desc.pickbvh = true;
+         return desc;
+      },
+
+      /**
+       * Triangulate the polygons of the entity - polygons that are not triangles or convex quads are replaced by
+       * triangles. Renderers can only draw concave polygons and those with more than four vertices correctly once
+       * they are triangulated. Call after modifying the polygons at runtime if required.
+       */
+      triangulate: function triangulate()
+      {
+         this.polygons = Phoria.Util.triangulate(this.polygons, this.points);
+         this.generatePolygonNormals();
+         
+         // vertex normals and the picking hierarchy reference the polygons and are regenerated on demand
+         this._vertexNormals = null;
+         this._pickbvh = null;
+         
+         return this;
+      },
+      
+      /**
+       * Build a BSP tree for the polygons of the entity. The scene then sorts solid polygons by traversing the tree
+       * back-to-front from the camera position instead of by average depth - so interlocking and large polygons are
+       * drawn in the correct order. Polygons are triangulated where required and split where they cross the plane of
+       * another polygon, so the points and polygons of the entity are replaced.
+       * The tree is built once in local coordinates so is only suitable for static geometry - the entity can still be
+       * transformed by its matrix, but call again or clearBSP() after modifying the points or polygons at runtime.
+       */
+      generateBSP: function generateBSP()
+      {
+         var bsp = Phoria.Util.generateBSPTree(Phoria.Util.triangulate(this.polygons, this.points), this.points);
+         this.points = bsp.points;
+         this.polygons = bsp.polygons;
+         this._bsp = bsp.tree;
+         this._pickbvh = null;
+         this.generatePolygonNormals();
+         
+         // vertex normals reference the polygons and are regenerated on demand
+         this._vertexNormals = null;
+         
+         return this;
+      },
+      
+      /**
+       * Remove the BSP tree of the entity - polygons are then depth sorted by the style geometrysortmode.
+       */
+      clearBSP: function clearBSP()
+      {
+         this._bsp = null;
+         return this;
+      },
+      
       /**
        * Calculate and store the face normals for the entity
        */
@@ -352,6 +500,77 @@ Phoria.CLIP_ARRAY_TYPE = (typeof Uint32Array !== 'undefined') ? Uint32Array : Ar
          }
       },
       
+      /**
+       * Calculate the vertex normals used for gouraud shading. The normal at each vertex of a polygon is the average
+       * of the normals of the polygons sharing that vertex - excluding any polygon that meets it at a greater angle than
+       * the style creaseangle, so hard edges are kept. Vertices shared by polygons either side of a crease have a
+       * normal for each side. Generated on demand but should be called again if the points or polygons are modified.
+       * Polygon normals must have been generated first.
+       */
+      generateVertexNormals: function generateVertexNormals()
+      {
+         var points = this.points,
+             polygons = this.polygons,
+             creaseCos = Math.cos(Math.min(this.style.creaseangle, 180) * Phoria.RADIANS) - Phoria.EPSILON,
+             normals = [],
+             normalPoints = [];
+         
+         // list of the polygons that use each point
+         var pointPolys = new Array(points.length);
+         for (var i=0; i<points.length; i++) pointPolys[i] = [];
+         for (var i=0, vertices; i<polygons.length; i++)
+         {
+            vertices = polygons[i].vertices;
+            for (var j=0; j<vertices.length; j++) pointPolys[vertices[j]].push(i);
+         }
+         
+         // for each point generate the normals of the polygons using it - reuse identical normals at the point
+         for (var i=0; i<polygons.length; i++) polygons[i]._vertexnormals = new Array(polygons[i].vertices.length);
+         for (var p=0, polys, pointNormals; p<points.length; p++)
+         {
+            polys = pointPolys[p];
+            pointNormals = [];
+            for (var i=0, poly, normal, index; i<polys.length; i++)
+            {
+               poly = polygons[polys[i]];
+               normal = vec3.create();
+               for (var j=0, other; j<polys.length; j++)
+               {
+                  other = polygons[polys[j]];
+                  if (j === i || vec3.dot(poly.normal, other.normal) >= creaseCos)
+                  {
+                     vec3.add(normal, normal, other.normal);
+                  }
+               }
+               vec3.normalize(normal, normal);
+               
+               index = -1;
+               for (var k=0; k<pointNormals.length; k++)
+               {
+                  if (vec3.squaredDistance(normals[pointNormals[k]], normal) < Phoria.EPSILON)
+                  {
+                     index = pointNormals[k];
+                     break;
+                  }
+               }
+               if (index === -1)
+               {
+                  index = normals.length;
+                  normals.push(vec4.fromValues(normal[0], normal[1], normal[2], 0));
+                  normalPoints.push(p);
+                  pointNormals.push(index);
+               }
+               poly._vertexnormals[poly.vertices.indexOf(p)] = index;
+            }
+         }
+         
+         this._vertexNormals = normals;
+         this._vertexNormalPoints = normalPoints;
+         this._vertexNormalsCrease = this.style.creaseangle;
+         this._worldVertexNormals = new Array(normals.length);
+         for (var i=0; i<normals.length; i++) this._worldVertexNormals[i] = vec4.create();
+      },
+      
       /**
        * Init all the buffers needed by the entity during scene pipeline processing.
        * Buffers are re-allocated if the number of coordinates in the entity changes.
@@ -380,6 +599,119 @@ Phoria.CLIP_ARRAY_TYPE = (typeof Uint32Array !== 'undefined') ? Uint32Array : Ar
          }
       },
       
+      /**
+       * Return the bounding box and bounding sphere of the entity points in local coordinates. The bounds are cached
+       * with a copy of the point coordinates they were calculated from - and recalculated when the points list is
+       * replaced or any point has been modified in place since.
+       * 
+       * @return an object with properties; min {vec3}, max {vec3}, center {vec3}, radius
+       */
+      getLocalBounds: function getLocalBounds()
+      {
+         var points = this.points,
+             bounds = this._bounds,
+             valid = (bounds !== null && bounds.points === points && bounds.coords.length === points.length * 3);
+         // points modified in place must not leave stale bounds to wrongly cull the entity - compare with the copy
+         for (var i=0, j=0, p; valid && i<points.length; i++, j+=3)
+         {
+            p = points[i];
+            valid = (bounds.coords[j] === p.x && bounds.coords[j+1] === p.y && bounds.coords[j+2] === p.z);
+         }
+         if (!valid)
+         {
+            var min = vec3.create(),
+                max = vec3.create(),
+                center = vec3.create(),
+                radius = 0;
+            if (points.length !== 0)
+            {
+               vec3.set(min, points[0].x, points[0].y, points[0].z);
+               vec3.copy(max, min);
+               for (var i=1, p; i<points.length; i++)
+               {
+                  p = points[i];
+                  if (p.x < min[0]) min[0] = p.x;
+                  if (p.x > max[0]) max[0] = p.x;
+                  if (p.y < min[1]) min[1] = p.y;
+                  if (p.y > max[1]) max[1] = p.y;
+                  if (p.z < min[2]) min[2] = p.z;
+                  if (p.z > max[2]) max[2] = p.z;
+               }
+               // sphere around the centre of the box - enclosing the point furthest from the centre
+               vec3.lerp(center, min, max, 0.5);
+               for (var i=0, p, dx, dy, dz; i<points.length; i++)
+               {
+                  p = points[i];
+                  dx = p.x - center[0];
+                  dy = p.y - center[1];
+                  dz = p.z - center[2];
+                  radius = Math.max(radius, dx*dx + dy*dy + dz*dz);
+               }
+               radius = Math.sqrt(radius);
+            }
+            var coords = new Float64Array(points.length * 3);
+            for (var i=0, p; i<points.length; i++)
+            {
+               p = points[i];
+               coords[i*3] = p.x;
+               coords[i*3+1] = p.y;
+               coords[i*3+2] = p.z;
+            }
+            bounds = this._bounds = {
+               min: min,
+               max: max,
+               center: center,
+               radius: radius,
+               points: points,
+               coords: coords
+            };
+         }
+         return bounds;
+      },
+      
+      /**
+       * Discard the cached local bounds and picking hierarchy of the entity - they are otherwise recalculated when the
+       * points are found to have changed.
+       */
+      invalidateBounds: function invalidateBounds()
+      {
+         this._bounds = null;
+         this._pickbvh = null;
+      },
+      
+      /**
+       * Return the bounding volume hierarchy of the polygons in world coordinates - as generated by
+       * Phoria.Util.generateBVH(). The hierarchy is built when first required after the scene has processed the entity
+       * and only rebuilt when the entity matrix, points or polygons change - points modified in place are detected by
+       * the local bounds of the entity, @see getLocalBounds(). The leaves reference the polygon objects, so the
+       * hierarchy is unaffected by the scene sorting the polygon list each frame.
+       * 
+       * @return root node of the hierarchy - or null if there are no polygons
+       */
+      getPickBVH: function getPickBVH()
+      {
+         var bvh = this._pickbvh,
+             matrix = this._worldmatrix,
+             valid = (bvh !== null && bvh.bounds === this.getLocalBounds() &&
+                      bvh.polygons === this.polygons && bvh.polygonCount === this.polygons.length &&
+                      (bvh.matrix === null) === (matrix === null));
+         for (var i=0; valid && matrix !== null && i<16; i++)
+         {
+            valid = (bvh.matrix[i] === matrix[i]);
+         }
+         if (!valid)
+         {
+            bvh = this._pickbvh = {
+               tree: Phoria.Util.generateBVH(this.polygons, this._worldcoords),
+               matrix: matrix !== null ? mat4.clone(matrix) : null,
+               bounds: this.getLocalBounds(),
+               polygons: this.polygons,
+               polygonCount: this.polygons.length
+            };
+         }
+         return bvh.tree;
+      },
+      
       /**
        * Return an object describing the bounding rectangle coordinates of the renderable object in screen coordinates.
        * @return an object with properties; minx, miny, maxx, maxy
@@ -405,6 +737,8 @@ Phoria.CLIP_ARRAY_TYPE = (typeof Uint32Array !== 'undefined') ? Uint32Array : Ar
       
       /**
        * Return an object describing the bounding cube coordinates of the entity in world coordinates.
+       * NOTE: world coordinates are only updated for entities that were inside the view frustum during the last frame
+       *       - @see Phoria.Scene.getWorldCoords() for entities that may have been culled.
        * @return an object with properties; minx, miny, minz, maxx, maxy, maxz
        */
       getWorldBounds: function getWorldBounds()
@@ -627,6 +961,19 @@ Phoria.CLIP_ARRAY_TYPE = (typeof Uint32Array !== 'undefined') ? Uint32Array : Ar
       {
          this._force = f;
       },
+
+      /**
+       * Return a plain object description of the entity for JSON serialisation.
+       */
+      toJSON: function toJSON()
+      {
+         var desc = Phoria.PhysicsEntity.superclass.toJSON.call(this);
+         desc.velocity = this.velocity;
+         desc.position = this.position;
+         if (this._force) desc.force = this._force;
+         desc.gravity = this.gravity;
+         return desc;
+      },
       
       /**
        * Scene handler to apply basic physics to the entity.
@@ -636,37 +983,41 @@ Phoria.CLIP_ARRAY_TYPE = (typeof Uint32Array !== 'undefined') ? Uint32Array : Ar
       applyPhysics: function applyPhysics(scene)
       {
          /**
-          * NOTE: Physics simulation is updated in real-time regardless of the FPS of
-          *       the rest of the animation - set to ideal time (in secs) to avoid glitches
+          * NOTE: Physics simulation is updated in fixed steps regardless of the FPS of
+          *       the rest of the animation - the scene clock provides the number of steps
+          *       to perform for this frame and the step time (in secs) to avoid glitches
           */
-         var time = 1000/60/1000;    // 60FPS in seconds
+         var time = scene.clock.step;
          var tt = time * time;
          
-         // apply impulse force if set then reset it to none
-         if (this._acceleration)
+         for (var s=0; s<scene.clock.steps; s++)
          {
-            this.velocity.x += (this._acceleration.x * tt);
-            this.velocity.y += (this._acceleration.y * tt);
-            this.velocity.z += (this._acceleration.z * tt);
-            this._acceleration = null;
-         }
-         // apply constant force
-         if (this._force)
-         {
-            this.velocity.x += (this._force.x * tt);
-            this.velocity.y += (this._force.y * tt);
-            this.velocity.z += (this._force.z * tt);
-         }
-         // apply constant gravity force if activated
-         if (this.gravity)
-         {
-            this.velocity.x += (Phoria.PhysicsEntity.GRAVITY.x * tt);
-            this.velocity.y += (Phoria.PhysicsEntity.GRAVITY.y * tt);
-            this.velocity.z += (Phoria.PhysicsEntity.GRAVITY.z * tt);
+            // apply impulse force if set then reset it to none
+            if (this._acceleration)
+            {
+               this.velocity.x += (this._acceleration.x * tt);
+               this.velocity.y += (this._acceleration.y * tt);
+               this.velocity.z += (this._acceleration.z * tt);
+               this._acceleration = null;
+            }
+            // apply constant force
+            if (this._force)
+            {
+               this.velocity.x += (this._force.x * tt);
+               this.velocity.y += (this._force.y * tt);
+               this.velocity.z += (this._force.z * tt);
+            }
+            // apply constant gravity force if activated
+            if (this.gravity)
+            {
+               this.velocity.x += (Phoria.PhysicsEntity.GRAVITY.x * tt);
+               this.velocity.y += (Phoria.PhysicsEntity.GRAVITY.y * tt);
+               this.velocity.z += (Phoria.PhysicsEntity.GRAVITY.z * tt);
+            }
+            
+            // apply current velocity to position
+            this.translate(vec3.fromXYZ(this.velocity));
          }
-         
-         // apply current velocity to position
-         this.translate(vec3.fromXYZ(this.velocity));
       },
 
       transformToScene: function transformToScene(scene, matLocal)
@@ -714,8 +1065,6 @@ Phoria.PhysicsEntity.GRAVITY = {x:0, y:-9.8, z:0};
       
       this.textures = [];
       
-      this._lastEmitTime = Date.now();
-      
       // add handler to emit particles
       this.onScene(this.emitParticles);
       
@@ -735,6 +1084,7 @@ Phoria.PhysicsEntity.GRAVITY = {x:0, y:-9.8, z:0};
     *    lifetimeRnd: Number,        // lifetime randomness to apply - default 0
     *    gravity: boolean            // true to apply gravity to particles - default true
     *    style: {...}                // particle rendering style (@see Phoria.Entity)
+    *    textures: [Image,...]       // texture images available to particles e.g. for "sprite" rendering
     *    onParticle: function() {...}// particle create callback function
     * }
     */
@@ -755,6 +1105,7 @@ Phoria.PhysicsEntity.GRAVITY = {x:0, y:-9.8, z:0};
       if (desc.lifetimeRnd) e.lifetimeRnd = desc.lifetimeRnd;
       if (desc.gravity !== undefined) e.gravity = desc.gravity;
       if (desc.style) Phoria.Util.combine(e.style, desc.style);
+      if (desc.textures) e.textures = desc.textures;
       if (desc.onParticle) e.onParticle(desc.onParticle);
       
       return e;
@@ -785,7 +1136,7 @@ Phoria.PhysicsEntity.GRAVITY = {x:0, y:-9.8, z:0};
       // {boolean} true to automatically apply gravity force to the particles, false otherwise
       gravity: false,
       
-      _lastEmitTime: 0,
+      _lastEmitTime: null,
 
       onParticleHandlers: null,
       
@@ -794,12 +1145,36 @@ Phoria.PhysicsEntity.GRAVITY = {x:0, y:-9.8, z:0};
        * before it is added to the emitter child list and begins it's lifecycle.
        * 
        * @param fn {function}    onParticle handler signature: function(particle) this = Phoria.EmitterEntity,
-       *                         accepts [] of functions also
+       *                         accepts [] of functions also - or behaviour references @see Phoria.Behaviours
        */
       onParticle: function onParticle(fn)
       {
          if (this.onParticleHandlers === null) this.onParticleHandlers = [];
-         this.onParticleHandlers = this.onParticleHandlers.concat(fn);
+         this.onParticleHandlers = this.onParticleHandlers.concat(Phoria.Behaviours.resolve(fn));
+      },
+
+      /**
+       * Return a plain object description of the emitter for JSON serialisation. The child particles are transient
+       * runtime objects generated by the emitter and are not included.
+       */
+      toJSON: function toJSON()
+      {
+         var desc = Phoria.EmitterEntity.superclass.toJSON.call(this);
+         delete desc.children;
+         desc.position = this.position;
+         desc.positionRnd = this.positionRnd;
+         desc.rate = this.rate;
+         desc.maximum = this.maximum;
+         desc.velocity = this.velocity;
+         desc.velocityRnd = this.velocityRnd;
+         desc.lifetime = this.lifetime;
+         desc.lifetimeRnd = this.lifetimeRnd;
+         desc.gravity = this.gravity;
+         desc.style = this.style;
+         if (this.textures.length !== 0) desc.textures = this.textures.map(Phoria.Util.imageSource);
+         var handlers = Phoria.Behaviours.describe(this.onParticleHandlers);
+         if (handlers) desc.onParticle = handlers;
+         return desc;
       },
       
       /**
@@ -814,7 +1189,9 @@ Phoria.PhysicsEntity.GRAVITY = {x:0, y:-9.8, z:0};
          //       if they are not - this calculation needs to be changed to keep track.
          
          // clean up expired particles - based on lifetime
-         var now = Date.now();
+         // the time in ms is provided by the scene clock - emission starts from the first frame the emitter is processed
+         var now = scene.clock.time * 1000;
+         if (this._lastEmitTime === null) this._lastEmitTime = now;
          for (var i=0, p; i<this.children.length; i++)
          {
             p = this.children[i];
@@ -890,12 +1267,60 @@ Phoria.PhysicsEntity.GRAVITY = {x:0, y:-9.8, z:0};
       return this;
    };
    
+   /**
+    * Apply the properties common to all lights from an object literal Light description to the given light:
+    * {
+    *    color: [0-1,0-1,0-1],
+    *    intensity: 0-1,
+    *    shadows: false,             // true to cast planar shadows onto entities with the receiveshadows style
+    *    shadowOpacity: 0.5,         // opacity of the shadows 0-1
+    *    shadowSoftness: 0           // blur radius in pixels of the shadow edges
+    * }
+    */
+   Phoria.BaseLight.create = function create(desc, e)
+   {
+      Phoria.BaseEntity.create(desc, e);
+      if (desc.color) e.color = desc.color;
+      if (desc.intensity !== undefined) e.intensity = desc.intensity;
+      if (desc.shadows !== undefined) e.shadows = desc.shadows;
+      if (desc.shadowOpacity !== undefined) e.shadowOpacity = desc.shadowOpacity;
+      if (desc.shadowSoftness !== undefined) e.shadowSoftness = desc.shadowSoftness;
+      
+      return e;
+   };
+   
    Phoria.Util.extend(Phoria.BaseLight, Phoria.BaseEntity, {
       // [r,g,b] - note! light colour component levels are specified from 0.0 - 1.0
       color: null,
       
       // {Number} light intensity typically between 0-1
-      intensity: 0.0
+      intensity: 0.0,
+      
+      // {boolean} true to cast planar shadows - only distant, point and spot lights cast shadows
+      shadows: false,
+      
+      // {Number} opacity of the shadows 0-1
+      shadowOpacity: 0.5,
+      
+      // {Number} blur radius in pixels of the shadow edges - zero for hard edged shadows
+      shadowSoftness: 0,
+
+      /**
+       * Return a plain object description of the light for JSON serialisation.
+       */
+      toJSON: function toJSON()
+      {
+         var desc = Phoria.BaseLight.superclass.toJSON.call(this);
+         desc.color = this.color;
+         desc.intensity = this.intensity;
+         if (this.shadows)
+         {
+            desc.shadows = this.shadows;
+            desc.shadowOpacity = this.shadowOpacity;
+            desc.shadowSoftness = this.shadowSoftness;
+         }
+         return desc;
+      }
    });
 })();
 
@@ -926,9 +1351,7 @@ Phoria.PhysicsEntity.GRAVITY = {x:0, y:-9.8, z:0};
    {
       // merge structures to generate entity
       var e = new Phoria.DistantLight();
-      Phoria.BaseEntity.create(desc, e);
-      if (desc.color) e.color = desc.color;
-      if (desc.intensity) e.intensity = desc.intensity;
+      Phoria.BaseLight.create(desc, e);
       if (desc.direction) e.direction = vec3.toXYZ(vec3.normalize(e.direction, vec3.fromXYZ(desc.direction)));
       
       return e;
@@ -939,6 +1362,13 @@ Phoria.PhysicsEntity.GRAVITY = {x:0, y:-9.8, z:0};
       direction: null,
       worlddirection: null,
       
+      toJSON: function toJSON()
+      {
+         var desc = Phoria.DistantLight.superclass.toJSON.call(this);
+         desc.direction = {x:this.direction.x, y:this.direction.y, z:this.direction.z};
+         return desc;
+      },
+
       transformToScene: function transformToScene()
       {
          this.worlddirection = vec3.fromValues(
@@ -983,13 +1413,11 @@ Phoria.PhysicsEntity.GRAVITY = {x:0, y:-9.8, z:0};
     *    attenuationFactor: "none"|"linear"|"squared"
     * }
     */
-   Phoria.PointLight.create = function create(desc)
+   Phoria.PointLight.create = function create(desc, e)
    {
       // merge structures to generate entity
-      var e = new Phoria.PointLight();
-      Phoria.BaseEntity.create(desc, e);
-      if (desc.color) e.color = desc.color;
-      if (desc.intensity) e.intensity = desc.intensity;
+      if (!e) e = new Phoria.PointLight();
+      Phoria.BaseLight.create(desc, e);
       if (desc.position) e.position = desc.position;
       if (desc.attenuation) e.attenuation = desc.attenuation;
       if (desc.attenuationFactor) e.attenuationFactor = desc.attenuationFactor;
@@ -1002,6 +1430,15 @@ Phoria.PhysicsEntity.GRAVITY = {x:0, y:-9.8, z:0};
       attenuation: 0,
       attenuationFactor: null,
       
+      toJSON: function toJSON()
+      {
+         var desc = Phoria.PointLight.superclass.toJSON.call(this);
+         desc.position = this.position;
+         desc.attenuation = this.attenuation;
+         desc.attenuationFactor = this.attenuationFactor;
+         return desc;
+      },
+
       transformToScene: function transformToScene(scene, matLocal, time)
       {
          // update worldposition position of light by local transformation -> world
@@ -1010,3 +1447,202 @@ Phoria.PhysicsEntity.GRAVITY = {x:0, y:-9.8, z:0};
    });
    Phoria.Util.augment(Phoria.PointLight, Phoria.PositionalAspect);
 })();
+
+(function() {
+   "use strict";
+
+   /**
+    * SpotLight models a light that has a position within the scene and shines in a direction - light eminates in a
+    * cone around the direction. Full brightness is within the inner cone angle and falls off smoothly to zero at the
+    * outer cone angle. The light position and direction are transformed by the entity matrix. Spot lights have the
+    * same attenuation over distance as point lights.
+    */
+   Phoria.SpotLight = function()
+   {
+      Phoria.SpotLight.superclass.constructor.call(this);
+      
+      // direction should be a normalised vector
+      this.direction = {x:0, y:0, z:1};
+      this.innerAngle = 20;
+      this.outerAngle = 30;
+      
+      return this;
+   };
+   
+   /**
+    * Factory create method - object literal Light descripton
+    * {
+    *    position: {x:0,y:0,z:0},
+    *    direction: {x:0,y:0,z:1},
+    *    innerAngle: 20,               // angle in degrees from the direction that receives full brightness
+    *    outerAngle: 30,               // angle in degrees from the direction beyond which nothing is lit
+    *    color: [0-1,0-1,0-1],
+    *    intensity: 0-1,
+    *    attenuation: 0-1,
+    *    attenuationFactor: "none"|"linear"|"squared"
+    * }
+    */
+   Phoria.SpotLight.create = function create(desc)
+   {
+      // merge structures to generate entity
+      var e = new Phoria.SpotLight();
+      Phoria.PointLight.create(desc, e);
+      if (desc.direction) e.direction = vec3.toXYZ(vec3.normalize(e.direction, vec3.fromXYZ(desc.direction)));
+      if (desc.innerAngle !== undefined) e.innerAngle = desc.innerAngle;
+      if (desc.outerAngle !== undefined) e.outerAngle = desc.outerAngle;
+      
+      return e;
+   };
+   
+   Phoria.Util.extend(Phoria.SpotLight, Phoria.PointLight, {
+      // light direction
+      direction: null,
+      worlddirection: null,
+      
+      // cone angles in degrees
+      innerAngle: 0,
+      outerAngle: 0,
+      
+      toJSON: function toJSON()
+      {
+         var desc = Phoria.SpotLight.superclass.toJSON.call(this);
+         desc.direction = {x:this.direction.x, y:this.direction.y, z:this.direction.z};
+         desc.innerAngle = this.innerAngle;
+         desc.outerAngle = this.outerAngle;
+         return desc;
+      },
+
+      transformToScene: function transformToScene(scene, matLocal, time)
+      {
+         // update worldposition position of light by local transformation -> world
+         this.updatePosition(matLocal);
+         
+         // the direction is rotated by the local transformation - but not translated
+         var dir = vec4.fromXYZ(this.direction, 0);
+         vec4.transformMat4(dir, dir, matLocal);
+         this.worlddirection = vec3.normalize(vec3.create(), vec3.fromValues(dir[0], dir[1], dir[2]));
+      },
+      
+      /**
+       * Return the brightness factor of the light cone in the given direction from the light.
+       * 
+       * @param vecFromLight {vec3}    Normalised direction from the light world position
+       * @return factor 0-1 - one within the inner cone, zero outside of the outer cone
+       */
+      coneFactor: function coneFactor(vecFromLight)
+      {
+         var cosOuter = Math.cos(this.outerAngle * Phoria.RADIANS),
+             cosInner = Math.cos(Math.min(this.innerAngle, this.outerAngle) * Phoria.RADIANS),
+             cosAngle = vec3.dot(vecFromLight, this.worlddirection);
+         if (cosAngle <= cosOuter) return 0;
+         if (cosAngle >= cosInner) return 1;
+         
+         // smooth falloff between the inner and outer cones
+         var t = (cosAngle - cosOuter) / (cosInner - cosOuter);
+         return t * t * (3 - 2 * t);
+      }
+   });
+})();
+
+
+(function() {
+   "use strict";
+
+   /**
+    * AmbientLight models light that has been scattered so much it has no position or direction - all surfaces are lit
+    * equally regardless of their orientation. Useful to ensure surfaces facing away from other lights are not black.
+    */
+   Phoria.AmbientLight = function()
+   {
+      Phoria.AmbientLight.superclass.constructor.call(this);
+      
+      this.intensity = 0.2;
+      
+      return this;
+   };
+   
+   /**
+    * Factory create method - object literal Light descripton
+    * {
+    *    color: [0-1,0-1,0-1],
+    *    intensity: 0-1
+    * }
+    */
+   Phoria.AmbientLight.create = function create(desc)
+   {
+      // merge structures to generate entity
+      var e = new Phoria.AmbientLight();
+      Phoria.BaseLight.create(desc, e);
+      
+      return e;
+   };
+   
+   Phoria.Util.extend(Phoria.AmbientLight, Phoria.BaseLight);
+})();
+
+
+(function() {
+   "use strict";
+
+   /**
+    * HemisphereLight models ambient light from the sky and ground. Surfaces facing the light direction (up to the sky)
+    * receive the sky colour, surfaces facing away receive the ground colour and the colours are blended in between.
+    * The light colour is the sky colour.
+    */
+   Phoria.HemisphereLight = function()
+   {
+      Phoria.HemisphereLight.superclass.constructor.call(this);
+      
+      // direction should be a normalised vector - pointing towards the sky
+      this.direction = {x:0, y:1, z:0};
+      this.groundColor = [0.5, 0.5, 0.5];
+      this.intensity = 0.5;
+      
+      // add scene handler to transform the light direction into world direction
+      this.onScene(this.transformToScene);
+      
+      return this;
+   };
+   
+   /**
+    * Factory create method - object literal Light descripton
+    * {
+    *    direction: {x:0,y:1,z:0},     // direction of the sky
+    *    color: [0-1,0-1,0-1],         // sky colour
+    *    groundColor: [0-1,0-1,0-1],   // ground colour
+    *    intensity: 0-1
+    * }
+    */
+   Phoria.HemisphereLight.create = function create(desc)
+   {
+      // merge structures to generate entity
+      var e = new Phoria.HemisphereLight();
+      Phoria.BaseLight.create(desc, e);
+      if (desc.groundColor) e.groundColor = desc.groundColor;
+      if (desc.direction) e.direction = vec3.toXYZ(vec3.normalize(e.direction, vec3.fromXYZ(desc.direction)));
+      
+      return e;
+   };
+   
+   Phoria.Util.extend(Phoria.HemisphereLight, Phoria.BaseLight, {
+      // [r,g,b] ground colour - components specified from 0.0 - 1.0
+      groundColor: null,
+      
+      // sky direction
+      direction: null,
+      worlddirection: null,
+      
+      toJSON: function toJSON()
+      {
+         var desc = Phoria.HemisphereLight.superclass.toJSON.call(this);
+         desc.groundColor = this.groundColor;
+         desc.direction = {x:this.direction.x, y:this.direction.y, z:this.direction.z};
+         return desc;
+      },
+
+      transformToScene: function transformToScene()
+      {
+         this.worlddirection = vec3.fromXYZ(this.direction);
+      }
+   });
+})();
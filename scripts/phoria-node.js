@@ -0,0 +1,50 @@
+/**
+ * @fileoverview phoria - Node.js loader. The library scripts are written for the browser and share the global
+ * Phoria namespace and glMatrix types - so they are evaluated in the global context in the same order as the
+ * script tags of a page. Only features that do not need a DOM are available e.g. render with a SoftwareRenderer
+ * to a Phoria.Framebuffer:
+ *
+ *    var Phoria = require("./scripts/phoria-node.js");
+ *    var renderer = new Phoria.SoftwareRenderer(new Phoria.Framebuffer(256, 256));
+ */
+
+(function() {
+   "use strict";
+
+   var fs = require("fs"),
+       path = require("path"),
+       vm = require("vm");
+
+   // library scripts in dependency order - gl-matrix is a UMD module, so would export its namespaces to the CommonJS
+   // exports global defined by the REPL and node -e rather than define them in the global context as in a browser
+   var scripts = [
+      {file: "gl-matrix.js", umd: true},
+      {file: "phoria-util.js"},
+      {file: "phoria-entity.js"},
+      {file: "phoria-scene.js"},
+      {file: "phoria-renderer.js"},
+      {file: "phoria-view.js"}
+   ];
+
+   // only load once - the namespace is global so is shared by every require()
+   if (typeof Phoria === "undefined")
+   {
+      for (var i=0, file, src; i<scripts.length; i++)
+      {
+         file = path.join(__dirname, scripts[i].file);
+         src = fs.readFileSync(file, "utf8");
+         if (scripts[i].umd)
+         {
+            // hide any module globals from the script - the wrapper is on the first line to keep the line numbers
+            vm.runInThisContext("(function(exports, module, define) {" + src + "\n})", {filename: file}).call(global);
+         }
+         else
+         {
+            // the Phoria scripts declare the namespace with a top level var - so must be evaluated as is
+            vm.runInThisContext(src, {filename: file});
+         }
+      }
+   }
+
+   module.exports = Phoria;
+})();
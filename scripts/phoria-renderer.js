@@ -54,7 +54,99 @@
             });
          }
       },
+      
+      /**
+       * Return the RGBA pixels of the last rendered frame.
+       * 
+       * @return object with properties; width, height, data - e.g. an ImageData
+       */
+      getImageData: function getImageData()
+      {
+         return this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
+      },
+      
+      /**
+       * Encode the last rendered frame as a PNG image - @see Phoria.PNG
+       * 
+       * @param dataURL {boolean}   True to return a base64 data URL - else the PNG file bytes are returned
+       * @return PNG file bytes {Uint8Array} or data URL {String}
+       */
+      snapshot: function snapshot(dataURL)
+      {
+         var png = Phoria.PNG.encode(this.getImageData());
+         return dataURL ? Phoria.PNG.toDataURL(png) : png;
+      },
+
+      /**
+       * Calculate the brightness at each vertex normal of an entity for gouraud shading. The result is stored on the
+       * entity to be used by each polygon sharing the vertices.
+       * 
+       * @param obj {Phoria.Entity}    Entity processed by the scene with gouraud shading
+       * @param scene {Phoria.Scene}   Scene - lights and current camera position are queried from here
+       */
+      calcVertexBrightness: function calcVertexBrightness(obj, scene)
+      {
+         var normals = obj._worldVertexNormals,
+             points = obj._vertexNormalPoints;
+         if (normals === null) return;
+         if (!obj._vertexBrightness || obj._vertexBrightness.length !== normals.length)
+         {
+            obj._vertexBrightness = new Array(normals.length);
+         }
+         for (var i=0; i<normals.length; i++)
+         {
+            obj._vertexBrightness[i] = this.calcNormalBrightness(obj._worldcoords[points[i]], normals[i], scene, obj);
+         }
+      },
 
+      /**
+       * Calculate the gouraud shaded colour at each vertex of a polygon from the vertex brightness of the entity.
+       * The colours of a polygon that has been clipped are interpolated for the vertices generated by clipping.
+       * 
+       * @param obj {Phoria.Entity}    Entity - calcVertexBrightness() must have been called for the current frame
+       * @param poly {Object}          Polygon
+       * @param color {Array}          RGB colour of the polygon
+       * @param emit {Number}          Material emission
+       * @return Array of RGB colours in the 0-255 range - one for each vertex rendered. The fourth component of each
+       *         colour is the opacity of the lit colour when shading a texture.
+       */
+      calcVertexColors: function calcVertexColors(obj, poly, color, emit)
+      {
+         var normals = poly._vertexnormals,
+             colors = new Array(normals.length);
+         for (var i=0, rgb; i<normals.length; i++)
+         {
+            rgb = obj._vertexBrightness[normals[i]];
+            colors[i] = [
+               Math.min(Math.ceil(rgb[0]*color[0] + color[0]*emit), 255),
+               Math.min(Math.ceil(rgb[1]*color[1] + color[1]*emit), 255),
+               Math.min(Math.ceil(rgb[2]*color[2] + color[2]*emit), 255),
+               1.0 - Math.min(rgb[0]*0.3 + rgb[1]*0.6 + rgb[2]*0.1, 1.0)
+            ];
+         }
+         
+         // blend the colours of the original vertices for each clip vertex
+         var weights = poly._clipvertices ? poly._clipweights : null;
+         if (weights)
+         {
+            var clipped = new Array(weights.length);
+            for (var i=0, w, c; i<weights.length; i++)
+            {
+               w = weights[i];
+               c = clipped[i] = [0, 0, 0, 0];
+               for (var j=0; j<w.length; j++)
+               {
+                  c[0] += colors[j][0] * w[j];
+                  c[1] += colors[j][1] * w[j];
+                  c[2] += colors[j][2] * w[j];
+                  c[3] += colors[j][3] * w[j];
+               }
+            }
+            colors = clipped;
+         }
+         return colors;
+      },
+      
       /**
        * Calculate brightness for the normal based on a set of lights
        * 
@@ -91,8 +183,15 @@
                // distance falloff calculation - each light is additive to the total
                var vecToLight = vec3.subtract(vec3.create(), position, light.worldposition),
                    distance = vec3.length(vecToLight),
-                   attenuation;
+                   attenuation, cone = 1;
                vec3.normalize(vecToLight, vecToLight);
+               
+               // Spot lights are point lights that only light positions within a cone around the light direction
+               if (light instanceof Phoria.SpotLight)
+               {
+                  cone = light.coneFactor(vecToLight);
+                  if (cone === 0) continue;
+               }
                var dotVP = vec3.dot(normal, vec3.negate(vecToLight, vecToLight));
                
                // don't waste any more time calculating if the dot product is negative i.e. > 90 degrees
@@ -117,13 +216,29 @@
                {
                   var halfV = vec3.add(vec3.create(), vecToLight, scene._cameraPosition),
                       dotHV = vec3.dot(normal, vec3.normalize(halfV, halfV)),
-                      pf = Math.pow(dotHV, obj.style.specular) * light.intensity / attenuation;
+                      pf = Math.pow(dotHV, obj.style.specular) * cone * light.intensity / attenuation;
                   rgb[0] += pf * light.color[0];
                   rgb[1] += pf * light.color[1];
                   rgb[2] += pf * light.color[2];
                }
                
-               brightness = obj.style.diffuse * dotVP * light.intensity / attenuation;
+               brightness = obj.style.diffuse * dotVP * cone * light.intensity / attenuation;
+            }
+            else if (light instanceof Phoria.AmbientLight)
+            {
+               // Ambient lights have no position or direction - all surfaces receive the same light
+               brightness = obj.style.diffuse * light.intensity;
+            }
+            else if (light instanceof Phoria.HemisphereLight)
+            {
+               // Hemisphere lights blend from the sky colour for normals facing the light direction to the ground
+               // colour for normals facing away from it
+               var sky = (vec3.dot(normal, light.worlddirection) + 1) * 0.5;
+               brightness = obj.style.diffuse * light.intensity;
+               rgb[0] += brightness * (light.groundColor[0] + (light.color[0] - light.groundColor[0]) * sky);
+               rgb[1] += brightness * (light.groundColor[1] + (light.color[1] - light.groundColor[1]) * sky);
+               rgb[2] += brightness * (light.groundColor[2] + (light.color[2] - light.groundColor[2]) * sky);
+               continue;
             }
             
             // apply each colour component based on light levels (0.0 to 1.0)
@@ -159,9 +274,16 @@
                // Point lights have a position and a fall-off known as attenuation
                var vecToLight = vec3.subtract(vec3.create(), position, light.worldposition),
                    distance = vec3.length(vecToLight),
-                   attenuation;
+                   attenuation, cone = 1;
                vec3.normalize(vecToLight, vecToLight);
                
+               // Spot lights only light positions within a cone around the light direction
+               if (light instanceof Phoria.SpotLight)
+               {
+                  cone = light.coneFactor(vecToLight);
+                  if (cone === 0) continue;
+               }
+               
                switch (light.attenuationFactor)
                {
                   case "linear":
@@ -180,7 +302,21 @@
                //       are lit by the same light - other options would be to properly calculate the lighting
                //       normal based on the polygons that share the edges - this would mean more complicated
                //       object descriptions - but provide much more accurate wireframe/point lighting...
-               brightness = light.intensity / (attenuation * 2);
+               brightness = cone * light.intensity / (attenuation * 2);
+            }
+            else if (light instanceof Phoria.AmbientLight)
+            {
+               // Ambient lights have no position or direction
+               brightness = light.intensity;
+            }
+            else if (light instanceof Phoria.HemisphereLight)
+            {
+               // with no normal to compare against the light direction an even blend of sky and ground is used
+               brightness = light.intensity * 0.5;
+               rgb[0] += brightness * (light.color[0] + light.groundColor[0]);
+               rgb[1] += brightness * (light.color[1] + light.groundColor[1]);
+               rgb[2] += brightness * (light.color[2] + light.groundColor[2]);
+               continue;
             }
             
             // apply each colour component based on light levels (0.0 to 1.0)
@@ -190,7 +326,233 @@
          }
          return rgb;
       },
+      
+      /**
+       * Calculate the amount of distance fog at a screen coordinate from the scene fog settings. The camera space
+       * depth is recovered from the clip z and w components of the coordinate rather than read from the camera
+       * coordinates of the entity, as vertices generated by clipping a polygon only have screen coordinates.
+       * 
+       * @param scene {Phoria.Scene}   Scene - fog settings and the current perspective matrix are queried from here
+       * @param coord {vec4}           Screen coordinate with the clip z and w components - as generated by the scene
+       * @return amount of fog 0-1 - zero for no fog
+       */
+      calcFog: function calcFog(scene, coord)
+      {
+         var fog = scene.fog;
+         if (fog.mode !== "linear" && fog.mode !== "exponential") return 0;
+         
+         // perspective projection has w = -z in camera space - orthographic projection has a linear z
+         var m = scene._perspectiveMatrix,
+             depth = (m[11] !== 0 ? -(coord[3] - m[15]) / m[11] : -(coord[2] - m[14]) / m[10]);
+         if (fog.mode === "linear")
+         {
+            if (fog.end <= fog.start) return (depth >= fog.end ? 1 : 0);
+            return Math.max(Math.min((depth - fog.start) / (fog.end - fog.start), 1), 0);
+         }
+         return (depth > 0 ? 1 - Math.exp(-fog.density * depth) : 0);
+      },
+      
+      /**
+       * Blend an RGB colour towards the scene fog colour.
+       * 
+       * @param scene {Phoria.Scene}   Scene - fog colour is queried from here
+       * @param rgb {Array}            RGB colour in the 0-255 range
+       * @param amount {Number}        Amount of fog 0-1 - @see calcFog()
+       * @return new RGB colour array
+       */
+      applyFog: function applyFog(scene, rgb, amount)
+      {
+         var color = scene.fog.color;
+         return [
+            rgb[0] + (color[0] - rgb[0]) * amount,
+            rgb[1] + (color[1] - rgb[1]) * amount,
+            rgb[2] + (color[2] - rgb[2]) * amount
+         ];
+      },
 
+      /**
+       * Return the triangles used to render a polygon with the given list of vertices. Clipped polygons are convex and
+       * are split into a fan of triangles. Other polygons with more than three vertices are triangulated once and the
+       * result is cached on the polygon - so concave polygons are rendered correctly.
+       * 
+       * @param obj {Phoria.Entity}    Entity the polygon belongs to
+       * @param poly {Object}          Polygon to render
+       * @param vertices {Array}       Vertex list being rendered - the polygon vertices or the clipped vertices
+       * @return Array of indices into the vertices list - three for each triangle in the polygon winding order
+       */
+      getPolygonTriangles: function getPolygonTriangles(obj, poly, vertices)
+      {
+         if (vertices.length === 3) return [0, 1, 2];
+         if (vertices === poly.vertices)
+         {
+            if (poly._triangles === undefined || poly._triangles === null || poly._trianglevertices !== vertices)
+            {
+               poly._triangles = Phoria.Util.triangulateIndices(vertices, obj.points);
+               poly._trianglevertices = vertices;
+            }
+            return poly._triangles;
+         }
+         var triangles = [];
+         for (var k=1; k<vertices.length-1; k++)
+         {
+            triangles.push(0, k, k+1);
+         }
+         return triangles;
+      },
+      
+      /**
+       * Approximate gouraud shading of a polygon with a canvas linear gradient fill. The canvas cannot interpolate
+       * colours between three points, so the gradient follows the direction of greatest change in brightness across
+       * the first triangle of the polygon - the colour at each end is taken from the linear colour planes of that
+       * triangle. A flat colour is returned if there is no significant change in brightness.
+       * 
+       * @param ctx {Object}          Canvas context - or any object that provides a canvas style createLinearGradient()
+       * @param coords {Array}        Screen coordinates
+       * @param vertices {Array}      Polygon vertex indexes into the screen coordinates
+       * @param colors {Array}        RGB colour of each vertex - @see calcVertexColors()
+       * @param opacity {Number}      Polygon opacity
+       * @return canvas gradient or colour style string
+       */
+      createGouraudFill: function createGouraudFill(ctx, coords, vertices, colors, opacity)
+      {
+         var p0 = coords[vertices[0]], p1 = coords[vertices[1]], p2 = coords[vertices[2]],
+             ex1 = p1[0] - p0[0], ey1 = p1[1] - p0[1],
+             ex2 = p2[0] - p0[0], ey2 = p2[1] - p0[1],
+             area = ex1 * ey2 - ex2 * ey1;
+         
+         // gradient of a value across the plane of the triangle in screen space
+         var fnGradient = function(a0, a1, a2) {
+            return [((a1 - a0) * ey2 - (a2 - a0) * ey1) / area, (ex1 * (a2 - a0) - ex2 * (a1 - a0)) / area];
+         };
+         var fnStyle = function(c) {
+            return "rgba(" + Math.round(c[0]) + "," + Math.round(c[1]) + "," + Math.round(c[2]) + "," + opacity + ")";
+         };
+         
+         // luminance of each vertex colour
+         var l0 = colors[0][0]*0.3 + colors[0][1]*0.6 + colors[0][2]*0.1,
+             l1 = colors[1][0]*0.3 + colors[1][1]*0.6 + colors[1][2]*0.1,
+             l2 = colors[2][0]*0.3 + colors[2][1]*0.6 + colors[2][2]*0.1,
+             lg = area !== 0 ? fnGradient(l0, l1, l2) : [0, 0],
+             len = Math.sqrt(lg[0]*lg[0] + lg[1]*lg[1]);
+         
+         // project the polygon onto the gradient direction to find the extent of the fill
+         var tmin = 0, tmax = 0;
+         if (len !== 0)
+         {
+            lg[0] /= len; lg[1] /= len;
+            for (var i=1, t; i<vertices.length; i++)
+            {
+               t = (coords[vertices[i]][0] - p0[0]) * lg[0] + (coords[vertices[i]][1] - p0[1]) * lg[1];
+               if (t < tmin) tmin = t;
+               if (t > tmax) tmax = t;
+            }
+         }
+         if (len * (tmax - tmin) < 1)
+         {
+            // flat fill with the average colour
+            var avg = [0,0,0];
+            for (var i=0; i<colors.length; i++)
+            {
+               avg[0] += colors[i][0]; avg[1] += colors[i][1]; avg[2] += colors[i][2];
+            }
+            return fnStyle(vec3.scale(avg, avg, 1 / colors.length));
+         }
+         
+         // colour at each end of the gradient from the colour planes of the triangle
+         var rg = fnGradient(colors[0][0], colors[1][0], colors[2][0]),
+             gg = fnGradient(colors[0][1], colors[1][1], colors[2][1]),
+             bg = fnGradient(colors[0][2], colors[1][2], colors[2][2]);
+         var fnColor = function(t) {
+            var dx = lg[0] * t, dy = lg[1] * t;
+            return [
+               Math.max(Math.min(colors[0][0] + rg[0] * dx + rg[1] * dy, 255), 0),
+               Math.max(Math.min(colors[0][1] + gg[0] * dx + gg[1] * dy, 255), 0),
+               Math.max(Math.min(colors[0][2] + bg[0] * dx + bg[1] * dy, 255), 0)
+            ];
+         };
+         var gradient = ctx.createLinearGradient(
+            p0[0] + lg[0] * tmin, p0[1] + lg[1] * tmin,
+            p0[0] + lg[0] * tmax, p0[1] + lg[1] * tmax);
+         gradient.addColorStop(0, fnStyle(fnColor(tmin)));
+         gradient.addColorStop(1, fnStyle(fnColor(tmax)));
+         return gradient;
+      },
+      
+      /**
+       * Calculate the affine transformation matrix that maps a texture image onto a screen space triangle.
+       * Textured triangle transformation code originally by Thatcher Ulrich.
+       * 
+       * @param vs {Array}    Screen coordinates of the three triangle vertices
+       * @param sx0..sy2      Texture image coordinates in pixels of each vertex
+       * @return matrix as [m11, m12, m21, m22, dx, dy] - in the argument order of the canvas transform()
+       */
+      calcTextureTransform: function calcTextureTransform(vs, sx0, sy0, sx1, sy1, sx2, sy2)
+      {
+         var x0 = vs[0][0], y0 = vs[0][1],
+             x1 = vs[1][0], y1 = vs[1][1],
+             x2 = vs[2][0], y2 = vs[2][1];
+         
+         // collapse terms
+         var denom = 1.0 / (sx0 * (sy2 - sy1) - sx1 * sy2 + sx2 * sy1 + (sx1 - sx2) * sy0);
+         // calculate context transformation matrix
+         return [
+            - (sy0 * (x2 - x1) - sy1 * x2 + sy2 * x1 + (sy1 - sy2) * x0) * denom,
+            (sy1 * y2 + sy0 * (y1 - y2) - sy2 * y1 + (sy2 - sy1) * y0) * denom,
+            (sx0 * (x2 - x1) - sx1 * x2 + sx2 * x1 + (sx1 - sx2) * x0) * denom,
+            - (sx1 * y2 + sx0 * (y1 - y2) - sx2 * y1 + (sx2 - sx1) * y0) * denom,
+            (sx0 * (sy2 * x1 - sy1 * x2) + sy0 * (sx1 * x2 - sx2 * x1) + (sx2 * sy1 - sx1 * sy2) * x0) * denom,
+            (sx0 * (sy2 * y1 - sy1 * y2) + sy0 * (sx1 * y2 - sx2 * y1) + (sx2 * sy1 - sx1 * sy2) * y0) * denom
+         ];
+      },
+      
+      /**
+       * Split a textured triangle for perspective correct texture mapping. If the style texturemapping is "perspective"
+       * the triangle is subdivided in screen space until the error of the affine mapping used to draw each part is within
+       * the style textureerror threshold - the callback is then called to draw each part with an affine mapping.
+       * 
+       * @param style {Object}   Entity style
+       * @param c0..c2 {vec4}    Screen coordinates of the vertices with the homogeneous w coordinate
+       * @param t0..t2 {Array}   Texture coordinates of the vertices
+       * @param fn {function}    Called with the screen and texture coordinates of each triangle to draw - fn(c0, c1, c2, t0, t1, t2)
+       */
+      splitTextureTriangle: function splitTextureTriangle(style, c0, c1, c2, t0, t1, t2, fn)
+      {
+         var perspective = (style.texturemapping === "perspective"),
+             threshold = style.textureerror;
+         // the distance between the affine and the true midpoint of an edge grows with the variation in depth
+         var fError = function(a, b)
+         {
+            if (a[3] <= 0 || b[3] <= 0) return 0;
+            var dx = b[0] - a[0], dy = b[1] - a[1];
+            return Math.sqrt(dx*dx + dy*dy) * Math.abs(b[3] - a[3]) / (2 * (a[3] + b[3]));
+         };
+         // projected midpoint of an edge - screen coordinates are weighted by the homogeneous w coordinates
+         var fMidpoint = function(a, b)
+         {
+            var w = a[3] + b[3];
+            return [(a[0]*a[3] + b[0]*b[3]) / w, (a[1]*a[3] + b[1]*b[3]) / w, (a[2] + b[2]) * 0.5, w * 0.5];
+         };
+         var fSplit = function(c0, c1, c2, t0, t1, t2, depth)
+         {
+            if (perspective && depth < 4 && threshold > 0 &&
+                Math.max(fError(c0, c1), fError(c1, c2), fError(c2, c0)) > threshold)
+            {
+               // split into four at the projected midpoints of the edges
+               var c01 = fMidpoint(c0, c1), c12 = fMidpoint(c1, c2), c20 = fMidpoint(c2, c0),
+                   t01 = [(t0[0] + t1[0]) * 0.5, (t0[1] + t1[1]) * 0.5],
+                   t12 = [(t1[0] + t2[0]) * 0.5, (t1[1] + t2[1]) * 0.5],
+                   t20 = [(t2[0] + t0[0]) * 0.5, (t2[1] + t0[1]) * 0.5];
+               fSplit(c0, c01, c20, t0, t01, t20, depth + 1);
+               fSplit(c01, c1, c12, t01, t1, t12, depth + 1);
+               fSplit(c20, c12, c2, t20, t12, t2, depth + 1);
+               fSplit(c01, c12, c20, t01, t12, t20, depth + 1);
+               return;
+            }
+            fn(c0, c1, c2, t0, t1, t2);
+         };
+         fSplit(c0, c1, c2, t0, t1, t2, 0);
+      },
+      
       /**
        * Inflate the vertices of a polygon - see inflatePolygonFull() below for a richer impl - this
        * algorithm is not quite as neat and suffers when the camera lines up exactly with perpendicular
@@ -351,21 +713,45 @@
       {
          this.sortObjects(scene);
          
+         // a scene projected through a named camera is only drawn within the viewport of the view
+         // so multiple views can be rendered to the same canvas - @see Phoria.Scene.viewFrom()
+         var ctx = this.ctx,
+             vp = scene._view !== null ? scene._view.viewport : null;
+         if (vp)
+         {
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(vp.x, vp.y, vp.width, vp.height);
+            ctx.clip();
+         }
+         
          // clear the canvas before rendering begins - optional clearing function can be supplied
-         var ctx = this.ctx;
          if (!fnClear)
          {
-            ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+            if (vp) ctx.clearRect(vp.x, vp.y, vp.width, vp.height);
+            else ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
          }
          else
          {
             fnClear.call(this, ctx);
          }
          
+         // entities that receive shadows are rendered first so the shadows drawn over them are beneath the casters
+         var renderlist = scene.renderlist;
+         for (var n=0; n<renderlist.length; n++)
+         {
+            if (renderlist[n]._shadows)
+            {
+               renderlist = renderlist.filter(function(obj) {return obj._shadows;}).concat(
+                            renderlist.filter(function(obj) {return !obj._shadows;}));
+               break;
+            }
+         }
+         
          // scene performs all local, world and projection calculations and flattens the rendering list ready for rendering.
-         for (var n=0, obj; n<scene.renderlist.length; n++)
+         for (var n=0, obj; n<renderlist.length; n++)
          {
-            obj = scene.renderlist[n];
+            obj = renderlist[n];
 
             ctx.save();
             if (obj.style.compositeOperation)
@@ -376,6 +762,9 @@
             {
                case "solid":
                {
+                  // calculate the lighting at each vertex once for all the polygons
+                  if (obj.style.shademode === "gouraud") this.calcVertexBrightness(obj, scene);
+                  
                   // ensure line width is set if appropriate fillmode is being used
                   if (obj.style.fillmode === "fillstroke" || obj.style.fillmode === "hiddenline") ctx.lineWidth = 1.0;
                   
@@ -384,6 +773,9 @@
                   {
                      this.renderPolygon(ctx, obj, scene, obj.polygons[i]);
                   }
+                  
+                  // planar shadows projected onto the entity by the scene
+                  if (obj._shadows) this.renderShadows(ctx, obj);
                   break;
                }
                
@@ -391,8 +783,9 @@
                {
                   ctx.lineWidth = obj.style.linewidth;
                   ctx.globalAlpha = obj.style.opacity;
-                  if (obj.style.shademode === "plain")
+                  if (obj.style.shademode === "plain" && scene.fog.mode === "none")
                   {
+                     // a single path for all edges - fogged edges each have their own colour
                      ctx.strokeStyle = "rgb(" + obj.style.color[0] + "," + obj.style.color[1] + "," + obj.style.color[2] + ")";
                      ctx.beginPath();
                      for (var i=0; i<obj.edges.length; i++)
@@ -440,6 +833,8 @@
             }
             ctx.restore();
          }
+         
+         if (vp) ctx.restore();
       },
 
       renderPoint: function renderPoint(ctx, obj, scene, coord, index)
@@ -459,6 +854,11 @@
          {
             case "plain":
             {
+               if (scene.fog.mode !== "none")
+               {
+                  var rgb = this.applyFog(scene, obj.style.color, this.calcFog(scene, obj._coords[index]));
+                  ctx.fillStyle = "rgb(" + Math.round(rgb[0]) + "," + Math.round(rgb[1]) + "," + Math.round(rgb[2]) + ")";
+               }
                ctx.beginPath();
                ctx.arc(coord[0], coord[1], w, 0, Phoria.TWOPI, true);
                ctx.closePath();
@@ -489,9 +889,11 @@
             {
                // lighting calc
                var rgb = this.calcPositionBrightness(obj._worldcoords[index], scene.lights);
-               ctx.fillStyle = "rgb(" + Math.min(Math.ceil(rgb[0] * obj.style.color[0]),255) + "," +
-                                        Math.min(Math.ceil(rgb[1] * obj.style.color[1]),255) + "," +
-                                        Math.min(Math.ceil(rgb[2] * obj.style.color[2]),255) + ")";
+               rgb = [Math.min(Math.ceil(rgb[0] * obj.style.color[0]),255),
+                      Math.min(Math.ceil(rgb[1] * obj.style.color[1]),255),
+                      Math.min(Math.ceil(rgb[2] * obj.style.color[2]),255)];
+               if (scene.fog.mode !== "none") rgb = this.applyFog(scene, rgb, this.calcFog(scene, obj._coords[index]));
+               ctx.fillStyle = "rgb(" + Math.round(rgb[0]) + "," + Math.round(rgb[1]) + "," + Math.round(rgb[2]) + ")";
                ctx.beginPath();
                ctx.arc(coord[0], coord[1], w, 0, Phoria.TWOPI, true);
                ctx.closePath();
@@ -503,38 +905,138 @@
       
       renderEdge: function renderEdge(ctx, obj, scene, edge)
       {
-         // perform clip of edge if all vertices have been marked for clipping
-         if (obj._clip[edge.a] & obj._clip[edge.b]) return;
-         
-         var coords = obj._coords;
+         var coorda, coordb;
+         if (edge._clipcoords)
+         {
+            // edge has been clipped against the frustum planes during scene processing - may be entirely clipped
+            if (edge._clipcoords.length === 0) return;
+            coorda = edge._clipcoords[0];
+            coordb = edge._clipcoords[1];
+         }
+         else
+         {
+            // perform clip of edge if all vertices have been marked for clipping
+            if (obj._clip[edge.a] & obj._clip[edge.b]) return;
+            coorda = obj._coords[edge.a];
+            coordb = obj._coords[edge.b];
+         }
          
          if (obj.style.linescale !== 0)
          {
             // use the perspective divisor to calculate line width scaling
-            ctx.lineWidth = ((obj.style.linewidth * obj.style.linescale) / ((obj._coords[edge.a][3] + obj._coords[edge.b][3]) * 0.5)) * scene._perspectiveScale;
+            ctx.lineWidth = ((obj.style.linewidth * obj.style.linescale) / ((coorda[3] + coordb[3]) * 0.5)) * scene._perspectiveScale;
          }
 
          // lighting calc
+         var color = null;
          if (obj.style.shademode === "lightsource")
          {
             var edgea = obj._worldcoords[edge.a], edgeb = obj._worldcoords[edge.b],
                 position = vec3.fromValues((edgea[0] + edgeb[0]) * 0.5, (edgea[1] + edgeb[1]) * 0.5, (edgea[2] + edgeb[2]) * 0.5);
             var rgb = this.calcPositionBrightness(position, scene.lights);
+            color = [Math.min(Math.ceil(rgb[0] * obj.style.color[0]),255),
+                     Math.min(Math.ceil(rgb[1] * obj.style.color[1]),255),
+                     Math.min(Math.ceil(rgb[2] * obj.style.color[2]),255)];
+         }
+         
+         // distance fog at the middle of the edge
+         if (scene.fog.mode !== "none")
+         {
+            color = this.applyFog(scene, color !== null ? color : obj.style.color,
+                                  (this.calcFog(scene, coorda) + this.calcFog(scene, coordb)) * 0.5);
+         }
+         
+         if (color !== null)
+         {
             ctx.beginPath();
-            ctx.strokeStyle = "rgb(" + Math.min(Math.ceil(rgb[0] * obj.style.color[0]),255) + "," +
-                                       Math.min(Math.ceil(rgb[1] * obj.style.color[1]),255) + "," +
-                                       Math.min(Math.ceil(rgb[2] * obj.style.color[2]),255) + ")";
+            ctx.strokeStyle = "rgb(" + Math.round(color[0]) + "," + Math.round(color[1]) + "," + Math.round(color[2]) + ")";
             // draw an edge
-            ctx.moveTo(coords[edge.a][0], coords[edge.a][1]);
-            ctx.lineTo(coords[edge.b][0], coords[edge.b][1]);
+            ctx.moveTo(coorda[0], coorda[1]);
+            ctx.lineTo(coordb[0], coordb[1]);
             ctx.closePath();
             ctx.stroke();
          }
          else
          {
             // draw an edge
-            ctx.moveTo(coords[edge.a][0], coords[edge.a][1]);
-            ctx.lineTo(coords[edge.b][0], coords[edge.b][1]);
+            ctx.moveTo(coorda[0], coorda[1]);
+            ctx.lineTo(coordb[0], coordb[1]);
+         }
+      },
+      
+      /**
+       * Render the planar shadows projected onto a shadow receiving entity. Shadows are clipped to the screen area of
+       * the entity polygons. The shadow polygons of each light are filled as a single path so overlapping polygons
+       * do not darken the shadow further.
+       * 
+       * @param ctx {Object}           Canvas 2D context
+       * @param obj {Phoria.Entity}    Entity receiving the shadows - @see Phoria.Scene
+       */
+      renderShadows: function renderShadows(ctx, obj)
+      {
+         for (var n=0, shadow; n<obj._shadows.length; n++)
+         {
+            shadow = obj._shadows[n];
+            if (shadow.polygons.length === 0 || shadow.opacity <= 0) continue;
+            
+            ctx.save();
+            
+            // clip to the receiver polygons
+            ctx.beginPath();
+            for (var i=0, poly, coords, vertices; i<obj.polygons.length; i++)
+            {
+               poly = obj.polygons[i];
+               coords = poly._clipvertices ? poly._clipcoords : obj._coords;
+               vertices = poly._clipvertices ? poly._clipvertices : poly.vertices;
+               if (vertices.length < 3) continue;
+               ctx.moveTo(coords[vertices[0]][0], coords[vertices[0]][1]);
+               for (var j=1; j<vertices.length; j++)
+               {
+                  ctx.lineTo(coords[vertices[j]][0], coords[vertices[j]][1]);
+               }
+               ctx.closePath();
+            }
+            ctx.clip();
+            
+            // soft shadows are drawn with the canvas shadow blur - the shape is drawn outside of the canvas and
+            // offset back so only the blurred shadow of it is visible
+            var offset = 0;
+            ctx.globalAlpha = 1.0;
+            if (shadow.softness > 0)
+            {
+               offset = this.canvas.width + shadow.softness * 4;
+               ctx.shadowColor = "rgba(0,0,0," + shadow.opacity.toFixed(3) + ")";
+               ctx.shadowBlur = shadow.softness;
+               ctx.shadowOffsetX = offset;
+               ctx.fillStyle = "#000";
+            }
+            else
+            {
+               ctx.fillStyle = "rgba(0,0,0," + shadow.opacity.toFixed(3) + ")";
+            }
+            
+            // every polygon is drawn with the same winding so the nonzero fill rule gives the union of the polygons
+            ctx.beginPath();
+            for (var i=0, points, area, k, p; i<shadow.polygons.length; i++)
+            {
+               points = shadow.polygons[i];
+               for (k=0, area=0; k<points.length; k++)
+               {
+                  p = points[(k+1) % points.length];
+                  area += points[k][0] * p[1] - p[0] * points[k][1];
+               }
+               if (area === 0) continue;
+               for (k=0; k<points.length; k++)
+               {
+                  p = points[area > 0 ? k : points.length - 1 - k];
+                  if (k === 0) ctx.moveTo(p[0] - offset, p[1]);
+                  else ctx.lineTo(p[0] - offset, p[1]);
+               }
+               ctx.closePath();
+            }
+            ctx.fill();
+            
+            ctx.restore();
          }
       },
       
@@ -543,16 +1045,28 @@
          var coords = obj._coords,
              clip = obj._clip,
              vertices = poly.vertices,
+             uvs = poly.uvs,
              color = poly.color ? poly.color : obj.style.color,
-             fillStyle = null, rgb, emit = 0.0, opacity = (poly.opacity ? poly.opacity : obj.style.opacity);
+             fillStyle = null, rgb, colors = null, emit = 0.0, opacity = (poly.opacity ? poly.opacity : obj.style.opacity);
          
-         // clip of poly if all vertices have been marked for clipping
-         var clippoly = 1;
-         for (var i=0; i<vertices.length; i++)
+         if (poly._clipvertices)
+         {
+            // polygon has been clipped against the frustum planes during scene processing - may be entirely clipped
+            coords = poly._clipcoords;
+            vertices = poly._clipvertices;
+            uvs = poly._clipuvs !== null ? poly._clipuvs : undefined;
+            if (vertices.length < 3) return;
+         }
+         else
          {
-            clippoly &= clip[vertices[i]];
+            // clip of poly if all vertices have been marked for clipping
+            var clippoly = 1;
+            for (var i=0; i<vertices.length; i++)
+            {
+               clippoly &= clip[vertices[i]];
+            }
+            if (clippoly) return;
          }
-         if (clippoly) return;
          
          // hidden surface removal - use area sign in screen space calculation rather than normal to camera
          // as normal dot test will only work for orthogonal projection not perspective projection
@@ -561,14 +1075,35 @@
               (coords[vertices[1]][0]*coords[vertices[2]][1] - coords[vertices[2]][0]*coords[vertices[1]][1]) +
               (coords[vertices[2]][0]*coords[vertices[0]][1] - coords[vertices[0]][0]*coords[vertices[2]][1]) < 0)) return;
          
+         // distance fog at each vertex - textures are blended with the average amount after they are drawn
+         var textured = (obj.style.texture !== undefined || poly.texture !== undefined),
+             fogs = null, fog = 0;
+         if (scene.fog.mode !== "none")
+         {
+            fogs = new Array(vertices.length);
+            for (var i=0; i<vertices.length; i++)
+            {
+               fog += (fogs[i] = this.calcFog(scene, coords[vertices[i]]));
+            }
+            fog /= vertices.length;
+         }
+         
          // generate fill style based on lighting mode
          switch (obj.style.shademode)
          {
             case "plain":
             {
-               if (obj.style.texture === undefined && poly.texture === undefined)
+               if (!textured)
                {
-                  fillStyle = color[0] + "," + color[1] + "," + color[2];
+                  if (fog !== 0)
+                  {
+                     var c = this.applyFog(scene, color, fog);
+                     fillStyle = Math.round(c[0]) + "," + Math.round(c[1]) + "," + Math.round(c[2]);
+                  }
+                  else
+                  {
+                     fillStyle = color[0] + "," + color[1] + "," + color[2];
+                  }
                }
                
                break;
@@ -577,7 +1112,7 @@
             case "lightsource":
             {
                // this performs a pass for each light - a simple linear-additive lighting model
-               rgb = this.calcNormalBrightness(Phoria.Util.averagePolyVertex(vertices, obj._worldcoords), poly._worldnormal, scene, obj);
+               rgb = this.calcNormalBrightness(Phoria.Util.averagePolyVertex(poly.vertices, obj._worldcoords), poly._worldnormal, scene, obj);
                
                if (poly.emit || obj.style.emit)
                {
@@ -585,9 +1120,48 @@
                }
 
                // generate style string for canvas fill (integers in 0-255 range)
-               fillStyle = Math.min(Math.ceil(rgb[0]*color[0] + color[0]*emit),255) + "," +
-                           Math.min(Math.ceil(rgb[1]*color[1] + color[1]*emit),255) + "," +
-                           Math.min(Math.ceil(rgb[2]*color[2] + color[1]*emit),255);
+               var c = [Math.min(Math.ceil(rgb[0]*color[0] + color[0]*emit),255),
+                        Math.min(Math.ceil(rgb[1]*color[1] + color[1]*emit),255),
+                        Math.min(Math.ceil(rgb[2]*color[2] + color[1]*emit),255)];
+               if (fog !== 0 && !textured) c = this.applyFog(scene, c, fog);
+               fillStyle = Math.round(c[0]) + "," + Math.round(c[1]) + "," + Math.round(c[2]);
+               
+               break;
+            }
+            
+            case "gouraud":
+            {
+               if (poly.emit || obj.style.emit)
+               {
+                  emit = poly.emit ? poly.emit : obj.style.emit;
+               }
+               
+               // lit colour at each vertex - the solid fill modes approximate the interpolation with a gradient
+               colors = this.calcVertexColors(obj, poly, color, emit);
+               if (fogs !== null && !textured)
+               {
+                  for (var i=0; i<colors.length; i++)
+                  {
+                     colors[i] = this.applyFog(scene, colors[i], fogs[i]);
+                  }
+               }
+               
+               // average brightness and colour of the vertices - used to shade textures
+               rgb = [0,0,0];
+               var avg = [0,0,0];
+               for (var i=0, b; i<poly._vertexnormals.length; i++)
+               {
+                  b = obj._vertexBrightness[poly._vertexnormals[i]];
+                  rgb[0] += b[0]; rgb[1] += b[1]; rgb[2] += b[2];
+               }
+               for (var i=0; i<colors.length; i++)
+               {
+                  avg[0] += colors[i][0]; avg[1] += colors[i][1]; avg[2] += colors[i][2];
+               }
+               vec3.scale(rgb, rgb, 1 / poly._vertexnormals.length);
+               fillStyle = Math.round(avg[0] / colors.length) + "," +
+                           Math.round(avg[1] / colors.length) + "," +
+                           Math.round(avg[2] / colors.length);
                
                break;
             }
@@ -595,38 +1169,25 @@
          
          // render the polygon - textured or one of the solid fill modes
          ctx.save();
-         if (obj.style.texture !== undefined || poly.texture !== undefined)
+         if (textured)
          {
             var bitmap = obj.textures[ poly.texture !== undefined ? poly.texture : obj.style.texture ],
-                tx0, ty0, tx1, ty1, tx2, ty2;
+                tx0, ty0, tx1, ty1, tx2, ty2,
+                renderer = this;
             var fRenderTriangle = function(vs, sx0, sy0, sx1, sy1, sx2, sy2)
             {
-               var x0 = vs[0][0], y0 = vs[0][1],
-                   x1 = vs[1][0], y1 = vs[1][1],
-                   x2 = vs[2][0], y2 = vs[2][1];
                ctx.beginPath();
-               ctx.moveTo(x0, y0);
-               ctx.lineTo(x1, y1);
-               ctx.lineTo(x2, y2);
+               ctx.moveTo(vs[0][0], vs[0][1]);
+               ctx.lineTo(vs[1][0], vs[1][1]);
+               ctx.lineTo(vs[2][0], vs[2][1]);
                ctx.closePath();
                ctx.clip();
                
-               // Textured triangle transformation code originally by Thatcher Ulrich
                // TODO: figure out if drawImage goes faster if we specify the rectangle that bounds the source coords.
                // TODO: this is far from perfect - due to perspective corrected texture mapping issues see:
                //       http://tulrich.com/geekstuff/canvas/perspective.html
-               
-               // collapse terms
-               var denom = 1.0 / (sx0 * (sy2 - sy1) - sx1 * sy2 + sx2 * sy1 + (sx1 - sx2) * sy0);
-               // calculate context transformation matrix
-               var m11 = - (sy0 * (x2 - x1) - sy1 * x2 + sy2 * x1 + (sy1 - sy2) * x0) * denom,
-                   m12 = (sy1 * y2 + sy0 * (y1 - y2) - sy2 * y1 + (sy2 - sy1) * y0) * denom,
-                   m21 = (sx0 * (x2 - x1) - sx1 * x2 + sx2 * x1 + (sx1 - sx2) * x0) * denom,
-                   m22 = - (sx1 * y2 + sx0 * (y1 - y2) - sx2 * y1 + (sx2 - sx1) * y0) * denom,
-                   dx = (sx0 * (sy2 * x1 - sy1 * x2) + sy0 * (sx1 * x2 - sx2 * x1) + (sx2 * sy1 - sx1 * sy2) * x0) * denom,
-                   dy = (sx0 * (sy2 * y1 - sy1 * y2) + sy0 * (sx1 * y2 - sx2 * y1) + (sx2 * sy1 - sx1 * sy2) * y0) * denom;
-               
-               ctx.transform(m11, m12, m21, m22, dx, dy);
+               var m = renderer.calcTextureTransform(vs, sx0, sy0, sx1, sy1, sx2, sy2);
+               ctx.transform(m[0], m[1], m[2], m[3], m[4], m[5]);
                
                // Draw the whole texture image. Transform and clip will map it onto the correct output polygon.
                ctx.globalAlpha = opacity;
@@ -642,63 +1203,38 @@
                ctx.fillStyle = "rgba(" + fillStyle + "," + (1.0 - alpha).toFixed(3) + ")";
             }
             
-            // we can only deal with triangles for texturing - a quad must be split into two triangles
-            // TODO: needs a triangle subdivision algorithm for > 4 verticies
-            if (vertices.length === 3)
+            // perspective correct texture mapping splits each triangle into parts drawn with an affine mapping
+            var fRenderTexture = function(c0, c1, c2, t0, t1, t2)
             {
-               tx0 = 0, ty0 = 0, tx1 = bitmap.width, ty1 = 0, tx2 = bitmap.width, ty2 = bitmap.height;
-               if (poly.uvs !== undefined)
-               {
-                  tx0 = bitmap.width * poly.uvs[0]; ty0 = bitmap.height * poly.uvs[1];
-                  tx1 = bitmap.width * poly.uvs[2]; ty1 = bitmap.height * poly.uvs[3];
-                  tx2 = bitmap.width * poly.uvs[4]; ty2 = bitmap.height * poly.uvs[5];
-               }
-               // TODO: Chrome does not need the texture poly inflated!
-               var inflatedVertices = this.inflatePolygon(vertices, coords, 0.5);
-               fRenderTriangle.call(this, inflatedVertices, tx0, ty0, tx1, ty1, tx2, ty2);
-               // apply optional color fill to shade and light the texture image
-               if (fillStyle !== null)
-               {
-                  ctx.fill();
-               }
-            }
-            else if (vertices.length === 4)
-            {
-               tx0 = 0, ty0 = 0, tx1 = bitmap.width, ty1 = 0, tx2 = bitmap.width, ty2 = bitmap.height;
-               if (poly.uvs !== undefined)
-               {
-                  tx0 = bitmap.width * poly.uvs[0]; ty0 = bitmap.height * poly.uvs[1];
-                  tx1 = bitmap.width * poly.uvs[2]; ty1 = bitmap.height * poly.uvs[3];
-                  tx2 = bitmap.width * poly.uvs[4]; ty2 = bitmap.height * poly.uvs[5];
-               }
                ctx.save();
                // TODO: Chrome does not need the texture poly inflated!
-               var inflatedVertices = this.inflatePolygon(vertices.slice(0, 3), coords, 0.5);
-               fRenderTriangle.call(this, inflatedVertices, tx0, ty0, tx1, ty1, tx2, ty2);
+               fRenderTriangle(renderer.inflatePolygon([0, 1, 2], [c0, c1, c2], 0.5), t0[0], t0[1], t1[0], t1[1], t2[0], t2[1]);
                ctx.restore();
-
-               tx0 = bitmap.width, ty0 = bitmap.height, tx1 = 0, ty1 = bitmap.height, tx2 = 0, ty2 = 0;
-               if (poly.uvs !== undefined)
+            };
+            
+            // texture coordinates in image pixels - the default coordinates map the whole image to a triangle or quad,
+            // polygons with more vertices must supply uvs
+            if (uvs === undefined && vertices.length <= 4)
+            {
+               uvs = (vertices.length === 3 ? [0,0, 1,0, 1,1] : [0,0, 1,0, 1,1, 0,1]);
+            }
+            if (uvs !== undefined)
+            {
+               // textured polygons are split into triangles
+               var triangles = this.getPolygonTriangles(obj, poly, vertices);
+               for (var k=0, a, b, c; k<triangles.length; k+=3)
                {
-                  tx0 = bitmap.width * poly.uvs[4]; ty0 = bitmap.height * poly.uvs[5];
-                  tx1 = bitmap.width * poly.uvs[6]; ty1 = bitmap.height * poly.uvs[7];
-                  tx2 = bitmap.width * poly.uvs[0]; ty2 = bitmap.height * poly.uvs[1];
+                  a = triangles[k]; b = triangles[k+1]; c = triangles[k+2];
+                  this.splitTextureTriangle(obj.style, coords[vertices[a]], coords[vertices[b]], coords[vertices[c]],
+                     [bitmap.width * uvs[a*2], bitmap.height * uvs[a*2+1]],
+                     [bitmap.width * uvs[b*2], bitmap.height * uvs[b*2+1]],
+                     [bitmap.width * uvs[c*2], bitmap.height * uvs[c*2+1]], fRenderTexture);
                }
-               ctx.save();
-               var v = new Array(3);
-               v[0] = vertices[2];
-               v[1] = vertices[3];
-               v[2] = vertices[0];
-               // TODO: Chrome does not need the texture poly inflated!
-               inflatedVertices = this.inflatePolygon(v, coords, 0.5);
-               fRenderTriangle.call(this, inflatedVertices, tx0, ty0, tx1, ty1, tx2, ty2);
-               ctx.restore();
-
-               // apply optional color fill to shade and light the texture image
-               if (fillStyle !== null)
+               
+               // apply optional color fill to shade and light the texture image - then blend in the fog colour
+               if (fillStyle !== null || fog !== 0)
                {
-                  // TODO: better to inflate again or fill two tris as above?
-                  inflatedVertices = this.inflatePolygon(vertices, coords, 0.75);
+                  var inflatedVertices = this.inflatePolygon(vertices, coords, vertices.length === 3 ? 0.5 : 0.75);
                   ctx.beginPath();
                   ctx.moveTo(inflatedVertices[0][0], inflatedVertices[0][1]);
                   for (var i=1, j=inflatedVertices.length; i<j; i++)
@@ -707,7 +1243,12 @@
                   }
                   ctx.closePath();
                   ctx.globalAlpha = opacity;
-                  ctx.fill();
+                  if (fillStyle !== null) ctx.fill();
+                  if (fog !== 0)
+                  {
+                     ctx.fillStyle = "rgba(" + scene.fog.color[0] + "," + scene.fog.color[1] + "," + scene.fog.color[2] + "," + fog.toFixed(3) + ")";
+                     ctx.fill();
+                  }
                }
             }
          }
@@ -740,7 +1281,8 @@
                ctx.closePath();
             }
             
-            fillStyle = "rgba(" + fillStyle + "," + opacity + ")";
+            fillStyle = colors !== null ? this.createGouraudFill(ctx, coords, vertices, colors, opacity) :
+                                          "rgba(" + fillStyle + "," + opacity + ")";
             switch (obj.style.fillmode)
             {
                case "fill":
@@ -789,29 +1331,112 @@
    "use strict";
 
    /**
-    * Software renderer is based on the work by mr.doob which in turn is based on the work here:
-    * http://devmaster.net/forums/topic/1145-advanced-rasterization/
-    * For lots of small polygons in a very fast JavaScript VM (V8 on Chrome) then it can be faster than
-    * standard canvas poly drawing - but does not have anti-aliasing and is notably slower for large polygons.
+    * Framebuffer is an in-memory RGBA image with the same properties as an ImageData object. It can be used as the
+    * render target of the SoftwareRenderer in place of a canvas - so scenes can be rendered without a browser DOM
+    * e.g. under Node.js for server-side thumbnails or image based regression tests.
+    * 
+    * @param width {Number}     Width in pixels
+    * @param height {Number}    Height in pixels
     */
-   Phoria.SoftwareRenderer = function(canvas)
+   Phoria.Framebuffer = function(width, height)
    {
-      Phoria.SoftwareRenderer.superclass.constructor.call(this);
-
+      this.width = width;
+      this.height = height;
+      this.data = new Uint8ClampedArray(width * height * 4);
+      
+      return this;
+   };
+   
+   Phoria.Framebuffer.prototype = {
+      // {Number} width in pixels
+      width: 0,
+      
+      // {Number} height in pixels
+      height: 0,
+      
+      // {Uint8ClampedArray} RGBA pixel data - four bytes per pixel in rows from the top left
+      data: null
+   };
+   
+})();
+
+
+(function() {
+   "use strict";
+
+   /**
+    * Software renderer is based on the work by mr.doob which in turn is based on the work here:
+    * http://devmaster.net/forums/topic/1145-advanced-rasterization/
+    * For lots of small polygons in a very fast JavaScript VM (V8 on Chrome) then it can be faster than
+    * standard canvas poly drawing - but does not have anti-aliasing and is notably slower for large polygons.
+    * 
+    * @param canvas {Object}    Canvas element to render to - or a Phoria.Framebuffer to render without a DOM
+    */
+   Phoria.SoftwareRenderer = function(canvas)
+   {
+      Phoria.SoftwareRenderer.superclass.constructor.call(this);
+
       this.canvas = canvas;
-      this.ctx = canvas.getContext('2d');
-      this._imagedata = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
+      if (typeof canvas.getContext === "function")
+      {
+         this.ctx = canvas.getContext('2d');
+         this._imagedata = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
+      }
+      else
+      {
+         // framebuffer target - the pixels are rendered directly to the data of the buffer
+         this.ctx = null;
+         this._imagedata = canvas;
+      }
       this._data = this._imagedata.data;
+      this._depth = new Float32Array(this.canvas.width * this.canvas.height);
+      this._textures = [];
 
       return this;
    };
    
+   // depth test functions - the pixel passes if the new depth compares to the depth buffer value as named
+   var DEPTH_TESTS = {
+      "always": 0,
+      "less": 1,
+      "lessequal": 2,
+      "greater": 3,
+      "greaterequal": 4,
+      "equal": 5,
+      "never": 6
+   };
+   
    Phoria.Util.extend(Phoria.SoftwareRenderer, Phoria.Renderer, {
       // canvas to use as the output context
       canvas: null,
       ctx: null,
+      
+      // {boolean} true to use a per-pixel depth buffer to resolve the visible surfaces - else the painters algorithm
+      // ordering of the sorted objects and polygons is relied upon
+      depthbuffer: true,
+      
+      // {string} depth test applied to each pixel - one of "less", "lessequal", "greater", "greaterequal", "equal",
+      // "always", "never". Depth values are the normalised device z coordinate - smaller values are nearer the camera.
+      depthtest: "less",
+      
+      // {boolean} true to write the depth of each pixel that passes the depth test to the depth buffer
+      depthwrite: true,
+      
+      // {Number} value the depth buffer is cleared to before each render - the far plane by default
+      depthclear: 1.0,
+      
+      // {string} texture sampling filter - one of "nearest", "bilinear"
+      texturefilter: "bilinear",
+      
+      // {boolean} true for perspective correct texture mapping, false for the faster affine texture mapping
+      perspectivecorrect: true,
+      
       _imagedata: null,
       _data: null,
+      _depth: null,
+      _cliprect: null,
+      _textures: null,
+      _fogcolor: null,
       
       /**
        * Render the given scene to the canvas context
@@ -822,9 +1447,24 @@
       {
          this.sortObjects(scene);
          
-         // clear the canvas before rendering begins
+         // a scene projected through a named camera is only drawn within the viewport of the view
+         // so multiple views can be rendered to the same canvas - @see Phoria.Scene.viewFrom()
+         var vp = scene._view !== null ? scene._view.viewport : null,
+             rect = this._cliprect = vp ? {
+                x1: Math.max(Math.floor(vp.x), 0),
+                y1: Math.max(Math.floor(vp.y), 0),
+                x2: Math.min(Math.ceil(vp.x + vp.width), this.canvas.width),
+                y2: Math.min(Math.ceil(vp.y + vp.height), this.canvas.height)
+             } : {x1: 0, y1: 0, x2: this.canvas.width, y2: this.canvas.height};
+         if (rect.x2 <= rect.x1 || rect.y2 <= rect.y1) return;
+         
+         // colour blended into the pixels by the rasteriser when the scene has fog
+         this._fogcolor = scene.fog.mode !== "none" ? scene.fog.color : null;
+         
+         // clear the canvas and depth buffer before rendering begins
          // TODO: optimize with prevrect - see SoftwareRenderer
-         this.clearCanvasRect(0, 0, this.canvas.width, this.canvas.height);
+         this.clearCanvasRect(rect.x1, rect.y1, rect.x2, rect.y2);
+         if (this.depthbuffer) this.clearDepthRect(rect.x1, rect.y1, rect.x2, rect.y2);
          //this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
          //this._imagedata = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
          //this._data = this._imagedata.data;
@@ -838,6 +1478,9 @@
             {
                case "solid":
                {
+                  // calculate the lighting at each vertex once for all the polygons
+                  if (obj.style.shademode === "gouraud") this.calcVertexBrightness(obj, scene);
+                  
                   // render the pre-sorted polygons
                   var rendercount = 0;
                   for (var i=0; i<obj.polygons.length; i++)
@@ -851,7 +1494,19 @@
          }
 
          // TODO: optimize with prev rect - see SoftwareRenderer
-         this.ctx.putImageData(this._imagedata, 0, 0, 0, 0, this.canvas.width, this.canvas.height);
+         if (this.ctx !== null)
+         {
+            this.ctx.putImageData(this._imagedata, 0, 0, rect.x1, rect.y1, rect.x2 - rect.x1, rect.y2 - rect.y1);
+         }
+      },
+
+      /**
+       * Return the RGBA pixels of the last rendered frame - the image buffer of the renderer is returned directly
+       * so is a canvas ImageData or the Phoria.Framebuffer being rendered to.
+       */
+      getImageData: function getImageData()
+      {
+         return this._imagedata;
       },
 
       clearCanvasRect: function clearCanvasRect(xmin, ymin, xmax, ymax)
@@ -870,6 +1525,20 @@
          }
       },
       
+      clearDepthRect: function clearDepthRect(xmin, ymin, xmax, ymax)
+      {
+         var depth = this._depth,
+             width = this.canvas.width,
+             value = this.depthclear;
+         for (var y = ymin; y < ymax; y++)
+         {
+            for (var x = xmin, offset = xmin + y * width; x < xmax; x++)
+            {
+               depth[offset++] = value;
+            }
+         }
+      },
+      
       renderPolygon: function renderPolygon(ctx, obj, scene, poly)
       {
          var coords = obj._coords,
@@ -877,13 +1546,23 @@
              vertices = poly.vertices,
              color = poly.color ? poly.color : obj.style.color;
 
-         // clip of poly if all vertices have been marked for clipping
-         var clippoly = 1;
-         for (var i=0; i<vertices.length; i++)
+         if (poly._clipvertices)
+         {
+            // polygon has been clipped against the frustum planes during scene processing - may be entirely clipped
+            coords = poly._clipcoords;
+            vertices = poly._clipvertices;
+            if (vertices.length < 3) return false;
+         }
+         else
          {
-            clippoly &= clip[vertices[i]];
+            // clip of poly if all vertices have been marked for clipping
+            var clippoly = 1;
+            for (var i=0; i<vertices.length; i++)
+            {
+               clippoly &= clip[vertices[i]];
+            }
+            if (clippoly) return false;
          }
-         if (clippoly) return false;
          
          // hidden surface removal
          if (!obj.style.doublesided && 
@@ -892,15 +1571,17 @@
               (coords[vertices[2]][0]*coords[vertices[0]][1] - coords[vertices[0]][0]*coords[vertices[2]][1]) < 0)) return;
          
          // generate fill style based on lighting mode
-         var rgb;
+         var rgb, colors = null;
          switch (obj.style.shademode)
          {
             case "plain":
             {
-               rgb = new Array(3);
+               rgb = new Array(4);
                rgb[0] = color[0];
                rgb[1] = color[1];
                rgb[2] = color[2];
+               // textures are not shaded
+               rgb[3] = 0;
 
                break;
             }
@@ -908,47 +1589,155 @@
             case "lightsource":
             {
                // perform a pass for each light - a simple linear-additive lighting model
-               rgb = this.calcNormalBrightness(Phoria.Util.averagePolyVertex(vertices, obj._worldcoords), poly._worldnormal, scene, obj);
+               rgb = this.calcNormalBrightness(Phoria.Util.averagePolyVertex(poly.vertices, obj._worldcoords), poly._worldnormal, scene, obj);
 
+               // opacity of the lit colour over a texture - from the grey scale level of the brightness
+               rgb[3] = 1.0 - Math.min(rgb[0]*0.3 + rgb[1]*0.6 + rgb[2]*0.1, 1.0);
+               
+               var emit = poly.emit ? poly.emit : (obj.style.emit ? obj.style.emit : 0);
+               
                // generate final RGB
-               rgb[0] = Math.ceil(Math.min(rgb[0]*color[0], 255));
-               rgb[1] = Math.ceil(Math.min(rgb[1]*color[1], 255));
-               rgb[2] = Math.ceil(Math.min(rgb[2]*color[2], 255));
+               rgb[0] = Math.ceil(Math.min(rgb[0]*color[0] + color[0]*emit, 255));
+               rgb[1] = Math.ceil(Math.min(rgb[1]*color[1] + color[1]*emit, 255));
+               rgb[2] = Math.ceil(Math.min(rgb[2]*color[2] + color[2]*emit, 255));
                
                break;
             }
+            
+            case "gouraud":
+            {
+               // lit colour at each vertex - interpolated across the triangles by the rasteriser
+               colors = this.calcVertexColors(obj, poly, color, poly.emit ? poly.emit : (obj.style.emit ? obj.style.emit : 0));
+               
+               break;
+            }
+         }
+         
+         // texture image pixels and coordinates for the vertices - the default coordinates match the canvas renderer
+         var texture = null, uvs = null;
+         if (obj.style.texture !== undefined || poly.texture !== undefined)
+         {
+            texture = this.getTexturePixels(obj.textures[poly.texture !== undefined ? poly.texture : obj.style.texture]);
+            if (poly._clipvertices) uvs = poly._clipuvs;
+            else uvs = poly.uvs !== undefined ? poly.uvs : (vertices.length === 3 ? [0,0, 1,0, 1,1] : [0,0, 1,0, 1,1, 0,1]);
+            if (!uvs || uvs.length < vertices.length * 2) texture = null;
          }
          
-         // render a triangle in software to a buffer
-         this.drawTriangle(
-            coords[vertices[2]][0], coords[vertices[2]][1],
-            coords[vertices[1]][0], coords[vertices[1]][1],
-            coords[vertices[0]][0], coords[vertices[0]][1],
-            rgb[0], rgb[1], rgb[2]);
-         // handle quad - split into second triangle
-         // TODO: polygon subvision is needed for >4 verts if this renderer is used...
-         if (vertices.length === 4)
-         {
-            this.drawTriangle(
-               coords[vertices[0]][0], coords[vertices[0]][1],
-               coords[vertices[3]][0], coords[vertices[3]][1],
-               coords[vertices[2]][0], coords[vertices[2]][1],
-               rgb[0], rgb[1], rgb[2]);
+         // amount of fog at each vertex - interpolated across the triangles by the rasteriser
+         var fogs = null;
+         if (this._fogcolor !== null)
+         {
+            fogs = new Array(vertices.length);
+            for (var i=0; i<vertices.length; i++)
+            {
+               fogs[i] = this.calcFog(scene, coords[vertices[i]]);
+            }
+         }
+         
+         // render triangles in software to a buffer - polygons with more than three vertices are split into triangles
+         var triangles = this.getPolygonTriangles(obj, poly, vertices);
+         for (var k=0, a, b, c; k<triangles.length; k+=3)
+         {
+            a = triangles[k]; b = triangles[k+1]; c = triangles[k+2];
+            this.rasteriseTriangle(
+               coords[vertices[c]], coords[vertices[b]], coords[vertices[a]],
+               colors ? colors[c] : rgb, colors ? colors[b] : rgb, colors ? colors[a] : rgb,
+               texture,
+               texture ? [uvs[c*2], uvs[c*2+1]] : null,
+               texture ? [uvs[b*2], uvs[b*2+1]] : null,
+               texture ? [uvs[a*2], uvs[a*2+1]] : null,
+               fogs ? fogs[c] : undefined, fogs ? fogs[b] : undefined, fogs ? fogs[a] : undefined);
          }
          return true;
       },
+      
+      /**
+       * Return the pixel data of a texture image. The pixels are read from an image once and cached by the renderer.
+       * Objects that already provide pixel data - such as an ImageData - are used directly.
+       * 
+       * @param image {Object}    Texture image, canvas or object with width, height and RGBA data properties
+       * @return object with properties; width, height, data - or null if the image is not available or not loaded
+       */
+      getTexturePixels: function getTexturePixels(image)
+      {
+         if (!image) return null;
+         if (image.data && image.width && image.height) return image;
+         for (var i=0; i<this._textures.length; i++)
+         {
+            if (this._textures[i].image === image) return this._textures[i].pixels;
+         }
+         if (image.complete === false || !image.width || !image.height || typeof document === "undefined") return null;
+         
+         // draw the image to a canvas to read the pixels
+         var canvas = document.createElement("canvas");
+         canvas.width = image.width;
+         canvas.height = image.height;
+         var ctx = canvas.getContext("2d");
+         ctx.drawImage(image, 0, 0);
+         var pixels = ctx.getImageData(0, 0, image.width, image.height);
+         this._textures.push({image: image, pixels: pixels});
+         return pixels;
+      },
 
+      /**
+       * Draw a flat colour triangle to the image buffer - without a depth test.
+       * 
+       * @param x1 {Number}   Screen x coordinate of the first vertex
+       * @param y1 {Number}   Screen y coordinate of the first vertex
+       * @param x2 {Number}   Screen x coordinate of the second vertex
+       * @param y2 {Number}   Screen y coordinate of the second vertex
+       * @param x3 {Number}   Screen x coordinate of the third vertex
+       * @param y3 {Number}   Screen y coordinate of the third vertex
+       * @param r {Number}    Red colour component 0-255
+       * @param g {Number}    Green colour component 0-255
+       * @param b {Number}    Blue colour component 0-255
+       */
       drawTriangle: function drawTriangle(x1, y1, x2, y2, x3, y3, r, g, b)
+      {
+         var color = [r, g, b];
+         this.rasteriseTriangle([x1, y1, 0, 1], [x2, y2, 0, 1], [x3, y3, 0, 1], color, color, color, null,
+            null, null, null, undefined, undefined, undefined, false);
+      },
+
+      /**
+       * Rasterise a triangle to the image buffer with an optional per-pixel depth test. The vertex colours are
+       * interpolated across the triangle for gouraud shading - pass the same colour for each vertex for a flat fill.
+       * 
+       * If a texture is supplied the texture coordinates are interpolated - with perspective correction unless the
+       * renderer is set to affine mapping - and the texture is sampled with the renderer texture filter. The vertex
+       * colour is then blended over the texel by the fourth colour component to apply the lighting.
+       * 
+       * If fog amounts are supplied the fog colour of the scene being rendered is blended into each pixel by the
+       * amount interpolated across the triangle.
+       * 
+       * @param v1 {vec4}           Screen coordinate of the first vertex - x, y, clip z and w as generated by the scene
+       * @param v2 {vec4}           Screen coordinate of the second vertex
+       * @param v3 {vec4}           Screen coordinate of the third vertex
+       * @param c1 {Array}          RGB colour of the first vertex - components in the 0-255 range, plus the 0-1 opacity
+       *                            of the colour over the texture if textured
+       * @param c2 {Array}          Colour of the second vertex
+       * @param c3 {Array}          Colour of the third vertex
+       * @param texture {Object}    Optional texture pixels - @see getTexturePixels()
+       * @param uv1 {Array}         Texture coordinate of the first vertex [u, v] - if textured
+       * @param uv2 {Array}         Texture coordinate of the second vertex
+       * @param uv3 {Array}         Texture coordinate of the third vertex
+       * @param f1 {Number}         Optional amount of fog 0-1 at the first vertex - @see Phoria.Renderer.calcFog()
+       * @param f2 {Number}         Amount of fog at the second vertex
+       * @param f3 {Number}         Amount of fog at the third vertex
+       * @param depthtest {boolean} Optional false to draw without the depth test or depth write - by default the depth
+       *                            buffer is used if enabled for the renderer
+       */
+      rasteriseTriangle: function rasteriseTriangle(v1, v2, v3, c1, c2, c3, texture, uv1, uv2, uv3, f1, f2, f3, depthtest)
       {
          // http://devmaster.net/forums/topic/1145-advanced-rasterization/
 
          // 28.4 fixed-point coordinates
-         var x1 = Math.round( 16 * x1 ),
-             x2 = Math.round( 16 * x2 ),
-             x3 = Math.round( 16 * x3 ),
-             y1 = Math.round( 16 * y1 ),
-             y2 = Math.round( 16 * y2 ),
-             y3 = Math.round( 16 * y3 );
+         var x1 = Math.round( 16 * v1[0] ),
+             x2 = Math.round( 16 * v2[0] ),
+             x3 = Math.round( 16 * v3[0] ),
+             y1 = Math.round( 16 * v1[1] ),
+             y2 = Math.round( 16 * v2[1] ),
+             y3 = Math.round( 16 * v3[1] );
 
          // Deltas
          var dx12 = x1 - x2,
@@ -966,15 +1755,16 @@
              fdy23 = dy23 << 4,
              fdy31 = dy31 << 4;
 
+         // clip rectangle of the view being rendered - or the whole buffer if drawn outside of render()
          var canvasWidth = this.canvas.width,
-             canvasHeight = this.canvas.height,
+             rect = this._cliprect || {x1: 0, y1: 0, x2: canvasWidth, y2: this.canvas.height},
              data = this._data;
 
-         // Bounding rectangle
-         var xmin = Math.max( ( Math.min( x1, x2, x3 ) + 0xf ) >> 4, 0 ),
-             xmax = Math.min( ( Math.max( x1, x2, x3 ) + 0xf ) >> 4, canvasWidth ),
-             ymin = Math.max( ( Math.min( y1, y2, y3 ) + 0xf ) >> 4, 0 ),
-             ymax = Math.min( ( Math.max( y1, y2, y3 ) + 0xf ) >> 4, canvasHeight );
+         // Bounding rectangle - clipped to the viewport being rendered
+         var xmin = Math.max( ( Math.min( x1, x2, x3 ) + 0xf ) >> 4, rect.x1 ),
+             xmax = Math.min( ( Math.max( x1, x2, x3 ) + 0xf ) >> 4, rect.x2 ),
+             ymin = Math.max( ( Math.min( y1, y2, y3 ) + 0xf ) >> 4, rect.y1 ),
+             ymax = Math.min( ( Math.max( y1, y2, y3 ) + 0xf ) >> 4, rect.y2 );
          
          if (xmax <= xmin || ymax <= ymin) return;
 
@@ -984,44 +1774,795 @@
          //recty2 = Math.max( ymax, recty2 );
 
          // Constant part of half-edge functions
-         var c1 = dy12 * x1 - dx12 * y1,
-             c2 = dy23 * x2 - dx23 * y2,
-             c3 = dy31 * x3 - dx31 * y3;
+         var e1 = dy12 * x1 - dx12 * y1,
+             e2 = dy23 * x2 - dx23 * y2,
+             e3 = dy31 * x3 - dx31 * y3;
 
          // Correct for fill convention
-         if ( dy12 < 0 || ( dy12 == 0 && dx12 > 0 ) ) c1++;
-         if ( dy23 < 0 || ( dy23 == 0 && dx23 > 0 ) ) c2++;
-         if ( dy31 < 0 || ( dy31 == 0 && dx31 > 0 ) ) c3++;
+         if ( dy12 < 0 || ( dy12 == 0 && dx12 > 0 ) ) e1++;
+         if ( dy23 < 0 || ( dy23 == 0 && dx23 > 0 ) ) e2++;
+         if ( dy31 < 0 || ( dy31 == 0 && dx31 > 0 ) ) e3++;
 
-         var cy1 = c1 + dx12 * ( ymin << 4 ) - dy12 * ( xmin << 4 ),
-             cy2 = c2 + dx23 * ( ymin << 4 ) - dy23 * ( xmin << 4 ),
-             cy3 = c3 + dx31 * ( ymin << 4 ) - dy31 * ( xmin << 4 ),
+         var cy1 = e1 + dx12 * ( ymin << 4 ) - dy12 * ( xmin << 4 ),
+             cy2 = e2 + dx23 * ( ymin << 4 ) - dy23 * ( xmin << 4 ),
+             cy3 = e3 + dx31 * ( ymin << 4 ) - dy31 * ( xmin << 4 ),
              cx1, cx2, cx3;
 
+         // Values interpolated across the triangle are planes in screen space - the gradients are calculated
+         // from the original floating point coordinates
+         var ex2 = v2[0] - v1[0], ey2 = v2[1] - v1[1],
+             ex3 = v3[0] - v1[0], ey3 = v3[1] - v1[1],
+             area = ex2 * ey3 - ex3 * ey2;
+         if (area === 0) return;
+         var fnGradients = function(a1, a2, a3) {
+            var dx = ((a2 - a1) * ey3 - (a3 - a1) * ey2) / area,
+                dy = (ex2 * (a3 - a1) - ex3 * (a2 - a1)) / area;
+            return [dx, dy, a1 + dx * (xmin - v1[0]) + dy * (ymin - v1[1])];
+         };
+
+         // Depth plane - NDC depth z/w is linear in screen space so can be interpolated directly
+         var depth = (this.depthbuffer && depthtest !== false) ? this._depth : null,
+             test = DEPTH_TESTS[this.depthtest],
+             write = this.depthwrite,
+             zg = null, z = 0, d;
+         if (depth !== null)
+         {
+            zg = fnGradients(
+               v1[2] / (v1[3] !== 0 ? v1[3] : Phoria.EPSILON),
+               v2[2] / (v2[3] !== 0 ? v2[3] : Phoria.EPSILON),
+               v3[2] / (v3[3] !== 0 ? v3[3] : Phoria.EPSILON));
+         }
+         
+         // Colour planes - gouraud shading interpolates the vertex colours
+         var rg = [0, 0, c1[0]], gg = [0, 0, c1[1]], bg = [0, 0, c1[2]], r, g, b;
+         if (c1 !== c2 || c1 !== c3)
+         {
+            rg = fnGradients(c1[0], c2[0], c3[0]);
+            gg = fnGradients(c1[1], c2[1], c3[1]);
+            bg = fnGradients(c1[2], c2[2], c3[2]);
+         }
+         
+         // Texture coordinate planes - for perspective correct mapping u/w, v/w and 1/w are linear in screen space
+         // and are interpolated, then divided per pixel to recover u and v. Affine mapping interpolates u and v.
+         var tex = texture ? texture.data : null,
+             texw = 0, texh = 0, bilinear = false,
+             ag, qg, ug, vg, a, q, u, v, tu, tv, tr, tg, tb, ta;
+         if (tex !== null)
+         {
+            texw = texture.width;
+            texh = texture.height;
+            bilinear = (this.texturefilter === "bilinear");
+            ag = (c1 !== c2 || c1 !== c3) ? fnGradients(c1[3], c2[3], c3[3]) : [0, 0, c1[3]];
+            var q1 = 1, q2 = 1, q3 = 1;
+            if (this.perspectivecorrect)
+            {
+               q1 = 1 / (v1[3] !== 0 ? v1[3] : Phoria.EPSILON);
+               q2 = 1 / (v2[3] !== 0 ? v2[3] : Phoria.EPSILON);
+               q3 = 1 / (v3[3] !== 0 ? v3[3] : Phoria.EPSILON);
+            }
+            qg = fnGradients(q1, q2, q3);
+            ug = fnGradients(uv1[0] * q1, uv2[0] * q2, uv3[0] * q3);
+            vg = fnGradients(uv1[1] * q1, uv2[1] * q2, uv3[1] * q3);
+         }
+         
+         // Fog plane - the amount of fog is blended into the final pixel colour
+         var fog = (f1 !== undefined && this._fogcolor !== null) ? this._fogcolor : null,
+             fg = null, f = 0, pr, pg, pb, draw;
+         if (fog !== null)
+         {
+            fg = fnGradients(f1, f2, f3);
+         }
+
          // Scan through bounding rectangle
-         for (var y = ymin,x,offset; y < ymax; y++)
+         for (var y = ymin,x,offset,pixel; y < ymax; y++)
          {
             // Start value for horizontal scan
             cx1 = cy1;
             cx2 = cy2;
             cx3 = cy3;
+            if (zg !== null) z = zg[2];
+            r = rg[2];
+            g = gg[2];
+            b = bg[2];
+            if (fg !== null) f = fg[2];
+            if (tex !== null)
+            {
+               a = ag[2];
+               q = qg[2];
+               u = ug[2];
+               v = vg[2];
+            }
             for (x = xmin; x < xmax; x++)
             {
                if (cx1 > 0 && cx2 > 0 && cx3 > 0)
                {
-                  offset = (x + y * canvasWidth) << 2;
-                  data[ offset ] = r;
-                  data[ offset + 1 ] = g;
-                  data[ offset + 2 ] = b;
-                  data[ offset + 3 ] = 255;
+                  pixel = x + y * canvasWidth;
+                  
+                  // per-pixel depth test against the depth buffer
+                  if (depth === null ||
+                      !(test === 1 ? z >= depth[pixel] : test === 2 ? z > depth[pixel] : test === 3 ? z <= depth[pixel] :
+                        test === 4 ? z < depth[pixel] : test === 5 ? z !== depth[pixel] : test === 6))
+                  {
+                     offset = pixel << 2;
+                     if (tex !== null)
+                     {
+                        // sample the texture - coordinates are clamped to the edge of the texture
+                        tu = (u / q) * texw;
+                        tv = (v / q) * texh;
+                        if (bilinear)
+                        {
+                           tu -= 0.5;
+                           tv -= 0.5;
+                           var fu = Math.floor(tu), fv = Math.floor(tv),
+                               wu = tu - fu, wv = tv - fv,
+                               u0 = fu < 0 ? 0 : (fu >= texw ? texw - 1 : fu),
+                               u1 = fu + 1 < 0 ? 0 : (fu + 1 >= texw ? texw - 1 : fu + 1),
+                               r0 = (fv < 0 ? 0 : (fv >= texh ? texh - 1 : fv)) * texw,
+                               r1 = (fv + 1 < 0 ? 0 : (fv + 1 >= texh ? texh - 1 : fv + 1)) * texw,
+                               t00 = (r0 + u0) << 2, t10 = (r0 + u1) << 2, t01 = (r1 + u0) << 2, t11 = (r1 + u1) << 2,
+                               w00 = (1 - wu) * (1 - wv), w10 = wu * (1 - wv), w01 = (1 - wu) * wv, w11 = wu * wv;
+                           tr = tex[t00] * w00 + tex[t10] * w10 + tex[t01] * w01 + tex[t11] * w11;
+                           tg = tex[t00+1] * w00 + tex[t10+1] * w10 + tex[t01+1] * w01 + tex[t11+1] * w11;
+                           tb = tex[t00+2] * w00 + tex[t10+2] * w10 + tex[t01+2] * w01 + tex[t11+2] * w11;
+                           ta = tex[t00+3] * w00 + tex[t10+3] * w10 + tex[t01+3] * w01 + tex[t11+3] * w11;
+                        }
+                        else
+                        {
+                           tu = Math.floor(tu);
+                           tv = Math.floor(tv);
+                           d = ((tv < 0 ? 0 : (tv >= texh ? texh - 1 : tv)) * texw + (tu < 0 ? 0 : (tu >= texw ? texw - 1 : tu))) << 2;
+                           tr = tex[d];
+                           tg = tex[d+1];
+                           tb = tex[d+2];
+                           ta = tex[d+3];
+                        }
+                        
+                        // fully transparent texels are not drawn
+                        draw = (ta !== 0);
+                        pr = tr + (r - tr) * a;
+                        pg = tg + (g - tg) * a;
+                        pb = tb + (b - tb) * a;
+                     }
+                     else
+                     {
+                        draw = true;
+                        pr = r;
+                        pg = g;
+                        pb = b;
+                     }
+                     if (draw)
+                     {
+                        if (fog !== null)
+                        {
+                           pr += (fog[0] - pr) * f;
+                           pg += (fog[1] - pg) * f;
+                           pb += (fog[2] - pb) * f;
+                        }
+                        if (depth !== null && write) depth[pixel] = z;
+                        data[ offset ] = pr;
+                        data[ offset + 1 ] = pg;
+                        data[ offset + 2 ] = pb;
+                        data[ offset + 3 ] = 255;
+                     }
+                  }
                }
                cx1 -= fdy12;
                cx2 -= fdy23;
                cx3 -= fdy31;
+               if (zg !== null) z += zg[0];
+               r += rg[0];
+               g += gg[0];
+               b += bg[0];
+               if (fg !== null) f += fg[0];
+               if (tex !== null)
+               {
+                  a += ag[0];
+                  q += qg[0];
+                  u += ug[0];
+                  v += vg[0];
+               }
             }
             cy1 += fdx12;
             cy2 += fdx23;
             cy3 += fdx31;
+            if (zg !== null) zg[2] += zg[1];
+            rg[2] += rg[1];
+            gg[2] += gg[1];
+            bg[2] += bg[1];
+            if (fg !== null) fg[2] += fg[1];
+            if (tex !== null)
+            {
+               ag[2] += ag[1];
+               qg[2] += qg[1];
+               ug[2] += ug[1];
+               vg[2] += vg[1];
+            }
+         }
+      }
+   });
+})();
+
+
+(function() {
+   "use strict";
+
+   /**
+    * SVGRenderer outputs the scene as an SVG document - vector output of a scene for print and documentation. The
+    * entities are drawn as SVG polygons, lines and circles in the same order and with the same lighting as the
+    * CanvasRenderer. Textures are drawn as images transformed onto each triangle and clipped to it with a clip path.
+    * Point entities with the "callback" shademode draw to a canvas context so are not output.
+    * 
+    * @param width {Number}    Width of the SVG document - generally the same as the scene viewport
+    * @param height {Number}   Height of the SVG document
+    */
+   Phoria.SVGRenderer = function(width, height)
+   {
+      Phoria.SVGRenderer.superclass.constructor.call(this);
+
+      this.width = width;
+      this.height = height;
+
+      return this;
+   };
+   
+   /**
+    * Format a number for an SVG attribute - two decimal places are enough for screen coordinates
+    */
+   var fnNum = function(n)
+   {
+      return Math.round(n * 100) / 100;
+   };
+   
+   /**
+    * Return the SVG points attribute value for a list of screen coordinates
+    */
+   var fnPoints = function(coords)
+   {
+      var points = new Array(coords.length);
+      for (var i=0; i<coords.length; i++)
+      {
+         points[i] = fnNum(coords[i][0]) + "," + fnNum(coords[i][1]);
+      }
+      return points.join(" ");
+   };
+   
+   /**
+    * Return the SVG colour and opacity for a canvas "rgb(...)" or "rgba(...)" colour style string
+    */
+   var fnColor = function(style)
+   {
+      var c = style.substring(style.indexOf("(") + 1, style.indexOf(")")).split(",");
+      return {color: "rgb(" + c[0] + "," + c[1] + "," + c[2] + ")", opacity: c.length > 3 ? parseFloat(c[3]) : 1.0};
+   };
+   
+   Phoria.Util.extend(Phoria.SVGRenderer, Phoria.Renderer, {
+      // {Number} width of the SVG document
+      width: 0,
+      
+      // {Number} height of the SVG document
+      height: 0,
+      
+      // {String} SVG document generated by the last call to render()
+      svg: null,
+      
+      // @private {Array} elements and definitions of the document being rendered
+      _out: null,
+      _defs: null,
+      // @private {Array} texture images defined in the document being rendered - {image: Image, id: String}
+      _images: null,
+      _ids: 0,
+      
+      /**
+       * Render the given scene to an SVG document
+       * 
+       * @param {Phoria.Scene} scene   The scene to render - processed by scene.modelView()
+       * @return SVG document string - also available as the svg property of the renderer
+       */
+      render: function render(scene)
+      {
+         this.sortObjects(scene);
+         
+         this._out = [];
+         this._defs = [];
+         this._images = [];
+         this._ids = 0;
+         var out = this._out;
+         
+         // a scene projected through a named camera is only drawn within the viewport of the view
+         var vp = scene._view !== null ? scene._view.viewport : null;
+         if (vp)
+         {
+            out.push('<g clip-path="url(#' + this.createClipPath(
+               '<rect x="' + fnNum(vp.x) + '" y="' + fnNum(vp.y) + '" width="' + fnNum(vp.width) + '" height="' + fnNum(vp.height) + '"/>') + ')">');
+         }
+         
+         // entities that receive shadows are rendered first so the shadows drawn over them are beneath the casters
+         var renderlist = scene.renderlist;
+         for (var n=0; n<renderlist.length; n++)
+         {
+            if (renderlist[n]._shadows)
+            {
+               renderlist = renderlist.filter(function(obj) {return obj._shadows;}).concat(
+                            renderlist.filter(function(obj) {return !obj._shadows;}));
+               break;
+            }
+         }
+         
+         for (var n=0, obj; n<renderlist.length; n++)
+         {
+            obj = renderlist[n];
+            
+            switch (obj.style.drawmode)
+            {
+               case "solid":
+               {
+                  // calculate the lighting at each vertex once for all the polygons
+                  if (obj.style.shademode === "gouraud") this.calcVertexBrightness(obj, scene);
+                  
+                  out.push("<g>");
+                  for (var i=0; i<obj.polygons.length; i++)
+                  {
+                     this.renderPolygon(obj, scene, obj.polygons[i]);
+                  }
+                  
+                  // planar shadows projected onto the entity by the scene
+                  if (obj._shadows) this.renderShadows(obj);
+                  out.push("</g>");
+                  break;
+               }
+               
+               case "wireframe":
+               {
+                  out.push('<g fill="none" stroke-linecap="round" stroke-width="' + fnNum(obj.style.linewidth) +
+                           '" opacity="' + fnNum(obj.style.opacity) + '">');
+                  for (var i=0; i<obj.edges.length; i++)
+                  {
+                     this.renderEdge(obj, scene, obj.edges[i]);
+                  }
+                  out.push("</g>");
+                  break;
+               }
+               
+               case "point":
+               {
+                  out.push('<g opacity="' + fnNum(obj.style.opacity) + '">');
+                  for (var i=0; i<obj._coords.length; i++)
+                  {
+                     this.renderPoint(obj, scene, obj._coords[i], i);
+                  }
+                  out.push("</g>");
+                  break;
+               }
+            }
+         }
+         
+         if (vp) out.push("</g>");
+         
+         this.svg = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" version="1.1" ' +
+                    'width="' + this.width + '" height="' + this.height + '" viewBox="0 0 ' + this.width + ' ' + this.height + '">\n' +
+                    (this._defs.length !== 0 ? "<defs>\n" + this._defs.join("\n") + "\n</defs>\n" : "") +
+                    out.join("\n") + "\n</svg>";
+         this._out = this._defs = this._images = null;
+         
+         return this.svg;
+      },
+      
+      /**
+       * The SVG renderer has no pixels to return - the svg property contains the output of the renderer
+       */
+      getImageData: function getImageData()
+      {
+         throw new Error("SVGRenderer does not render to an image - use the svg document output.");
+      },
+      
+      /**
+       * Add a clip path definition to the document being rendered
+       * 
+       * @param shapes {String}   SVG shape elements of the clip path
+       * @return id of the clip path
+       */
+      createClipPath: function createClipPath(shapes)
+      {
+         var id = "clip" + (this._ids++);
+         this._defs.push('<clipPath id="' + id + '">' + shapes + '</clipPath>');
+         return id;
+      },
+      
+      /**
+       * Return the id of the definition of a texture image in the document being rendered - images are defined once
+       * and then referenced by each polygon or sprite that draws them
+       * 
+       * @param image {Object}   Image, canvas or object with width, height and RGBA data - @see Phoria.Util.imageSource()
+       * @return id of the image - or null if the image has no source
+       */
+      getImageId: function getImageId(image)
+      {
+         for (var i=0; i<this._images.length; i++)
+         {
+            if (this._images[i].image === image) return this._images[i].id;
+         }
+         var src = image ? Phoria.Util.imageSource(image) : null;
+         if (!src) return null;
+         var id = "image" + (this._ids++);
+         this._defs.push('<image id="' + id + '" width="' + image.width + '" height="' + image.height +
+                         '" preserveAspectRatio="none" xlink:href="' + src.replace(/&/g, "&amp;").replace(/"/g, "&quot;") + '"/>');
+         this._images.push({image: image, id: id});
+         return id;
+      },
+      
+      /**
+       * Return the SVG fill or stroke attributes for a canvas colour style string or a linear gradient created
+       * by createGouraudFill() - gradients are added to the definitions of the document being rendered
+       * 
+       * @param attr {String}   Attribute to set - "fill" or "stroke"
+       * @param style {Object}  Colour style string or gradient
+       */
+      getPaint: function getPaint(attr, style)
+      {
+         if (typeof style === "string")
+         {
+            var c = fnColor(style);
+            return " " + attr + '="' + c.color + '"' + (c.opacity !== 1 ? " " + attr + '-opacity="' + fnNum(c.opacity) + '"' : "");
+         }
+         var id = "gradient" + (this._ids++),
+             def = '<linearGradient id="' + id + '" gradientUnits="userSpaceOnUse" x1="' + fnNum(style.x0) + '" y1="' + fnNum(style.y0) +
+                   '" x2="' + fnNum(style.x1) + '" y2="' + fnNum(style.y1) + '">';
+         for (var i=0, c; i<style.stops.length; i++)
+         {
+            c = fnColor(style.stops[i][1]);
+            def += '<stop offset="' + style.stops[i][0] + '" stop-color="' + c.color + '" stop-opacity="' + fnNum(c.opacity) + '"/>';
+         }
+         this._defs.push(def + "</linearGradient>");
+         return " " + attr + '="url(#' + id + ')"';
+      },
+      
+      renderPoint: function renderPoint(obj, scene, coord, index)
+      {
+         // perform clip of point if vertex has been marked for clipping
+         if (obj._clip[index]) return;
+         
+         var w = obj.style.linewidth;
+         if (obj.style.linescale !== 0)
+         {
+            // use the perspective divisor to calculate line width scaling
+            w = (obj.style.linewidth * obj.style.linescale * scene._perspectiveScale) / obj._coords[index][3];
+         }
+         
+         var rgb;
+         switch (obj.style.shademode)
+         {
+            case "plain":
+            {
+               rgb = obj.style.color;
+               break;
+            }
+            case "lightsource":
+            {
+               rgb = this.calcPositionBrightness(obj._worldcoords[index], scene.lights);
+               rgb = [Math.min(Math.ceil(rgb[0] * obj.style.color[0]),255),
+                      Math.min(Math.ceil(rgb[1] * obj.style.color[1]),255),
+                      Math.min(Math.ceil(rgb[2] * obj.style.color[2]),255)];
+               break;
+            }
+            case "sprite":
+            {
+               var id = obj.style.sprite !== undefined && obj.textures ? this.getImageId(obj.textures[obj.style.sprite]) : null;
+               if (id !== null)
+               {
+                  var image = obj.textures[obj.style.sprite];
+                  this._out.push('<use xlink:href="#' + id + '" transform="translate(' + fnNum(coord[0]-w) + ',' + fnNum(coord[1]-w) +
+                                 ') scale(' + fnNum((w+w) / image.width) + ',' + fnNum((w+w) / image.height) + ')"/>');
+               }
+               return;
+            }
+            default:
+               return;
+         }
+         if (scene.fog.mode !== "none") rgb = this.applyFog(scene, rgb, this.calcFog(scene, obj._coords[index]));
+         this._out.push('<circle cx="' + fnNum(coord[0]) + '" cy="' + fnNum(coord[1]) + '" r="' + fnNum(w) +
+                        '" fill="rgb(' + Math.round(rgb[0]) + ',' + Math.round(rgb[1]) + ',' + Math.round(rgb[2]) + ')"/>');
+      },
+      
+      renderEdge: function renderEdge(obj, scene, edge)
+      {
+         var coorda, coordb;
+         if (edge._clipcoords)
+         {
+            // edge has been clipped against the frustum planes during scene processing - may be entirely clipped
+            if (edge._clipcoords.length === 0) return;
+            coorda = edge._clipcoords[0];
+            coordb = edge._clipcoords[1];
+         }
+         else
+         {
+            // perform clip of edge if all vertices have been marked for clipping
+            if (obj._clip[edge.a] & obj._clip[edge.b]) return;
+            coorda = obj._coords[edge.a];
+            coordb = obj._coords[edge.b];
+         }
+         
+         var width = "";
+         if (obj.style.linescale !== 0)
+         {
+            // use the perspective divisor to calculate line width scaling
+            width = ' stroke-width="' + fnNum(((obj.style.linewidth * obj.style.linescale) / ((coorda[3] + coordb[3]) * 0.5)) * scene._perspectiveScale) + '"';
+         }
+         
+         // lighting calc
+         var color = obj.style.color;
+         if (obj.style.shademode === "lightsource")
+         {
+            var edgea = obj._worldcoords[edge.a], edgeb = obj._worldcoords[edge.b],
+                position = vec3.fromValues((edgea[0] + edgeb[0]) * 0.5, (edgea[1] + edgeb[1]) * 0.5, (edgea[2] + edgeb[2]) * 0.5);
+            var rgb = this.calcPositionBrightness(position, scene.lights);
+            color = [Math.min(Math.ceil(rgb[0] * obj.style.color[0]),255),
+                     Math.min(Math.ceil(rgb[1] * obj.style.color[1]),255),
+                     Math.min(Math.ceil(rgb[2] * obj.style.color[2]),255)];
+         }
+         
+         // distance fog at the middle of the edge
+         if (scene.fog.mode !== "none")
+         {
+            color = this.applyFog(scene, color, (this.calcFog(scene, coorda) + this.calcFog(scene, coordb)) * 0.5);
+         }
+         
+         this._out.push('<line x1="' + fnNum(coorda[0]) + '" y1="' + fnNum(coorda[1]) + '" x2="' + fnNum(coordb[0]) + '" y2="' + fnNum(coordb[1]) +
+                        '" stroke="rgb(' + Math.round(color[0]) + ',' + Math.round(color[1]) + ',' + Math.round(color[2]) + ')"' + width + '/>');
+      },
+      
+      /**
+       * Render the planar shadows projected onto a shadow receiving entity - clipped to the receiver polygons.
+       * Soft shadows are blurred with a gaussian blur filter.
+       * 
+       * @param obj {Phoria.Entity}    Entity receiving the shadows - @see Phoria.Scene
+       */
+      renderShadows: function renderShadows(obj)
+      {
+         for (var n=0, shadow; n<obj._shadows.length; n++)
+         {
+            shadow = obj._shadows[n];
+            if (shadow.polygons.length === 0 || shadow.opacity <= 0) continue;
+            
+            // clip to the receiver polygons
+            var shapes = "";
+            for (var i=0, poly, coords, vertices; i<obj.polygons.length; i++)
+            {
+               poly = obj.polygons[i];
+               coords = poly._clipvertices ? poly._clipcoords : obj._coords;
+               vertices = poly._clipvertices ? poly._clipvertices : poly.vertices;
+               if (vertices.length < 3) continue;
+               shapes += '<polygon points="' + fnPoints(vertices.map(function(v) {return coords[v];})) + '"/>';
+            }
+            var clip = this.createClipPath(shapes);
+            
+            // every polygon is drawn with the same winding so the nonzero fill rule gives the union of the polygons
+            var path = [];
+            for (var i=0, points, area, k, p; i<shadow.polygons.length; i++)
+            {
+               points = shadow.polygons[i];
+               for (k=0, area=0; k<points.length; k++)
+               {
+                  p = points[(k+1) % points.length];
+                  area += points[k][0] * p[1] - p[0] * points[k][1];
+               }
+               if (area === 0) continue;
+               for (k=0; k<points.length; k++)
+               {
+                  p = points[area > 0 ? k : points.length - 1 - k];
+                  path.push((k === 0 ? "M" : "L") + fnNum(p[0]) + "," + fnNum(p[1]));
+               }
+               path.push("Z");
+            }
+            
+            var filter = "";
+            if (shadow.softness > 0)
+            {
+               // canvas shadow blur is approximately twice the standard deviation of the gaussian blur
+               var id = "blur" + (this._ids++);
+               this._defs.push('<filter id="' + id + '" x="-50%" y="-50%" width="200%" height="200%">' +
+                               '<feGaussianBlur stdDeviation="' + fnNum(shadow.softness * 0.5) + '"/></filter>');
+               filter = ' filter="url(#' + id + ')"';
+            }
+            this._out.push('<g clip-path="url(#' + clip + ')"><path d="' + path.join(" ") + '" fill="rgb(0,0,0)" fill-opacity="' +
+                           fnNum(shadow.opacity) + '" fill-rule="nonzero"' + filter + '/></g>');
+         }
+      },
+      
+      renderPolygon: function renderPolygon(obj, scene, poly)
+      {
+         var coords = obj._coords,
+             clip = obj._clip,
+             vertices = poly.vertices,
+             uvs = poly.uvs,
+             color = poly.color ? poly.color : obj.style.color,
+             fillStyle = null, rgb, colors = null, emit = 0.0, opacity = (poly.opacity ? poly.opacity : obj.style.opacity),
+             out = this._out;
+         
+         if (poly._clipvertices)
+         {
+            // polygon has been clipped against the frustum planes during scene processing - may be entirely clipped
+            coords = poly._clipcoords;
+            vertices = poly._clipvertices;
+            uvs = poly._clipuvs !== null ? poly._clipuvs : undefined;
+            if (vertices.length < 3) return;
+         }
+         else
+         {
+            // clip of poly if all vertices have been marked for clipping
+            var clippoly = 1;
+            for (var i=0; i<vertices.length; i++)
+            {
+               clippoly &= clip[vertices[i]];
+            }
+            if (clippoly) return;
+         }
+         
+         // hidden surface removal - use area sign in screen space calculation rather than normal to camera
+         if (!obj.style.doublesided && 
+             ((coords[vertices[0]][0]*coords[vertices[1]][1] - coords[vertices[1]][0]*coords[vertices[0]][1]) +
+              (coords[vertices[1]][0]*coords[vertices[2]][1] - coords[vertices[2]][0]*coords[vertices[1]][1]) +
+              (coords[vertices[2]][0]*coords[vertices[0]][1] - coords[vertices[0]][0]*coords[vertices[2]][1]) < 0)) return;
+         
+         // distance fog at each vertex - textures are blended with the average amount after they are drawn
+         var textured = (obj.style.texture !== undefined || poly.texture !== undefined),
+             fogs = null, fog = 0;
+         if (scene.fog.mode !== "none")
+         {
+            fogs = new Array(vertices.length);
+            for (var i=0; i<vertices.length; i++)
+            {
+               fog += (fogs[i] = this.calcFog(scene, coords[vertices[i]]));
+            }
+            fog /= vertices.length;
+         }
+         
+         // generate fill colour based on lighting mode
+         switch (obj.style.shademode)
+         {
+            case "plain":
+            {
+               if (!textured)
+               {
+                  var c = fog !== 0 ? this.applyFog(scene, color, fog) : color;
+                  fillStyle = Math.round(c[0]) + "," + Math.round(c[1]) + "," + Math.round(c[2]);
+               }
+               break;
+            }
+            
+            case "lightsource":
+            {
+               // this performs a pass for each light - a simple linear-additive lighting model
+               rgb = this.calcNormalBrightness(Phoria.Util.averagePolyVertex(poly.vertices, obj._worldcoords), poly._worldnormal, scene, obj);
+               
+               if (poly.emit || obj.style.emit)
+               {
+                  emit = poly.emit ? poly.emit : obj.style.emit;
+               }
+               
+               var c = [Math.min(Math.ceil(rgb[0]*color[0] + color[0]*emit),255),
+                        Math.min(Math.ceil(rgb[1]*color[1] + color[1]*emit),255),
+                        Math.min(Math.ceil(rgb[2]*color[2] + color[2]*emit),255)];
+               if (fog !== 0 && !textured) c = this.applyFog(scene, c, fog);
+               fillStyle = Math.round(c[0]) + "," + Math.round(c[1]) + "," + Math.round(c[2]);
+               break;
+            }
+            
+            case "gouraud":
+            {
+               if (poly.emit || obj.style.emit)
+               {
+                  emit = poly.emit ? poly.emit : obj.style.emit;
+               }
+               
+               // lit colour at each vertex - approximated with a linear gradient as with the canvas renderer
+               colors = this.calcVertexColors(obj, poly, color, emit);
+               if (fogs !== null && !textured)
+               {
+                  for (var i=0; i<colors.length; i++)
+                  {
+                     colors[i] = this.applyFog(scene, colors[i], fogs[i]);
+                  }
+               }
+               
+               // average brightness and colour of the vertices - used to shade textures
+               rgb = [0,0,0];
+               var avg = [0,0,0];
+               for (var i=0, b; i<poly._vertexnormals.length; i++)
+               {
+                  b = obj._vertexBrightness[poly._vertexnormals[i]];
+                  rgb[0] += b[0]; rgb[1] += b[1]; rgb[2] += b[2];
+               }
+               for (var i=0; i<colors.length; i++)
+               {
+                  avg[0] += colors[i][0]; avg[1] += colors[i][1]; avg[2] += colors[i][2];
+               }
+               vec3.scale(rgb, rgb, 1 / poly._vertexnormals.length);
+               fillStyle = Math.round(avg[0] / colors.length) + "," +
+                           Math.round(avg[1] / colors.length) + "," +
+                           Math.round(avg[2] / colors.length);
+               break;
+            }
+         }
+         
+         if (textured)
+         {
+            var bitmap = obj.textures[ poly.texture !== undefined ? poly.texture : obj.style.texture ],
+                id = this.getImageId(bitmap),
+                renderer = this;
+            
+            // texture coordinates in image pixels - the default coordinates map the whole image to a triangle or quad
+            if (uvs === undefined && vertices.length <= 4)
+            {
+               uvs = (vertices.length === 3 ? [0,0, 1,0, 1,1] : [0,0, 1,0, 1,1, 0,1]);
+            }
+            if (uvs === undefined || id === null) return;
+            
+            // each triangle draws the image transformed onto it and clipped to it - triangles are split into parts
+            // for perspective correct texture mapping as with the canvas renderer
+            var fRenderTexture = function(c0, c1, c2, t0, t1, t2)
+            {
+               var vs = renderer.inflatePolygon([0, 1, 2], [c0, c1, c2], 0.5),
+                   m = renderer.calcTextureTransform(vs, t0[0], t0[1], t1[0], t1[1], t2[0], t2[1]);
+               out.push('<g clip-path="url(#' + renderer.createClipPath('<polygon points="' + fnPoints(vs) + '"/>') + ')">' +
+                        '<use xlink:href="#' + id + '" transform="matrix(' + m.map(function(n) {return n.toFixed(6);}).join(" ") + ')"' +
+                        (opacity !== 1 ? ' opacity="' + fnNum(opacity) + '"' : '') + '/></g>');
+            };
+            var triangles = this.getPolygonTriangles(obj, poly, vertices);
+            for (var k=0, a, b, c; k<triangles.length; k+=3)
+            {
+               a = triangles[k]; b = triangles[k+1]; c = triangles[k+2];
+               this.splitTextureTriangle(obj.style, coords[vertices[a]], coords[vertices[b]], coords[vertices[c]],
+                  [bitmap.width * uvs[a*2], bitmap.height * uvs[a*2+1]],
+                  [bitmap.width * uvs[b*2], bitmap.height * uvs[b*2+1]],
+                  [bitmap.width * uvs[c*2], bitmap.height * uvs[c*2+1]], fRenderTexture);
+            }
+            
+            // apply optional colour fill to shade and light the texture image - then blend in the fog colour
+            var points = fnPoints(this.inflatePolygon(vertices, coords, vertices.length === 3 ? 0.5 : 0.75));
+            if (fillStyle !== null)
+            {
+               // convert RGB to grey scale level
+               var alpha = Math.min(rgb[0]*0.3 + rgb[1]*0.6 + rgb[2]*0.1, 1.0);
+               out.push('<polygon points="' + points + '" fill="rgb(' + fillStyle + ')" fill-opacity="' + fnNum((1.0 - alpha) * opacity) + '"/>');
+            }
+            if (fog !== 0)
+            {
+               out.push('<polygon points="' + points + '" fill="rgb(' + scene.fog.color.join(",") + ')" fill-opacity="' + fnNum(fog * opacity) + '"/>');
+            }
+         }
+         else
+         {
+            // inflate the polygon to cover the cracks between anti-aliased polygons as with the canvas renderer
+            var points = obj.style.fillmode === "inflate" ? this.inflatePolygon(vertices, coords, 0.5) :
+                         vertices.map(function(v) {return coords[v];});
+            
+            // gouraud shading is approximated with a linear gradient - created via a canvas style gradient factory
+            var paint = colors !== null ?
+               this.createGouraudFill({
+                  createLinearGradient: function(x0, y0, x1, y1) {
+                     return {x0: x0, y0: y0, x1: x1, y1: y1, stops: [], addColorStop: function(offset, color) {
+                        this.stops.push([offset, color]);
+                     }};
+                  }
+               }, coords, vertices, colors, opacity) :
+               "rgba(" + fillStyle + "," + opacity + ")";
+            
+            var attrs;
+            switch (obj.style.fillmode)
+            {
+               case "fillstroke":
+                  attrs = this.getPaint("fill", paint) + this.getPaint("stroke", paint) + ' stroke-width="1"';
+                  break;
+               
+               case "hiddenline":
+                  attrs = ' fill="none"' + this.getPaint("stroke", paint) + ' stroke-width="1"';
+                  break;
+               
+               default:
+                  attrs = this.getPaint("fill", paint);
+                  break;
+            }
+            out.push('<polygon points="' + fnPoints(points) + '"' + attrs + '/>');
          }
       }
    });
@@ -30,6 +30,8 @@
       };
       
       this.perspective = {
+         // projection mode - one of "perspective" or "orthographic"
+         projection: "perspective",
          // vertical field-of-view in degrees NOTE: converted to Phoria.RADIANS for mat4.perspective()
          fov: 35.0,
          // aspect ratio of the view plane
@@ -37,7 +39,10 @@
          // near bound of the frustum
          near: 1.0,
          // far bound of the frustum
-         far: 10000.0
+         far: 10000.0,
+         // orthographic projection only - height of the view volume in world units, the width is calculated from
+         // the aspect ratio. Alternatively set explicit left, right, top and bottom bounds of the view volume.
+         height: 10.0
       };
       
       // typically this is set to the width and height of the canvas rendering area
@@ -48,12 +53,746 @@
          height: 1024
       };
       
+      // distance fog - colours are blended towards the fog colour by the camera space depth
+      this.fog = {
+         // fog mode - one of "none", "linear" or "exponential"
+         mode: "none",
+         // RGB colour of the fog
+         color: [255,255,255],
+         // linear fog only - depth at which the fog begins and the depth where the fog colour is reached
+         start: 100.0,
+         end: 1000.0,
+         // exponential fog only - density of the fog
+         density: 0.001
+      };
+      
       this.graph = [];
       this.triggerHandlers = [];
+      this.cameras = {};
+      this.clock = new Phoria.Clock();
 
       return this;
    };
 
+   // clip plane distance functions for homogeneous clip space coordinates - a vertex is inside a plane if the
+   // distance is positive. In order: near, far, left, right, bottom, top
+   var CLIP_PLANES = [
+      function(c) { return c[3] + c[2]; },
+      function(c) { return c[3] - c[2]; },
+      function(c) { return c[3] + c[0]; },
+      function(c) { return c[3] - c[0]; },
+      function(c) { return c[3] + c[1]; },
+      function(c) { return c[3] - c[1]; }
+   ];
+
+   /**
+    * Linear interpolation of a clip vertex structure - the homogeneous clip coordinate, optional texture coordinate
+    * and optional weights of the original polygon vertices.
+    */
+   var interpolateClipVertex = function interpolateClipVertex(a, b, t)
+   {
+      var v = {
+         clip: vec4.lerp(vec4.create(), a.clip, b.clip, t),
+         uv: null,
+         weights: null
+      };
+      if (a.uv)
+      {
+         v.uv = [a.uv[0] + (b.uv[0] - a.uv[0]) * t, a.uv[1] + (b.uv[1] - a.uv[1]) * t];
+      }
+      if (a.weights)
+      {
+         v.weights = new Array(a.weights.length);
+         for (var i=0; i<a.weights.length; i++) v.weights[i] = a.weights[i] + (b.weights[i] - a.weights[i]) * t;
+      }
+      return v;
+   };
+
+   /**
+    * Clip the polygons and edges of an entity that cross the clipping planes. Clipping is performed in homogeneous clip
+    * space - before perspective division - so vertices behind the camera are handled correctly. Clipped primitives are
+    * given new screen coordinates to be used by the renderers in place of the entity coordinates:
+    *    polygon._clipvertices - index list into polygon._clipcoords, empty if the polygon is entirely clipped
+    *    polygon._clipcoords   - screen coordinates of the clipped polygon
+    *    polygon._clipuvs      - interpolated texture coordinates of the clipped polygon if it is textured
+    *    polygon._clipweights  - gouraud shading only - weights of the original polygon vertices for each clip vertex
+    *    edge._clipcoords      - screen coordinates of the clipped edge end points, empty if the edge is entirely clipped
+    * Primitives that do not cross a plane have these values reset to null.
+    * 
+    * @param obj {Phoria.Entity}       Entity with camera coordinates calculated for this frame
+    * @param matPerspective {mat4}     Perspective matrix
+    * @param planes {Number}           Number of CLIP_PLANES to test - 2 for near/far only or 6 for the whole frustum
+    * @param fnProject {function}      Perspective division and viewport transform for a clip coordinate
+    * @return true if any primitive was clipped
+    */
+   var clipGeometry = function clipGeometry(obj, matPerspective, planes, fnProject)
+   {
+      var clipped = false, len,
+          camcoords = obj._cameracoords,
+          clipcoords = new Array(obj.points.length),
+          outside = new Phoria.CLIP_ARRAY_TYPE(obj.points.length);
+      
+      // regenerate homogeneous clip coordinates and a bitmask of the planes each vertex is outside of
+      for (var i=0, c, p; i<clipcoords.length; i++)
+      {
+         c = clipcoords[i] = vec4.transformMat4(vec4.create(), camcoords[i], matPerspective);
+         for (p=0; p<planes; p++)
+         {
+            if (CLIP_PLANES[p](c) < 0) outside[i] |= (1 << p);
+         }
+      }
+      
+      if (obj.style.drawmode === "solid")
+      {
+         for (var n=0, poly, vertices, any, all; n<obj.polygons.length; n++)
+         {
+            poly = obj.polygons[n];
+            vertices = poly.vertices;
+            any = 0; all = ~0;
+            for (i=0; i<vertices.length; i++)
+            {
+               any |= outside[vertices[i]];
+               all &= outside[vertices[i]];
+            }
+            if (any === 0)
+            {
+               // entirely inside all planes - render as normal
+               poly._clipvertices = poly._clipcoords = poly._clipuvs = poly._clipweights = null;
+               continue;
+            }
+            clipped = true;
+            
+            // construct the list of clip vertices - with texture coordinates if the polygon is textured
+            var verts = [];
+            if (all === 0)
+            {
+               var uvs = null;
+               if (poly.texture !== undefined || obj.style.texture !== undefined)
+               {
+                  uvs = poly.uvs !== undefined ? poly.uvs : (vertices.length === 3 ? [0,0, 1,0, 1,1] : [0,0, 1,0, 1,1, 0,1]);
+               }
+               for (i=0; i<vertices.length; i++)
+               {
+                  verts.push({
+                     clip: clipcoords[vertices[i]],
+                     uv: (uvs && uvs.length > i*2+1) ? [uvs[i*2], uvs[i*2+1]] : null,
+                     weights: null
+                  });
+                  if (obj.style.shademode === "gouraud")
+                  {
+                     verts[i].weights = new Array(vertices.length);
+                     for (var k=0; k<vertices.length; k++) verts[i].weights[k] = (k === i ? 1 : 0);
+                  }
+               }
+               
+               // Sutherland-Hodgman - clip the polygon against each plane in turn
+               for (p=0; p<planes && verts.length !== 0; p++)
+               {
+                  if ((any & (1 << p)) === 0) continue;
+                  var fnDistance = CLIP_PLANES[p], output = [];
+                  for (i=0, len=verts.length; i<len; i++)
+                  {
+                     var a = verts[i], b = verts[(i+1) % len],
+                         da = fnDistance(a.clip), db = fnDistance(b.clip);
+                     if (da >= 0) output.push(a);
+                     if ((da >= 0) !== (db >= 0)) output.push(interpolateClipVertex(a, b, da / (da - db)));
+                  }
+                  verts = output;
+               }
+            }
+            
+            // generate the screen coordinates and index list for the renderers
+            poly._clipvertices = new Array(verts.length);
+            poly._clipcoords = new Array(verts.length);
+            poly._clipuvs = (verts.length !== 0 && verts[0].uv) ? new Array(verts.length * 2) : null;
+            poly._clipweights = (verts.length !== 0 && verts[0].weights) ? new Array(verts.length) : null;
+            for (i=0; i<verts.length; i++)
+            {
+               poly._clipvertices[i] = i;
+               poly._clipcoords[i] = fnProject(verts[i].clip);
+               if (poly._clipweights) poly._clipweights[i] = verts[i].weights;
+               if (poly._clipuvs)
+               {
+                  poly._clipuvs[i*2] = verts[i].uv[0];
+                  poly._clipuvs[i*2+1] = verts[i].uv[1];
+               }
+            }
+         }
+      }
+      else if (obj.style.drawmode === "wireframe")
+      {
+         for (var n=0, edge, any; n<obj.edges.length; n++)
+         {
+            edge = obj.edges[n];
+            any = outside[edge.a] | outside[edge.b];
+            if (any === 0)
+            {
+               edge._clipcoords = null;
+               continue;
+            }
+            clipped = true;
+            edge._clipcoords = [];
+            if ((outside[edge.a] & outside[edge.b]) !== 0) continue;
+            
+            // move each end point that is outside a plane to the intersection with the plane
+            var ca = clipcoords[edge.a], cb = clipcoords[edge.b];
+            for (p=0; p<planes; p++)
+            {
+               if ((any & (1 << p)) === 0) continue;
+               var da = CLIP_PLANES[p](ca), db = CLIP_PLANES[p](cb);
+               if (da < 0 && db < 0) break;
+               if (da < 0) ca = vec4.lerp(vec4.create(), ca, cb, da / (da - db));
+               else if (db < 0) cb = vec4.lerp(vec4.create(), cb, ca, db / (db - da));
+            }
+            if (p === planes) edge._clipcoords = [fnProject(ca), fnProject(cb)];
+         }
+      }
+      
+      return clipped;
+   };
+
+   /**
+    * Transform the points and polygon normals of an entity into world space.
+    * 
+    * @param obj {Phoria.Entity}    Entity to transform
+    * @param matLocal {mat4}        Local transformation matrix combined with the parent matrices - or null for none
+    */
+   var transformToWorld = function transformToWorld(obj, matLocal)
+   {
+      var len = obj.points.length;
+      
+      // pre-create or reuse coordinate buffers for world, screen, normal and clip coordinates
+      obj.initCoordinateBuffers();
+      
+      // local object transformation -> world space
+      for (var v=0, verts, vec; v<len; v++)
+      {
+         // construct homogeneous coordinate for the vertex as a vec4
+         verts = obj.points[v];
+         vec = vec4.set(obj._worldcoords[v], verts.x, verts.y, verts.z, 1.0);
+         
+         // skip local transform if matrix not present
+         // else store locally transformed vec4 world points
+         if (matLocal) vec4.transformMat4(obj._worldcoords[v], vec, matLocal);
+      }
+      
+      // normal lighting transformation
+      if (obj.style.drawmode === "solid" && obj.polygons.length !== 0)
+      {
+         // TODO: have a flag on scene for "transposedNormalMatrix..." - i.e. make it optional?
+         // invert and transpose the local model matrix - for correct normal scaling
+         var matNormals = mat4.invert(mat4.create(), matLocal ? matLocal : mat4.create());
+         mat4.transpose(matNormals, matNormals);
+         
+         switch (obj.style.shademode)
+         {
+            case "gouraud":
+            {
+               // generate the vertex normals on demand - or again if the crease angle has been changed
+               if (obj._vertexNormals === null || obj._vertexNormalsCrease !== obj.style.creaseangle)
+               {
+                  obj.generateVertexNormals();
+               }
+               
+               // transform each vertex normal
+               for (var i=0, normal, wnormal; i<obj._vertexNormals.length; i++)
+               {
+                  normal = obj._vertexNormals[i];
+                  wnormal = obj._worldVertexNormals[i];
+                  vec3.transformMat4(wnormal, normal, matNormals);
+                  vec3.normalize(wnormal, wnormal);
+               }
+               
+               // fall through - polygon normals are also transformed as they are used for picking
+            }
+            case "lightsource":
+            {
+               // transform each polygon normal
+               for (var i=0, normal, wnormal; i<obj.polygons.length; i++)
+               {
+                  if (!obj.polygons[i]._worldnormal) obj.polygons[i]._worldnormal = vec4.create();
+                  
+                  // normal transformation -> world space
+                  normal = obj.polygons[i].normal;
+                  wnormal = obj.polygons[i]._worldnormal;
+                  // use vec3 to ensure normal directional component is not modified
+                  vec3.transformMat4(wnormal, normal, matNormals);
+                  vec3.normalize(wnormal, wnormal);
+               }
+               break;
+            }
+         }
+      }
+   };
+
+   /**
+    * Return the bounding sphere of an entity in world space - transformed from the cached local bounds of the entity.
+    * Point entities are rendered with a size in pixels so have no bounds in world units - they are never culled.
+    * 
+    * @param obj {Phoria.Entity}    Entity
+    * @param matLocal {mat4}        Local transformation matrix combined with the parent matrices - or null for none
+    * @return bounding sphere {center: vec3, radius: Number}
+    */
+   var worldSphere = function worldSphere(obj, matLocal)
+   {
+      if (obj.style.drawmode === "point") return {center: vec3.create(), radius: Infinity};
+      
+      var local = obj.getLocalBounds();
+      if (!matLocal) return {center: local.center, radius: local.radius};
+      
+      // scale the radius by the largest axis scale of the matrix
+      var sx = matLocal[0]*matLocal[0] + matLocal[1]*matLocal[1] + matLocal[2]*matLocal[2],
+          sy = matLocal[4]*matLocal[4] + matLocal[5]*matLocal[5] + matLocal[6]*matLocal[6],
+          sz = matLocal[8]*matLocal[8] + matLocal[9]*matLocal[9] + matLocal[10]*matLocal[10];
+      return {
+         center: vec3.transformMat4(vec3.create(), local.center, matLocal),
+         radius: local.radius * Math.sqrt(Math.max(sx, sy, sz))
+      };
+   };
+
+   /**
+    * Return the smallest sphere enclosing two spheres - either may be null for no bounds.
+    */
+   var mergeSpheres = function mergeSpheres(a, b)
+   {
+      if (a === null) return b;
+      if (b === null) return a;
+      if (a.radius === Infinity) return a;
+      if (b.radius === Infinity) return b;
+      var d = vec3.distance(a.center, b.center);
+      if (d + b.radius <= a.radius) return a;
+      if (d + a.radius <= b.radius) return b;
+      var r = (d + a.radius + b.radius) * 0.5;
+      return {
+         center: vec3.lerp(vec3.create(), a.center, b.center, (r - a.radius) / d),
+         radius: r
+      };
+   };
+
+   /**
+    * Extract the six normalised frustum planes in world space from a combined perspective and camera matrix.
+    * Each plane is a vec4 of the plane normal and distance - in the same order as CLIP_PLANES.
+    */
+   var frustumPlanes = function frustumPlanes(m)
+   {
+      var planes = new Array(6);
+      for (var p=0, row, sign, plane; p<6; p++)
+      {
+         // plane is the w row of the matrix plus or minus the z, x or y row
+         row = [2, 2, 0, 0, 1, 1][p];
+         sign = (p & 1) ? -1 : 1;
+         plane = vec4.fromValues(
+            m[3] + sign * m[row],
+            m[7] + sign * m[4 + row],
+            m[11] + sign * m[8 + row],
+            m[15] + sign * m[12 + row]);
+         vec4.scale(plane, plane, 1 / Math.sqrt(plane[0]*plane[0] + plane[1]*plane[1] + plane[2]*plane[2]));
+         planes[p] = plane;
+      }
+      return planes;
+   };
+
+   /**
+    * Return true if a bounding sphere is entirely outside any of the frustum planes.
+    */
+   var sphereOutside = function sphereOutside(planes, sphere)
+   {
+      if (sphere.radius === Infinity) return false;
+      var c = sphere.center;
+      for (var p=0, plane; p<6; p++)
+      {
+         plane = planes[p];
+         if (plane[0]*c[0] + plane[1]*c[1] + plane[2]*c[2] + plane[3] < -sphere.radius) return true;
+      }
+      return false;
+   };
+
+   /**
+    * Return the bounds of an orthographic view volume in camera space for a perspective description.
+    */
+   var orthographicBounds = function orthographicBounds(p)
+   {
+      if (p.left !== undefined && p.right !== undefined && p.top !== undefined && p.bottom !== undefined)
+      {
+         return {left: p.left, right: p.right, bottom: p.bottom, top: p.top};
+      }
+      var h = p.height * 0.5,
+          w = h * p.aspect;
+      return {left: -w, right: w, bottom: -h, top: h};
+   };
+
+   /**
+    * Project the silhouettes of shadow casting entities onto the plane of each shadow receiving entity - planar
+    * projected shadows. For each light with shadows enabled the polygons of the casters are projected from the light
+    * onto the receiver plane using the world coordinates of the current frame, then into screen coordinates.
+    * Each receiver is given a list of shadows to be drawn over it by the renderer:
+    *    entity._shadows - [{opacity:0.5, softness:0, polygons:[[[x,y],...],...]},...] or null if not a receiver
+    * The plane of a receiver is defined by its first polygon. Casters outside the view can still cast shadows onto a
+    * visible receiver - the world transformation of a culled caster is only performed when there is a receiver.
+    * 
+    * @param renderlist {Array}   Entities projected for the current view
+    * @param nodes {Array}        Flattened list of entity nodes - as generated by modelView()
+    * @param lights {Array}       Lights in the scene
+    * @param matViewProjection {mat4}  Combined camera and perspective matrix
+    * @param fnProject {function}      Perspective division and viewport transform for a clip coordinate
+    */
+   var projectShadows = function projectShadows(renderlist, nodes, lights, matViewProjection, fnProject)
+   {
+      var receivers = [], casters = [], n, obj;
+      for (n=0; n<renderlist.length; n++)
+      {
+         obj = renderlist[n];
+         obj._shadows = null;
+         if (obj.style.drawmode === "solid" && obj.polygons.length !== 0 && obj.style.receiveshadows) receivers.push(obj);
+      }
+      for (n=0; n<nodes.length && receivers.length !== 0; n++)
+      {
+         obj = nodes[n].entity;
+         if (obj === null || obj.style.drawmode !== "solid" || obj.polygons.length === 0 || !obj.style.castshadows) continue;
+         if (!nodes[n].world)
+         {
+            transformToWorld(obj, nodes[n].matrix);
+            nodes[n].world = true;
+         }
+         casters.push(obj);
+      }
+      
+      for (n=0; n<receivers.length; n++)
+      {
+         var receiver = receivers[n], wc = receiver._worldcoords, verts = receiver.polygons[0].vertices;
+         receiver._shadows = [];
+         
+         // receiver plane n.x + d = 0 - from the first polygon
+         var normal = vec3.cross(vec3.create(),
+                vec3.subtract(vec3.create(), wc[verts[1]], wc[verts[0]]),
+                vec3.subtract(vec3.create(), wc[verts[2]], wc[verts[0]]));
+         if (vec3.length(normal) === 0) continue;
+         vec3.normalize(normal, normal);
+         var d = -vec3.dot(normal, wc[verts[0]]);
+         
+         for (var l=0, light; l<lights.length; l++)
+         {
+            light = lights[l];
+            if (!light.shadows) continue;
+            
+            // light position or direction of travel - the plane normal is flipped to face the light
+            var lightPos = null, lightDir = null, lightDist = 0, planeNormal = normal, planeD = d;
+            if (light instanceof Phoria.DistantLight)
+            {
+               lightDir = vec3.negate(vec3.create(), light.worlddirection);
+               var dot = vec3.dot(planeNormal, lightDir);
+               if (dot === 0) continue;
+               if (dot > 0)
+               {
+                  planeNormal = vec3.negate(vec3.create(), normal);
+                  planeD = -d;
+               }
+            }
+            else if (light.worldposition)
+            {
+               lightPos = light.worldposition;
+               lightDist = vec3.dot(planeNormal, lightPos) + planeD;
+               if (lightDist === 0) continue;
+               if (lightDist < 0)
+               {
+                  planeNormal = vec3.negate(vec3.create(), normal);
+                  planeD = -d;
+                  lightDist = -lightDist;
+               }
+            }
+            else continue;
+            
+            var shadow = {
+               opacity: light.shadowOpacity,
+               softness: light.shadowSoftness,
+               polygons: []
+            };
+            for (var c=0, caster; c<casters.length; c++)
+            {
+               caster = casters[c];
+               if (caster === receiver) continue;
+               for (var p=0, poly, coords, ok, i, pt, dist, t, clip; p<caster.polygons.length; p++)
+               {
+                  poly = caster.polygons[p];
+                  coords = new Array(poly.vertices.length);
+                  ok = true;
+                  for (i=0; i<poly.vertices.length; i++)
+                  {
+                     pt = caster._worldcoords[poly.vertices[i]];
+                     dist = vec3.dot(planeNormal, pt) + planeD;
+                     
+                     // polygons behind the receiver plane as seen from the light cast no shadow on it
+                     if (dist < -Phoria.EPSILON)
+                     {
+                        ok = false;
+                        break;
+                     }
+                     if (lightPos !== null)
+                     {
+                        // the ray from the light through the point must travel towards the plane
+                        if (dist >= lightDist)
+                        {
+                           ok = false;
+                           break;
+                        }
+                        t = lightDist / (lightDist - dist);
+                        pt = vec3.lerp(vec3.create(), lightPos, pt, t);
+                     }
+                     else
+                     {
+                        pt = vec3.scaleAndAdd(vec3.create(), pt, lightDir, -dist / vec3.dot(planeNormal, lightDir));
+                     }
+                     
+                     // to screen coordinates - polygons reaching behind the camera near plane are not drawn
+                     clip = vec4.transformMat4(vec4.create(), vec4.fromValues(pt[0], pt[1], pt[2], 1), matViewProjection);
+                     if (clip[2] < -clip[3])
+                     {
+                        ok = false;
+                        break;
+                     }
+                     coords[i] = fnProject(clip);
+                  }
+                  if (ok && coords.length > 2) shadow.polygons.push(coords);
+               }
+            }
+            receiver._shadows.push(shadow);
+         }
+      }
+   };
+
+   /**
+    * Project a list of entities through a camera and perspective onto a viewport - the view dependent steps of the
+    * transformation pipeline. Generates the world, camera and screen coordinates, clipping and sorting of the geometry
+    * and the renderlist of the scene. Called with the scene as 'this'.
+    * 
+    * Entities and subtrees with a bounding sphere outside the view frustum are rejected before any vertex processing
+    * and the world transformation of an entity is only performed once it is found to be visible in a view. A culled
+    * entity is only transformed if it casts a shadow onto a visible receiver - or on demand by getWorldCoords().
+    * 
+    * @param nodes {Array}           Flattened list of entity nodes to project - as generated by modelView()
+    * @param cameraPosition {vec4}   Position of the camera
+    * @param cameraLookat {vec4}     Look at location of the camera
+    * @param cameraUp {vec4}         Camera up vector
+    * @param p {Object}              Perspective description
+    * @param viewport {Object}       Viewport description
+    */
+   var projectScene = function projectScene(nodes, cameraPosition, cameraLookat, cameraUp, p, viewport)
+   {
+      // viewport size and offset details
+      var vpx = viewport.x,
+          vpy = viewport.y,
+          vpw = viewport.width * 0.5,
+          vph = viewport.height * 0.5;
+      
+      // store current camera position - useful for specular lighting calculations later
+      this._cameraPosition = cameraPosition;
+      
+      // generate the lookAt matrix
+      var camera = mat4.lookAt(mat4.create(), cameraPosition, cameraLookat, cameraUp);
+      
+      // calculate perspective matrix for our scene
+      var perspective = mat4.create(),
+          orthographic = (p.projection === "orthographic");
+      // scaling factor used when rendering points to account for perspective fov
+      this._perspectiveScale = (256 - p.fov) / 16;
+      if (orthographic)
+      {
+         var bounds = orthographicBounds(p);
+         mat4.ortho(
+            perspective,
+            bounds.left,
+            bounds.right,
+            bounds.bottom,
+            bounds.top,
+            p.near,
+            p.far);
+         // flip X and Y to match the orientation of the perspective projection - which uses a negative fov
+         perspective[0] = -perspective[0];
+         perspective[5] = -perspective[5];
+         perspective[12] = -perspective[12];
+         perspective[13] = -perspective[13];
+         // the perspective divisor is always 1 - so scale points and lines as if they were at the distance where
+         // the perspective fov would show the same view height - keeps the sizes similar between projection modes
+         this._perspectiveScale /= (bounds.top - bounds.bottom) / (2 * Math.tan(p.fov * Phoria.RADIANS * 0.5));
+      }
+      else
+      {
+         mat4.perspective(
+            perspective,
+            -p.fov * Phoria.RADIANS,
+            p.aspect,
+            p.near,
+            p.far);
+      }
+      
+      // the renderers recover camera space depth from the clip coordinates with the perspective matrix e.g. for fog
+      this._perspectiveMatrix = perspective;
+      
+      // combined camera and perspective matrix - kept to project and unproject points between world and viewport
+      var viewProjection = mat4.multiply(mat4.create(), perspective, camera);
+      this._viewProjection = viewProjection;
+      this._inverseViewProjection = null;
+      
+      // number of clip planes for polygon and edge clipping - and the projection function for new clipped vertices
+      var clipPlanes = (this.clipmode === "frustum" ? 6 : (this.clipmode === "none" ? 0 : 2)),
+          fnProject = function(c) {
+             var w = c[3] !== 0 ? c[3] : Phoria.EPSILON;
+             return vec4.fromValues(vpw * (c[0] / w) + vpx + vpw, vph * (c[1] / w) + vpy + vph, c[2], c[3]);
+          };
+      
+      // world space frustum planes for bounding sphere culling
+      var frustum = this.culling ? frustumPlanes(viewProjection) : null;
+      
+      var renderlist = [];
+      for (var n=0, node, obj, len; n<nodes.length; n++)
+      {
+         node = nodes[n];
+         
+         // reject the entity and all child entities if the bounding sphere is outside the frustum
+         if (node.bounds === null || (frustum !== null && sphereOutside(frustum, node.bounds)))
+         {
+            n = node.end - 1;
+            continue;
+         }
+         
+         obj = node.entity;
+         if (obj === null) continue;
+         len = obj.points.length;
+         
+         // local object transformation -> world space - performed once per frame however many views are projected
+         if (!node.world)
+         {
+            transformToWorld(obj, node.matrix);
+            node.world = true;
+         }
+         
+         // set-up some values used during clipping calculations
+         var objClip = 0,
+             planeClip = 0,
+             clipOffset = 0;
+         if (obj.style.drawmode === "point")
+         {
+            // adjust vec by style linewidth calculation for linewidth scaled points or sprite points
+            // this allows large sprite/rendered points to avoid being clipped too early
+            if (orthographic)
+            {
+               // no perspective divide - convert the rendered point radius in pixels to clip coordinates
+               clipOffset = (obj.style.linescale === 0 ? obj.style.linewidth :
+                  obj.style.linewidth * obj.style.linescale * this._perspectiveScale) / Math.min(vpw, vph);
+            }
+            else if (obj.style.linescale === 0)
+            {
+               clipOffset = obj.style.linewidth * 0.5;
+            }
+            else
+            {
+               clipOffset = (obj.style.linewidth * obj.style.linescale) / this._perspectiveScale * 0.5;
+            }
+         }
+         
+         // main vertex processing loop
+         for (var v=0, vec, w, avz=0; v<len; v++)
+         {
+            // multiply world coords by camera matrix to generate camera space coords
+            vec4.transformMat4(obj._cameracoords[v], obj._worldcoords[v], camera);
+            
+            // multiply by perspective matrix to generate perspective and clip coordinates
+            vec4.transformMat4(obj._coords[v], obj._cameracoords[v], perspective);
+            
+            // perspective division to create vec2 NDC then finally transform to viewport
+            // clip calculation occurs before the viewport transform
+            vec = obj._coords[v];
+            w = vec[3];
+            
+            // count vertices outside the planes used for polygon clipping - near and far planes are tested first
+            if (clipPlanes !== 0 &&
+                (vec[2] > w || vec[2] < -w ||
+                 (clipPlanes === 6 && (vec[0] > w || vec[0] < -w || vec[1] > w || vec[1] < -w)))) planeClip++;
+            
+            // stop divide by zero
+            if (w === 0) w = Phoria.EPSILON;
+            
+            // is this vertex outside the clipping boundries for the perspective frustum?
+            objClip += (obj._clip[v] = (vec[0] > w+clipOffset || vec[0] < -w-clipOffset ||
+                                        vec[1] > w+clipOffset || vec[1] < -w-clipOffset ||
+                                        vec[2] > w || vec[2] < -w) ? 1 : 0);
+            
+            // perspective division
+            vec[0] /= w;
+            vec[1] /= w;
+            // Z is used by coarse object depth sort
+            
+            // linear transform to viewport - could combine with division above - but for clarity it is not
+            vec[0] = vpw * vec[0] + vpx + vpw;
+            vec[1] = vph * vec[1] + vpy + vph;
+            
+            // keep track of average Z here as it's no overhead and it's useful for rendering
+            avz += vec[2];
+         }
+         // store average Z coordinate
+         obj._averagez = len > 1 ? avz/len : avz;
+         
+         // if entire object is clipped, do not bother with final steps or adding to render list
+         if (objClip !== len)
+         {
+            // clip the polygons or edges that cross the clipping planes - also reset any primitives that
+            // were clipped during the previous projection if nothing needs clipping now
+            if (obj.style.drawmode !== "point" && (planeClip !== 0 || obj._clipped))
+            {
+               obj._clipped = clipGeometry(obj, perspective, planeClip !== 0 ? clipPlanes : 0, fnProject);
+            }
+            
+            // sort the geometry before any further transformations
+            switch (obj.style.geometrysortmode)
+            {
+               default:
+               case "automatic":
+               case "sorted":
+               {
+                  // solid objects always need sorting as each poly can be a different shade/texture
+                  // wireframe and points objects will not be sorted if the "plain" shademode is used
+                  if (obj.style.geometrysortmode === "sorted" ||
+                      obj.style.drawmode === "solid" || obj.style.shademode === "lightsource")
+                  {
+                     switch (obj.style.drawmode)
+                     {
+                        case "solid":
+                           if (obj._bsp !== null)
+                           {
+                              // traverse the BSP tree back-to-front from the camera in the local coordinates of the entity
+                              var eye = vec4.fromValues(cameraPosition[0], cameraPosition[1], cameraPosition[2], 1);
+                              if (node.matrix) vec4.transformMat4(eye, eye, mat4.invert(mat4.create(), node.matrix));
+                              Phoria.Util.sortPolygonsBSP(obj._bsp, obj.polygons, eye);
+                           }
+                           else
+                           {
+                              Phoria.Util.sortPolygons(obj.polygons, obj._cameracoords);
+                           }
+                           break;
+                        case "wireframe":
+                           Phoria.Util.sortEdges(obj.edges, obj._cameracoords);
+                           break;
+                        case "point":
+                           Phoria.Util.sortPoints(obj._coords, obj._worldcoords);
+                           break;
+                     }
+                  }
+                  break;
+               }
+            }
+            
+            // add to the flattened render list
+            renderlist.push(obj);
+         }
+      }
+      
+      // planar shadows cast onto the visible receiver entities
+      projectShadows(renderlist, nodes, this.lights, viewProjection, fnProject);
+      
+      // set the public reference to the flattened list of objects to render
+      this.renderlist = renderlist;
+   };
+
    /**
     * Factory create method - object literal Scene descripton:
     * {
@@ -63,10 +802,13 @@
     *       position: {x:0.0, y:0.0, z:-10.0},
     *    },
     *    perspective: {
+    *       projection: "perspective",  // or "orthographic" for a parallel projection
     *       fov: 35.0,
     *       aspect: 1.0,
     *       near: 1.0,
-    *       far: 10000.0
+    *       far: 10000.0,
+    *       height: 10.0,              // orthographic view volume height - or specify bounds below
+    *       left: n, right: n, top: n, bottom: n   // optional orthographic view volume bounds
     *    },
     *    viewport: {
     *       x: 0,
@@ -74,8 +816,21 @@
     *       width: 1024,
     *       height: 1024
     *    },
+    *    cameras: {
+    *       name: { up: {...}, lookat: {...}, position: {...}, perspective: {...}, viewport: {...} }
+    *    },
     *    graph: [...],
-    *    onCamera: function() {...} << or [] of function defs
+    *    clipmode: "depth",         // polygon clipping - one of "depth", "frustum", "none"
+    *    culling: true,             // bounding sphere frustum culling of entities
+    *    fog: {
+    *       mode: "none",           // one of "none", "linear", "exponential"
+    *       color: [255,255,255],
+    *       start: 100.0,           // linear fog start and end depths
+    *       end: 1000.0,
+    *       density: 0.001          // exponential fog density
+    *    },
+    *    clock: Phoria.Clock,       // optional clock instance or Phoria.Clock.create() description
+    *    onCamera: function() {...} << or [] of function defs, or behaviour references
     */
    Phoria.Scene.create = function(desc)
    {
@@ -84,151 +839,134 @@
       if (desc.camera) s.camera = Phoria.Util.merge(s.camera, desc.camera);
       if (desc.perspective) s.perspective = Phoria.Util.merge(s.perspective, desc.perspective);
       if (desc.viewport) s.viewport = Phoria.Util.merge(s.viewport, desc.viewport);
+      if (desc.cameras)
+      {
+         for (var name in desc.cameras)
+         {
+            if (desc.cameras.hasOwnProperty(name)) s.addCamera(name, desc.cameras[name]);
+         }
+      }
       if (desc.graph) s.graph = desc.graph;
+      if (desc.clipmode) s.clipmode = desc.clipmode;
+      if (desc.culling !== undefined) s.culling = desc.culling;
+      if (desc.fog) s.fog = Phoria.Util.merge(s.fog, desc.fog);
+      if (desc.clock) s.clock = (desc.clock instanceof Phoria.Clock) ? desc.clock : Phoria.Clock.create(desc.clock);
       if (desc.onCamera) s.onCamera(desc.onCamera);
       
       return s;
    };
 
    /**
-    * Deserialise a scene instance from a JSON structure. All phoria.js scene and child entity objects can be
-    * represented as a straight conversion from JSON to JavaScript - the only caveat being event handler function
-    * definitions (such as onScene, onCamera, onParticle etc.) are serialised as string values. This helper will
-    * walk the resulting entity structure looking for those methods and eval() them into runtime functions.
+    * Deserialise a scene instance from a JSON structure as generated by Phoria.Scene.toJSON(). The camera, perspective,
+    * viewport and any named cameras are restored and each entity description in the scene graph is reconstructed by the factory create()
+    * method of the entity type recorded in the JSON. Children are processed recursively so the full graph is rebuilt.
+    * Texture image sources are reloaded as Image objects when running in a browser.
     * 
-    * @param json    JSON string containing a serialised scene description.
+    * @param json    JSON string (or the already parsed object) containing a serialised scene description.
     * @return Phoria.Scene
-    * @throws Error on failure to parse scene or failure to eval runtime functions
-    * 
-    * TODO: Unfinished!
+    * @throws Error on failure to parse scene, an unsupported format version or an unknown entity type
     */
-   Phoria.Scene.createFromJSON = function(json)
+   Phoria.Scene.createFromJSON = function createFromJSON(json)
    {
-      var scene = null;
-
-      // the object version of the parsed JSON is still just a set of basic JS object literals
-      // we need to construct the Phoria objects that represent the scene and entities in the scene graph
-      // each entity needs to be processed recursively to ensure all children are constructed also
-      var jscene = JSON.parse(json);
-      if (jscene)
+      // parse a copy of an object description - the entity descriptions are modified as the graph is constructed
+      var jscene = JSON.parse((typeof json === "string") ? json : JSON.stringify(json));
+      if (!jscene || jscene.version === undefined)
       {
-         // found a scene object
-         // firstly, convert any event handler serialised functions to runtime functions
-
-         // now construct Phoria.Scene
-         //scene = 
-         /*if (jscene.onCamera instanceof string)
-         {
-            jscene.onCamera = eval(jscene.onCamera)
-         }*/
-         if (jscene.graph)
-         {
-            var fnProcessEntities = function(entities) {
-               for (var i = 0, e; i < entities.length; i++)
-               {
-                  e = entities[i];
-
-                  // iterate property names
-                  for (var p in e)
-                  {
-                     if (e.hasOwnProperty(p))
-                     {
-                        // if property name matches with "on*" it's an event handler (or list of) by convention
-                        // TODO: support array of event handler functions in object structure
-                        //       the various Phoria Entity objects now support function or array of function passed to on event
-                        if (p.indexOf("on") === 0 && (e[p] instanceof string || e[p] instanceof Array))
-                        {
-                           try
-                           {
-                              // TODO: convert string to function or array of strings to array of functions
-                           }
-                           catch (error)
-                           {
-                              console.log("Failed to convert expected event handler to function: " + p + "=" + e[p]);
-                              throw error;
-                           }
-                        }
-                        if (p === "children" && e[p] instanceof Array)
-                        {
-                           fnProcessEntities(e[p]);
-                        }
-                     }
-                  }
-
-                  // TODO: construct our Phoria entity from the object structure
-               }
-            };
-            fnProcessEntities(jscene.graph);
-         }
+         throw new Error("JSON does not contain a serialised phoria scene.");
+      }
+      if (jscene.version > Phoria.Scene.JSON_VERSION)
+      {
+         throw new Error("Unsupported phoria scene JSON version: " + jscene.version);
       }
 
-      return scene;
+      // the object version of the parsed JSON is still just a set of basic JS object literals
+      // we need to construct the Phoria objects that represent the scene and entities in the scene graph
+      // each entity needs to be processed recursively to ensure all children are constructed also
+      var fnCreateEntities = function(descs) {
+         var entities = [];
+         for (var i=0, desc, type; i<descs.length; i++)
+         {
+            desc = descs[i];
+            type = Phoria.Scene.entityTypes[desc.type];
+            if (!type)
+            {
+               throw new Error("Unknown entity type in scene JSON: " + desc.type);
+            }
+            if (desc.children) desc.children = fnCreateEntities(desc.children);
+            if (desc.matrix) desc.matrix = mat4.clone(desc.matrix);
+            if (desc.textures && typeof Image !== "undefined")
+            {
+               desc.textures = desc.textures.map(function(src) {
+                  var img = new Image();
+                  img.src = src;
+                  return img;
+               });
+            }
+            entities.push(type.create(desc));
+         }
+         return entities;
+      };
+
+      return Phoria.Scene.create({
+         camera: jscene.camera,
+         perspective: jscene.perspective,
+         viewport: jscene.viewport,
+         cameras: jscene.cameras,
+         clipmode: jscene.clipmode,
+         culling: jscene.culling,
+         fog: jscene.fog,
+         graph: jscene.graph ? fnCreateEntities(jscene.graph) : [],
+         onCamera: jscene.onCamera
+      });
    };
 
    /**
-    * TODO: Unfinished!
+    * Serialise a scene to a JSON string. The scene and entities are not modified - each provides a toJSON() method that
+    * returns a plain description of the object matching the factory create() description for that type, plus the entity
+    * type name needed to reconstruct it. Private runtime state (such as transformed coordinates) is not serialised and
+    * nor are plain event handler functions - only handlers created from a named behaviour are serialised, as references
+    * that are resolved again on load (@see Phoria.Behaviours). Handlers added by an entity constructor are re-added by
+    * the factory create() method on deserialisation.
+    * 
+    * @param scene {Phoria.Scene}   Scene to serialise
+    * @return JSON string
     */
-   Phoria.Scene.toJSON = function(scene)
+   Phoria.Scene.toJSON = function toJSON(scene)
    {
-      /*if (scene.onCamera)
-      {
-         scene.onCamera = scene.onCamera.toString();
-      }*/
-      for (var p in scene)
+      return JSON.stringify(scene);
+   };
+
+   /**
+    * Register an entity type for scene JSON serialisation. The constructor must provide a static factory create(desc)
+    * method that accepts the description returned by the entity toJSON() method. All the phoria entity types are
+    * registered by default - use this to add custom Entity subclasses.
+    * 
+    * @param name {string}       Type name to record in the JSON
+    * @param ctor {function}     Entity constructor function
+    */
+   Phoria.Scene.registerEntityType = function registerEntityType(name, ctor)
+   {
+      Phoria.Scene.entityTypes[name] = ctor;
+   };
+
+   /**
+    * Return the registered type name for an entity - if the exact constructor is not registered then the superclass
+    * chain is searched so subclasses are serialised as the closest known type.
+    * 
+    * @param e {Phoria.BaseEntity}  Entity to lookup
+    * @return type name or null if not found
+    */
+   Phoria.Scene.getEntityType = function getEntityType(e)
+   {
+      var types = Phoria.Scene.entityTypes;
+      for (var ctor = e.constructor; ctor; ctor = ctor.superclass ? ctor.superclass.constructor : null)
       {
-         if (scene.hasOwnProperty(p) && p.indexOf("_") === 0)
+         for (var name in types)
          {
-            // remove private property/function before serialisation
-            delete scene[p];
+            if (types.hasOwnProperty(name) && types[name] === ctor) return name;
          }
       }
-      if (scene.graph)
-      {
-         var fnProcessEntities = function(entities) {
-            for (var i = 0, e; i < entities.length; i++)
-            {
-               e = entities[i];
-               // iterate property names
-               for (var p in e)
-               {
-                  if (e.hasOwnProperty(p))
-                  {
-                     // if property name matches "on*Handlers" it is an event handler function list by convention
-                     if (p.indexOf("on") === 0 && e[p] instanceof Array)
-                     {
-                        e[p] = e[p].toString();
-                     }
-
-                     // TODO: modify all Phoria entity classes to correctly mark private vars with "_"
-
-                     if (p.indexOf("_") === 0)
-                     {
-                        // remove private property/function before serialisation
-                        delete e[p];
-                     }
-                     switch (p)
-                     {
-                        case "textures":
-                           delete e[p];
-                           break;
-                        
-                        case "children":
-                           if (e[p] instanceof Array)
-                           {
-                              fnProcessEntities(e[p]);
-                           }
-                           break;
-                     }
-                  }
-               }
-
-               // TODO: need to serialise the Entity type into the object structure!
-            }
-         };
-         fnProcessEntities(scene.graph);
-      }
-
-      return JSON.stringify(scene);
+      return null;
    };
    
    Phoria.Scene.prototype = {
@@ -239,12 +977,30 @@
       // the perspective frustrum moves with the viewer
       perspective: null,
       
+      // {Object} map of named cameras used to project additional views of the scene - @see addCamera() and viewFrom()
+      cameras: null,
+      
       // {Array} manipulate 3D entity graph directly e.g. push/delete objects
       graph: null,
+      
+      // {Phoria.Clock} provides the time step for each frame - replace or configure to pause or step the scene
+      clock: null,
 
       // {Object} dimensions of viewport for NDC->viewport conversion step
       viewport: null,
 
+      // {string} polygon and edge clipping mode - "depth" clips primitives that cross the near and far planes of the
+      // frustum, generating new vertices so no distortion occurs as geometry passes behind the camera. "frustum" also
+      // clips against the side planes. "none" performs no clipping - primitives are only dropped if entirely clipped.
+      clipmode: "depth",
+
+      // {boolean} true to reject entities and subtrees of the scene graph that have a bounding sphere outside the view
+      // frustum before their vertices are processed - @see Phoria.Entity.getLocalBounds()
+      culling: true,
+      
+      // {Object} distance fog settings - @see Phoria.Renderer.calcFog()
+      fog: null,
+
       // @readonly {Array} the flattened, sorted list of entities for rendering a frame of the scene - set by modelView()
       renderlist: null,
 
@@ -263,9 +1019,41 @@
       // to lookup an entity without walking child lists or maintaining closure scope etc. Call findEntity() to use.
       _entities: null,
 
-      _lastTime: 0,
+      // @private {Array} flattened list of entity nodes processed by modelView() - projected again by viewFrom()
+      // each node has the entity, the combined local matrix, the world bounding sphere of the entity and child
+      // entities and the index of the next node after the subtree - so a whole subtree can be culled in one test
+      _viewentities: null,
+      
+      // @private {Object} the named camera view the scene was last projected through, null for the scene camera
+      _view: null,
+
       _cameraPosition: null,        // current camera position as vec4
+      _perspectiveMatrix: null,     // current perspective matrix - to recover camera space depth from clip coordinates
       _perspectiveScale: 0.0,
+      _viewProjection: null,        // current combined camera and perspective matrix
+      _inverseViewProjection: null, // inverse of the combined matrix - calculated when first needed by unproject()
+
+      /**
+       * Return a plain object description of the scene for JSON serialisation - called by JSON.stringify().
+       * The entities in the graph are described by their own toJSON() methods.
+       */
+      toJSON: function toJSON()
+      {
+         var desc = {
+            version: Phoria.Scene.JSON_VERSION,
+            camera: this.camera,
+            perspective: this.perspective,
+            viewport: this.viewport,
+            clipmode: this.clipmode,
+            culling: this.culling,
+            fog: this.fog,
+            graph: this.graph
+         };
+         if (Object.keys(this.cameras).length !== 0) desc.cameras = this.cameras;
+         var handlers = Phoria.Behaviours.describe(this.onCameraHandlers);
+         if (handlers) desc.onCamera = handlers;
+         return desc;
+      },
 
       /**
        * Helper to lookup an entity by it's optional ID. Useful for Trigger event handlers that don't
@@ -279,16 +1067,218 @@
          return this._entities[id];
       },
 
+      /**
+       * Return the world coordinates of an entity for the frame processed by the last call to modelView(). Entities
+       * culled from every view are not transformed to world space by modelView() - so the transformation is performed
+       * here on demand, e.g. for event handlers that read the position of an entity outside the view.
+       * 
+       * @param entity {Phoria.Entity}    Entity in the scene graph
+       * @return the world coordinates {vec4} of each point of the entity - or null if not processed by modelView()
+       */
+      getWorldCoords: function getWorldCoords(entity)
+      {
+         var nodes = this._viewentities;
+         for (var n=0, node; nodes !== null && n<nodes.length; n++)
+         {
+            node = nodes[n];
+            if (node.entity === entity)
+            {
+               if (!node.world)
+               {
+                  transformToWorld(entity, node.matrix);
+                  node.world = true;
+               }
+               return entity._worldcoords;
+            }
+         }
+         return null;
+      },
+
+      /**
+       * Return true if the scene uses an orthographic (parallel) projection rather than a perspective projection.
+       */
+      isOrthographic: function isOrthographic()
+      {
+         return this.perspective.projection === "orthographic";
+      },
+
+      /**
+       * Return the bounds of the orthographic view volume in camera space. Uses the explicit left, right, top and bottom
+       * values from the perspective description if all are set, else calculated from the view height and aspect ratio.
+       * 
+       * @return an object with properties; left, right, bottom, top
+       */
+      getOrthographicBounds: function getOrthographicBounds()
+      {
+         return orthographicBounds(this.perspective);
+      },
+
       /**
        * Add an onCamera event handler function to the entity
        * 
        * @param fn {function}    onCamera handler signature: function(position, lookAt, up) this = scene,
-       *                         accepts [] of functions also
+       *                         accepts [] of functions also - or behaviour references @see Phoria.Behaviours
        */
       onCamera: function onCamera(fn)
       {
          if (this.onCameraHandlers === null) this.onCameraHandlers = [];
-         this.onCameraHandlers = this.onCameraHandlers.concat(fn);
+         this.onCameraHandlers = this.onCameraHandlers.concat(Phoria.Behaviours.resolve(fn));
+      },
+      
+      /**
+       * Add a named camera to the scene. Named cameras are used to render additional views of the same scene graph,
+       * for example split-screen views, a picture-in-picture minimap or a top-down overview. Call modelView() once per
+       * frame to update the scene, then viewFrom() to project the scene through each additional camera before
+       * rendering it. Any perspective values supplied are merged over the scene perspective when the view is projected.
+       * 
+       * @param name {string}    Name of the camera - the same name will replace an existing camera
+       * @param desc {Object}    Camera description:
+       *    {
+       *       up: {x:0.0, y:1.0, z:0.0},
+       *       lookat: {x:0.0, y:0.0, z:0.0},
+       *       position: {x:0.0, y:0.0, z:-10.0},
+       *       perspective: {...},    // optional perspective values - e.g. projection: "orthographic", aspect: 0.5
+       *       viewport: {...}        // optional default viewport for this camera
+       *    }
+       * @return the camera object - it can be modified directly e.g. to move the camera each frame
+       */
+      addCamera: function addCamera(name, desc)
+      {
+         var camera = Phoria.Util.merge({
+            up: {x:0.0, y:1.0, z:0.0},
+            lookat: {x:0.0, y:0.0, z:0.0},
+            position: {x:0.0, y:0.0, z:-10.0},
+            perspective: null,
+            viewport: null
+         }, desc || {});
+         this.cameras[name] = camera;
+         return camera;
+      },
+      
+      /**
+       * Remove a named camera from the scene.
+       * 
+       * @param name {string}    Name of the camera to remove
+       */
+      removeCamera: function removeCamera(name)
+      {
+         delete this.cameras[name];
+      },
+      
+      /**
+       * Project the scene through a named camera onto a viewport - ready for a renderer to output the view. This only
+       * repeats the view dependent steps of the transformation pipeline; camera and perspective transformation,
+       * clipping and sorting. Event handlers, physics and local transformations are not processed again, so modelView()
+       * must be called first for each frame. The renderlist and entity coordinates are replaced by those of the view
+       * until the next call to modelView() or viewFrom().
+       * 
+       * When a scene is rendered after a call to viewFrom() the renderers only clear and draw within the viewport - so
+       * several views can be rendered in turn to the same canvas:
+       *    scene.modelView();
+       *    renderer.render(scene);
+       *    scene.viewFrom("minimap");
+       *    renderer.render(scene);
+       * 
+       * @param name {string}       Name of a camera added with addCamera()
+       * @param viewport {Object}   Optional viewport - else the camera viewport is used, else the scene viewport
+       */
+      viewFrom: function viewFrom(name, viewport)
+      {
+         var camera = this.cameras[name];
+         if (!camera)
+         {
+            throw new Error("Unknown camera: " + name);
+         }
+         if (this._viewentities === null)
+         {
+            throw new Error("Scene.modelView() must be called before viewFrom().");
+         }
+         
+         viewport = viewport || camera.viewport || this.viewport;
+         this._view = {
+            camera: camera,
+            perspective: camera.perspective ? Phoria.Util.merge(this.perspective, camera.perspective) : this.perspective,
+            viewport: viewport
+         };
+         projectScene.call(
+            this,
+            this._viewentities,
+            vec4.fromValues(camera.position.x, camera.position.y, camera.position.z, 0),
+            vec4.fromValues(camera.lookat.x, camera.lookat.y, camera.lookat.z, 0),
+            vec4.fromValues(camera.up.x, camera.up.y, camera.up.z, 0),
+            this._view.perspective,
+            viewport);
+      },
+      
+      /**
+       * Return the viewport the scene was last projected onto - the scene viewport unless viewFrom() has been called
+       * since the last call to modelView().
+       */
+      getViewport: function getViewport()
+      {
+         return this._view !== null ? this._view.viewport : this.viewport;
+      },
+
+      /**
+       * Project a world space point onto the viewport - through the same camera, perspective and viewport as the last
+       * call to modelView() or viewFrom().
+       *
+       * @param point {vec3}   World coordinate - as a vec3 or {x,y,z} object
+       * @return vec3 of the viewport x and y in pixels and the normalised depth, -1 at the near plane and 1 at the far
+       *         plane - or null if the point is level with or behind a perspective camera
+       */
+      project: function project(point)
+      {
+         if (this._viewProjection === null)
+         {
+            throw new Error("Scene.modelView() must be called before project().");
+         }
+
+         var viewport = this.getViewport(),
+             vpw = viewport.width * 0.5,
+             vph = viewport.height * 0.5,
+             p = point.length !== undefined ? point : vec3.fromXYZ(point),
+             c = vec4.transformMat4(vec4.create(), vec4.fromValues(p[0], p[1], p[2], 1), this._viewProjection);
+         if (c[3] <= 0) return null;
+
+         // perspective division then transform to viewport - as performed for each vertex by modelView()
+         return vec3.fromValues(
+            vpw * (c[0] / c[3]) + viewport.x + vpw,
+            vph * (c[1] / c[3]) + viewport.y + vph,
+            c[2] / c[3]);
+      },
+
+      /**
+       * Unproject a viewport position back into world space - the reverse of project(). Unprojecting a position at
+       * the near and far depths gives the exact ray through that pixel e.g. for picking entities with the mouse.
+       *
+       * @param x {Number}       Viewport x coordinate in pixels - relative to the canvas not the page
+       * @param y {Number}       Viewport y coordinate in pixels
+       * @param depth {Number}   Optional normalised depth, -1 at the near plane (default) and 1 at the far plane
+       * @return vec3 world coordinate
+       */
+      unproject: function unproject(x, y, depth)
+      {
+         if (this._viewProjection === null)
+         {
+            throw new Error("Scene.modelView() must be called before unproject().");
+         }
+         if (this._inverseViewProjection === null)
+         {
+            this._inverseViewProjection = mat4.invert(mat4.create(), this._viewProjection);
+         }
+
+         // reverse the viewport transform to normalised device coordinates then the combined camera and perspective matrix
+         var viewport = this.getViewport(),
+             vpw = viewport.width * 0.5,
+             vph = viewport.height * 0.5,
+             c = vec4.transformMat4(vec4.create(), vec4.fromValues(
+               (x - viewport.x - vpw) / vpw,
+               (y - viewport.y - vph) / vph,
+               depth !== undefined ? depth : -1,
+               1), this._inverseViewProjection),
+             w = c[3] !== 0 ? c[3] : Phoria.EPSILON;
+         return vec3.fromValues(c[0] / w, c[1] / w, c[2] / w);
       },
       
       /**
@@ -301,31 +1291,23 @@
        * . Sort entity points/edges/polygons by Z order
        * . Perspective division to create Normalised Device Coordinates then finally transform to viewport
        * . Clipping calculations occurs before the viewport transform to mark vertices as "clipped" for rendering
+       * . Polygons and edges that cross the clipping planes are clipped to generate new vertices for rendering
        * . Lighting transformations for polygon normal vectors
        */
       modelView: function modelView()
       {
-         // time since last update in seconds
-         var now = Date.now(),
-             time = (now - this._lastTime) / 1000;
-         this._lastTime = now;
+         // time since last update in seconds - as provided by the scene clock
+         var time = this.clock.tick();
          
          // prerender steps that are performed on each frame before objects are processed - setup matrices etc.
          
-         // viewport size and offset details
-         var vpx = this.viewport.x,
-             vpy = this.viewport.y,
-             vpw = this.viewport.width * 0.5,
-             vph = this.viewport.height * 0.5;
-         
          // store current camera position as vec4 - useful for specular lighting calculations later
          this._cameraPosition = vec4.fromValues(
             this.camera.position.x,
             this.camera.position.y,
             this.camera.position.z,
             0);
-         var camera = mat4.create(),
-             cameraLookat = vec4.fromValues(
+         var cameraLookat = vec4.fromValues(
                this.camera.lookat.x,
                this.camera.lookat.y,
                this.camera.lookat.z,
@@ -346,37 +1328,21 @@
                this.onCameraHandlers[h].call(this, this._cameraPosition, cameraLookat, cameraUp);
             }
          }
-
-         // generate the lookAt matrix
-         mat4.lookAt(
-            camera,
-            this._cameraPosition,
-            cameraLookat,
-            cameraUp);
-         
-         // calculate perspective matrix for our scene
-         var perspective = mat4.create();
-         mat4.perspective(
-            perspective,
-            -this.perspective.fov * Phoria.RADIANS,
-            this.perspective.aspect,
-            this.perspective.near,
-            this.perspective.far);
-         // scaling factor used when rendering points to account for perspective fov
-         this._perspectiveScale = (256 - this.perspective.fov) / 16;
          
          // process each object in the scene graph
          // and recursively process each child entity (against parent local matrix)
-         var renderlist = [],
+         var nodes = [],
              lights = [],
              entityById = {};
          
          // recursive processing function - keeps track of current matrix operation
-         var fnProcessEntities = function processEntities(entities, matParent)
+         // returns the world bounding sphere of the entities processed - or null if there are none
+         var fnProcessEntities = function processEntities(graph, matParent)
          {
-            for (var n=0, obj, len, isIdentity; n<entities.length; n++)
+            var bounds = null;
+            for (var n=0, obj; n<graph.length; n++)
             {
-               obj = entities[n];
+               obj = graph[n];
 
                // check disabled flag for this entity
                if (obj.disabled) continue;
@@ -413,174 +1379,59 @@
                   }
                }
                
+               var node = null;
                if (obj instanceof Phoria.BaseLight)
                {
                   lights.push(obj);
                }
                else if (obj instanceof Phoria.Entity)
                {
-                  len = obj.points.length;
-                  
-                  // pre-create or reuse coordinate buffers for world, screen, normal and clip coordinates
-                  obj.initCoordinateBuffers();
-                  
-                  // set-up some values used during clipping calculations
-                  var objClip = 0,
-                      clipOffset = 0;
-                  if (obj.style.drawmode === "point")
-                  {
-                     // adjust vec by style linewidth calculation for linewidth scaled points or sprite points
-                     // this allows large sprite/rendered points to avoid being clipped too early
-                     if (obj.style.linescale === 0)
-                     {
-                        clipOffset = obj.style.linewidth * 0.5;
-                     }
-                     else
-                     {
-                        clipOffset = (obj.style.linewidth * obj.style.linescale) / this._perspectiveScale * 0.5;
-                     }
-                  }
-                  
-                  // main vertex processing loop
-                  for (var v=0, verts, vec, w, avz=0; v<len; v++)
-                  {
-                     // construct homogeneous coordinate for the vertex as a vec4
-                     verts = obj.points[v];
-                     vec = vec4.set(obj._worldcoords[v], verts.x, verts.y, verts.z, 1.0);
-                     
-                     // local object transformation -> world space
-                     // skip local transform if matrix not present
-                     // else store locally transformed vec4 world points
-                     if (matLocal) vec4.transformMat4(obj._worldcoords[v], vec, matLocal);
-                     
-                     // multiply by camera matrix to generate camera space coords
-                     vec4.transformMat4(obj._cameracoords[v], obj._worldcoords[v], camera);
-                     
-                     // multiply by perspective matrix to generate perspective and clip coordinates
-                     vec4.transformMat4(obj._coords[v], obj._cameracoords[v], perspective);
-                     
-                     // perspective division to create vec2 NDC then finally transform to viewport
-                     // clip calculation occurs before the viewport transform
-                     vec = obj._coords[v];
-                     w = vec[3];
-                     
-                     // stop divide by zero
-                     if (w === 0) w = Phoria.EPSILON;
-                     
-                     // is this vertex outside the clipping boundries for the perspective frustum?
-                     objClip += (obj._clip[v] = (vec[0] > w+clipOffset || vec[0] < -w-clipOffset ||
-                                                 vec[1] > w+clipOffset || vec[1] < -w-clipOffset ||
-                                                 vec[2] > w || vec[2] < -w) ? 1 : 0);
-                     
-                     // perspective division
-                     vec[0] /= w;
-                     vec[1] /= w;
-                     // Z is used by coarse object depth sort
-                     
-                     // linear transform to viewport - could combine with division above - but for clarity it is not
-                     vec[0] = vpw * vec[0] + vpx + vpw;
-                     vec[1] = vph * vec[1] + vpy + vph;
-                     
-                     // keep track of average Z here as it's no overhead and it's useful for rendering
-                     avz += vec[2];
-                  }
-                  // store average Z coordinate
-                  obj._averagez = len > 1 ? avz/len : avz;
-                  
-                  // if entire object is clipped, do not bother with final steps or adding to render list
-                  if (objClip !== len)
-                  {
-                     // sort the geometry before any further transformations
-                     switch (obj.style.geometrysortmode)
-                     {
-                        default:
-                        case "automatic":
-                        case "sorted":
-                        {
-                           // solid objects always need sorting as each poly can be a different shade/texture
-                           // wireframe and points objects will not be sorted if the "plain" shademode is used
-                           if (obj.style.geometrysortmode === "sorted" ||
-                               obj.style.drawmode === "solid" || obj.style.shademode === "lightsource")
-                           {
-                              switch (obj.style.drawmode)
-                              {
-                                 case "solid":
-                                    Phoria.Util.sortPolygons(obj.polygons, obj._cameracoords);
-                                    break;
-                                 case "wireframe":
-                                    Phoria.Util.sortEdges(obj.edges, obj._cameracoords);
-                                    break;
-                                 case "point":
-                                    Phoria.Util.sortPoints(obj._coords, obj._worldcoords);
-                                    break;
-                              }
-                           }
-                           break;
-                        }
-                     }
-
-                     // normal lighting transformation
-                     if (obj.style.drawmode === "solid" && obj.polygons.length !== 0)
-                     {
-                        // TODO: have a flag on scene for "transposedNormalMatrix..." - i.e. make it optional?
-                        // invert and transpose the local model matrix - for correct normal scaling
-                        var matNormals = mat4.invert(mat4.create(), matLocal ? matLocal : mat4.create());
-                        mat4.transpose(matNormals, matNormals);
-                        
-                        switch (obj.style.shademode)
-                        {
-                           case "lightsource":
-                           {
-                              // transform each polygon normal
-                              for (var i=0, normal, wnormal; i<obj.polygons.length; i++)
-                              {
-                                 if (!obj.polygons[i]._worldnormal) obj.polygons[i]._worldnormal = vec4.create();
-                                 
-                                 // normal transformation -> world space
-                                 normal = obj.polygons[i].normal;
-                                 wnormal = obj.polygons[i]._worldnormal;
-                                 // use vec3 to ensure normal directional component is not modified
-                                 vec3.transformMat4(wnormal, normal, matNormals);
-                                 vec3.normalize(wnormal, wnormal);
-                              }
-                              break;
-                           }
-                           /*
-                           case "gouraud":
-                           {
-                              // transform each vertex normal
-                              for (var i=0, normal, wnormal; i<len; i++)
-                              {
-                                 normal = obj._vertexNormals[i];
-                                 wnormal = obj._worldVertexNormals[i];
-                                 vec4.transformMat4(wnormal, normal, matNormals);
-                                 vec4.normalize(wnormal, wnormal);
-                              }
-                              break;
-                           }
-                           */
-                        }
-                     }
-                     
-                     // add to the flattened render list
-                     renderlist.push(obj);
-                  }
+                  // add to the flattened list of entities to be projected - the world transformation is deferred until
+                  // the entity is found to be inside the view frustum
+                  node = {
+                     entity: obj,
+                     matrix: matLocal,
+                     bounds: worldSphere(obj, matLocal),
+                     world: false,
+                     end: 0
+                  };
+                  // picking rejects entities by the world bounds before testing the polygons
+                  obj._worldbounds = node.bounds;
+                  obj._worldmatrix = matLocal ? matLocal : null;
+                  nodes.push(node);
                } // end entity processing
                
                // recursively process children
                if (obj.children && obj.children.length !== 0)
                {
-                  fnProcessEntities.call(this, obj.children, matLocal);
+                  // the bounds of a subtree include the bounds of all child entities so it can be rejected in one test
+                  if (node === null)
+                  {
+                     node = {entity: null, matrix: matLocal, bounds: null, world: false, end: 0};
+                     nodes.push(node);
+                  }
+                  node.bounds = mergeSpheres(node.bounds, fnProcessEntities.call(this, obj.children, matLocal));
                }
                
+               if (node !== null)
+               {
+                  node.end = nodes.length;
+                  bounds = mergeSpheres(bounds, node.bounds);
+               }
             } // end entity list loop
+            
+            return bounds;
          };
          fnProcessEntities.call(this, this.graph, null);
 
-         // set the public references to the flattened list of objects to render and the list of lights
-         this.renderlist = renderlist;
+         // set the public references to the list of lights
          this.lights = lights;
          this._entities = entityById;
+         this._viewentities = nodes;
+         
+         // project the entities through the scene camera - generates the renderlist
+         this._view = null;
+         projectScene.call(this, nodes, this._cameraPosition, cameraLookat, cameraUp, this.perspective, this.viewport);
 
          // Process the scene trigger functions - this allows for real-time modification of the scene
          // based on a supplied handler function - a sequence of these triggers can nest and add new
@@ -598,3 +1449,193 @@
       }
    };
 })();
+
+/**
+ * Clock class. Provides the time step for each frame of a scene - the scene calls tick() once per modelView() and the
+ * entities consume the resulting time values rather than reading the system time, so a scene can be paused, slowed
+ * down or stepped deterministically e.g. to render frame N of an animation reproducibly in a test or offline.
+ * 
+ * Modes:
+ *    "realtime" - frame time is measured from the time source - by default Date.now()
+ *    "fixed"    - each frame advances by exactly one step regardless of how long it took to render
+ *    "manual"   - time only advances by the amount requested via advance() before each frame
+ * 
+ * Physics and other simulation is updated in whole fixed steps - the frame time is accumulated and the number of
+ * steps to simulate for the frame is available as the 'steps' property after each tick().
+ * 
+ * @class Phoria.Clock
+ */
+(function() {
+   "use strict";
+
+   Phoria.Clock = function()
+   {
+      // default time source
+      this.source = Date.now;
+      
+      return this;
+   };
+   
+   /**
+    * Factory create method - object literal Clock descripton:
+    * {
+    *    mode: "realtime",          // one of "realtime", "fixed", "manual"
+    *    step: Number,              // simulation step in seconds - default 1/60
+    *    maxSteps: Number,          // maximum simulation steps per frame - default 5
+    *    timescale: Number,         // time multiplier e.g. 0.5 for slow motion - default 1.0
+    *    paused: false,
+    *    source: function() {...}   // realtime mode only - function returning the current time in milliseconds
+    * }
+    */
+   Phoria.Clock.create = function(desc)
+   {
+      var c = new Phoria.Clock();
+      if (desc.mode) c.mode = desc.mode;
+      if (desc.step) c.step = desc.step;
+      if (desc.maxSteps) c.maxSteps = desc.maxSteps;
+      if (desc.timescale !== undefined) c.timescale = desc.timescale;
+      if (desc.paused) c.paused = desc.paused;
+      if (desc.source) c.source = desc.source;
+      
+      return c;
+   };
+   
+   Phoria.Clock.prototype = {
+      // {string} one of "realtime", "fixed" or "manual"
+      mode: "realtime",
+      
+      // {Number} fixed simulation step in seconds - also the frame time in "fixed" mode
+      step: 1/60,
+      
+      // {Number} maximum number of simulation steps per frame - avoids a long frame causing ever longer frames
+      maxSteps: 5,
+      
+      // {Number} multiplier applied to the frame time - 1.0 for normal speed, 0.5 for slow motion etc.
+      timescale: 1.0,
+      
+      // {boolean} true to stop time advancing - the frame time and steps are zero while paused
+      paused: false,
+      
+      // {function} time source for "realtime" mode - returns the current time in milliseconds
+      source: null,
+      
+      // @readonly {Number} total scaled time in seconds since the clock started
+      time: 0,
+      
+      // @readonly {Number} scaled time in seconds of the current frame
+      delta: 0,
+      
+      // @readonly {Number} number of fixed simulation steps to perform for the current frame
+      steps: 0,
+      
+      // @readonly {Number} number of frames since the clock started
+      frame: 0,
+      
+      _last: null,         // last time value read from the source in realtime mode
+      _pending: 0,         // time requested by advance() in manual mode
+      _accumulator: 0,     // frame time not yet consumed by fixed simulation steps
+      
+      /**
+       * Advance the clock by one frame. Called by the scene at the start of modelView().
+       * 
+       * @return the scaled time in seconds of the frame
+       */
+      tick: function tick()
+      {
+         var delta;
+         switch (this.mode)
+         {
+            case "fixed":
+               delta = this.step;
+               break;
+            case "manual":
+               delta = this._pending;
+               this._pending = 0;
+               break;
+            default:
+            case "realtime":
+            {
+               // the first frame has no previous time to measure from
+               var now = this.source();
+               delta = this._last !== null ? (now - this._last) / 1000 : 0;
+               this._last = now;
+               break;
+            }
+         }
+         if (this.paused) delta = 0;
+         delta *= this.timescale;
+         
+         // consume the frame time in whole simulation steps - the remainder is carried to the next frame
+         this._accumulator += delta;
+         var steps = Math.floor(this._accumulator / this.step + Phoria.EPSILON);
+         this._accumulator = Math.max(this._accumulator - steps * this.step, 0);
+         if (steps > this.maxSteps)
+         {
+            steps = this.maxSteps;
+            this._accumulator = 0;
+         }
+         
+         this.delta = delta;
+         this.steps = steps;
+         this.time += delta;
+         this.frame++;
+         
+         return delta;
+      },
+      
+      /**
+       * Request time to pass in "manual" mode - the time is consumed by the next tick() i.e. the next frame.
+       * 
+       * @param seconds {Number}   Time to advance in seconds - optional, default is a single simulation step
+       */
+      advance: function advance(seconds)
+      {
+         this._pending += (seconds !== undefined ? seconds : this.step);
+      },
+      
+      /**
+       * Pause the clock - entities will not be animated until resume() is called.
+       */
+      pause: function pause()
+      {
+         this.paused = true;
+      },
+      
+      /**
+       * Resume the clock after a pause. The time that passed while paused is not included in the next frame.
+       */
+      resume: function resume()
+      {
+         this.paused = false;
+         this._last = null;
+      },
+      
+      /**
+       * Reset the clock to time zero.
+       */
+      reset: function reset()
+      {
+         this.time = this.delta = this._pending = this._accumulator = 0;
+         this.steps = this.frame = 0;
+         this._last = null;
+      }
+   };
+})();
+
+/**
+ * Constants
+ */
+Phoria.Scene.JSON_VERSION = 1;
+
+// entity types that can be reconstructed from scene JSON - @see Phoria.Scene.registerEntityType()
+Phoria.Scene.entityTypes = {
+   "BaseEntity": Phoria.BaseEntity,
+   "Entity": Phoria.Entity,
+   "PhysicsEntity": Phoria.PhysicsEntity,
+   "EmitterEntity": Phoria.EmitterEntity,
+   "DistantLight": Phoria.DistantLight,
+   "PointLight": Phoria.PointLight,
+   "SpotLight": Phoria.SpotLight,
+   "AmbientLight": Phoria.AmbientLight,
+   "HemisphereLight": Phoria.HemisphereLight
+};
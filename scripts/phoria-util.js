@@ -304,6 +304,34 @@ if (typeof Phoria === "undefined" || !Phoria)
       return dst;
    }
    
+   /**
+    * Shallow copy of an object excluding private "_" prefixed properties - useful to strip runtime values
+    * from simple data structures such as polygons and edges before serialisation.
+    */
+   Phoria.Util.stripPrivate = function stripPrivate(src)
+   {
+      var dst = {};
+      for (var p in src)
+      {
+         if (src.hasOwnProperty(p) && p.indexOf("_") !== 0)
+         {
+            dst[p] = src[p];
+         }
+      }
+      return dst;
+   }
+   
+   /**
+    * Return a source URL for an image or canvas - canvas based images are converted to a data URL. Objects with RGBA
+    * pixel data such as an ImageData or a Phoria.Framebuffer are encoded as a PNG data URL.
+    */
+   Phoria.Util.imageSource = function imageSource(img)
+   {
+      if (img.src) return img.src;
+      if (img.toDataURL) return img.toDataURL("image/png");
+      return (img.data && img.width && img.height) ? Phoria.PNG.toDataURL(Phoria.PNG.encode(img)) : null;
+   }
+   
    /**
     * Return true if the given mat4 is an identity (noop) matrix, false otherwise
     */
@@ -405,10 +433,18 @@ if (typeof Phoria === "undefined" || !Phoria)
          {
             polygons[i]._avz = (worldcoords[ verts[0] ][2] + worldcoords[ verts[1] ][2] + worldcoords[ verts[2] ][2]) * 0.333333;
          }
-         else
+         else if (verts.length === 4)
          {
             polygons[i]._avz = (worldcoords[ verts[0] ][2] + worldcoords[ verts[1] ][2] + worldcoords[ verts[2] ][2] + worldcoords[ verts[3] ][2]) * 0.25;
          }
+         else
+         {
+            for (var j=0, avz=0; j<verts.length; j++)
+            {
+               avz += worldcoords[ verts[j] ][2];
+            }
+            polygons[i]._avz = avz / verts.length;
+         }
       }
       polygons.sort(function sortPolygonsZ(f1, f2) {
          return (f1._avz < f2._avz ? -1 : 1);
@@ -588,10 +624,405 @@ if (typeof Phoria === "undefined" || !Phoria)
       };
    }
    
+   /**
+    * Project the vertices of a polygon onto the axis aligned plane that best matches the polygon plane. The projected
+    * 2D coordinates are returned with counter-clockwise winding regardless of the original winding.
+    * 
+    * @param vertices {Array}    Polygon vertex indices
+    * @param points {Array}      Entity points {x:0,y:0,z:0} indexed by the vertices
+    * @return Array of [x,y] coordinates - one for each polygon vertex
+    */
+   var projectPolygon = function projectPolygon(vertices, points)
+   {
+      // Newell's method - each normal component is twice the signed area of the polygon projected along that axis
+      var n = vertices.length, nx = 0, ny = 0, nz = 0;
+      for (var i=0, a, b; i<n; i++)
+      {
+         a = points[vertices[i]];
+         b = points[vertices[(i+1) % n]];
+         nx += (a.y - b.y) * (a.z + b.z);
+         ny += (a.z - b.z) * (a.x + b.x);
+         nz += (a.x - b.x) * (a.y + b.y);
+      }
+      var ax = Math.abs(nx), ay = Math.abs(ny), az = Math.abs(nz),
+          u = "x", v = "y", sign = nz;
+      if (ax > ay && ax > az)
+      {
+         u = "y"; v = "z"; sign = nx;
+      }
+      else if (ay > az)
+      {
+         u = "z"; v = "x"; sign = ny;
+      }
+      var coords = new Array(n);
+      for (i=0; i<n; i++)
+      {
+         coords[i] = [points[vertices[i]][u], sign < 0 ? -points[vertices[i]][v] : points[vertices[i]][v]];
+      }
+      return coords;
+   };
+   
+   /**
+    * Return twice the signed area of the 2D triangle a,b,c - positive if the triangle is counter-clockwise
+    */
+   var area2D = function area2D(a, b, c)
+   {
+      return (b[0] - a[0]) * (c[1] - a[1]) - (c[0] - a[0]) * (b[1] - a[1]);
+   };
+   
+   /**
+    * Triangulate a polygon with any number of vertices - concave polygons are supported - using the ear clipping
+    * method. The triangles keep the winding order of the original polygon so the polygon normal is not affected.
+    * 
+    * @param vertices {Array}    Polygon vertex indices
+    * @param points {Array}      Entity points {x:0,y:0,z:0} indexed by the vertices
+    * @return Array of indices into the vertices list - three for each triangle
+    */
+   Phoria.Util.triangulateIndices = function triangulateIndices(vertices, points)
+   {
+      var n = vertices.length;
+      if (n < 3) return [];
+      if (n === 3) return [0, 1, 2];
+      
+      var coords = projectPolygon(vertices, points),
+          remaining = new Array(n),
+          triangles = [];
+      for (var i=0; i<n; i++) remaining[i] = i;
+      
+      // clip one ear at a time - an ear is a convex vertex with no other vertices inside the triangle it forms
+      // with its neighbours. If no ear can be found the polygon is degenerate or self-intersecting, so the
+      // first convex vertex - else the first vertex - is clipped to guarantee the loop completes.
+      while (remaining.length > 3)
+      {
+         var len = remaining.length, ear = -1, convex = -1;
+         for (i=0; i<len && ear === -1; i++)
+         {
+            var a = coords[remaining[(i+len-1) % len]], b = coords[remaining[i]], c = coords[remaining[(i+1) % len]],
+                area = area2D(a, b, c);
+            if (area < Phoria.EPSILON) continue;
+            if (convex === -1) convex = i;
+            ear = i;
+            for (var j=0, p; j<len; j++)
+            {
+               p = coords[remaining[j]];
+               if (p === a || p === b || p === c || (p[0] === a[0] && p[1] === a[1]) ||
+                   (p[0] === b[0] && p[1] === b[1]) || (p[0] === c[0] && p[1] === c[1])) continue;
+               if (area2D(a, b, p) >= 0 && area2D(b, c, p) >= 0 && area2D(c, a, p) >= 0)
+               {
+                  ear = -1;
+                  break;
+               }
+            }
+         }
+         if (ear === -1) ear = (convex !== -1 ? convex : 0);
+         
+         // degenerate (collinear) vertices are removed without adding a triangle
+         var prev = remaining[(ear+len-1) % len], next = remaining[(ear+1) % len];
+         if (Math.abs(area2D(coords[prev], coords[remaining[ear]], coords[next])) >= Phoria.EPSILON)
+         {
+            triangles.push(prev, remaining[ear], next);
+         }
+         remaining.splice(ear, 1);
+      }
+      if (Math.abs(area2D(coords[remaining[0]], coords[remaining[1]], coords[remaining[2]])) >= Phoria.EPSILON ||
+          triangles.length === 0)
+      {
+         triangles.push(remaining[0], remaining[1], remaining[2]);
+      }
+      
+      return triangles;
+   }
+   
+   /**
+    * Return true if the polygon is convex - including triangles. Convex polygons can be rendered as a simple fan of
+    * triangles and do not need to be triangulated.
+    * 
+    * @param vertices {Array}    Polygon vertex indices
+    * @param points {Array}      Entity points {x:0,y:0,z:0} indexed by the vertices
+    */
+   Phoria.Util.isConvexPolygon = function isConvexPolygon(vertices, points)
+   {
+      var n = vertices.length;
+      if (n <= 3) return true;
+      var coords = projectPolygon(vertices, points);
+      for (var i=0; i<n; i++)
+      {
+         if (area2D(coords[i], coords[(i+1) % n], coords[(i+2) % n]) < 0) return false;
+      }
+      return true;
+   }
+   
+   /**
+    * Triangulate a list of polygons. Triangles and convex quads are kept - all other polygons are replaced by
+    * triangles that copy the polygon properties such as texture, colour and emit. Texture coordinates are
+    * preserved for each triangle.
+    * 
+    * @param polygons {Array}    List of polygons {vertices:[...],uvs:[...],...}
+    * @param points {Array}      Entity points {x:0,y:0,z:0} indexed by the polygon vertices
+    * @return new list of polygons
+    */
+   Phoria.Util.triangulate = function triangulate(polygons, points)
+   {
+      var result = [];
+      for (var i=0, poly, vertices, tris; i<polygons.length; i++)
+      {
+         poly = polygons[i];
+         vertices = poly.vertices;
+         if (vertices.length === 3 || (vertices.length === 4 && Phoria.Util.isConvexPolygon(vertices, points)))
+         {
+            result.push(poly);
+            continue;
+         }
+         tris = Phoria.Util.triangulateIndices(vertices, points);
+         for (var t=0, tri, a, b, c; t<tris.length; t+=3)
+         {
+            a = tris[t]; b = tris[t+1]; c = tris[t+2];
+            
+            // copy the public polygon properties - private properties are regenerated during scene processing
+            tri = {};
+            for (var p in poly)
+            {
+               if (poly.hasOwnProperty(p) && p[0] !== '_') tri[p] = poly[p];
+            }
+            tri.vertices = [vertices[a], vertices[b], vertices[c]];
+            if (poly.uvs)
+            {
+               tri.uvs = [poly.uvs[a*2], poly.uvs[a*2+1], poly.uvs[b*2], poly.uvs[b*2+1], poly.uvs[c*2], poly.uvs[c*2+1]];
+            }
+            result.push(tri);
+         }
+      }
+      return result;
+   }
+   
+   // tolerance for classifying points against a BSP plane - and the number of candidate splitting planes per node
+   var BSP_EPSILON = 0.00001,
+       BSP_CANDIDATES = 16;
+   
+   /**
+    * Return the plane of a polygon as a unit normal and distance from the origin - the normal is calculated with
+    * Newell's method so is correct for any planar polygon even if the first vertices are collinear
+    */
+   var polygonPlane = function polygonPlane(vertices, points)
+   {
+      var nx = 0, ny = 0, nz = 0, cx = 0, cy = 0, cz = 0, n = vertices.length;
+      for (var i=0, a, b; i<n; i++)
+      {
+         a = points[vertices[i]];
+         b = points[vertices[(i+1) % n]];
+         nx += (a.y - b.y) * (a.z + b.z);
+         ny += (a.z - b.z) * (a.x + b.x);
+         nz += (a.x - b.x) * (a.y + b.y);
+         cx += a.x; cy += a.y; cz += a.z;
+      }
+      var len = Math.sqrt(nx*nx + ny*ny + nz*nz);
+      if (len < Phoria.EPSILON) return null;
+      nx /= len; ny /= len; nz /= len;
+      return {normal: [nx, ny, nz], d: (nx*cx + ny*cy + nz*cz) / n};
+   };
+   
+   /**
+    * Return which side of a plane the polygon is on - 1 in front, -1 behind, 0 for coplanar and 2 for spanning
+    */
+   var classifyPolygon = function classifyPolygon(plane, vertices, points)
+   {
+      var front = false, back = false;
+      for (var i=0, p, dist; i<vertices.length; i++)
+      {
+         p = points[vertices[i]];
+         dist = plane.normal[0]*p.x + plane.normal[1]*p.y + plane.normal[2]*p.z - plane.d;
+         if (dist > BSP_EPSILON) front = true;
+         else if (dist < -BSP_EPSILON) back = true;
+      }
+      return front ? (back ? 2 : 1) : (back ? -1 : 0);
+   };
+   
+   /**
+    * Split a convex polygon by a plane into a front and back polygon. New points are appended to the points list
+    * where an edge crosses the plane - an edge shared by neighbouring polygons reuses the same new point.
+    * 
+    * @return {front: polygon, back: polygon} either may be null if degenerate
+    */
+   var splitPolygon = function splitPolygon(plane, poly, points, splits)
+   {
+      var vertices = poly.vertices, uvs = poly.uvs, n = vertices.length,
+          fv = [], bv = [], fuv = [], buv = [], dists = new Array(n);
+      for (var i=0, p; i<n; i++)
+      {
+         p = points[vertices[i]];
+         dists[i] = plane.normal[0]*p.x + plane.normal[1]*p.y + plane.normal[2]*p.z - plane.d;
+         if (Math.abs(dists[i]) <= BSP_EPSILON) dists[i] = 0;
+      }
+      for (var i=0, j, di, dj; i<n; i++)
+      {
+         j = (i+1) % n;
+         di = dists[i]; dj = dists[j];
+         if (di >= 0)
+         {
+            fv.push(vertices[i]);
+            if (uvs) fuv.push(uvs[i*2], uvs[i*2+1]);
+         }
+         if (di <= 0)
+         {
+            bv.push(vertices[i]);
+            if (uvs) buv.push(uvs[i*2], uvs[i*2+1]);
+         }
+         if ((di > 0 && dj < 0) || (di < 0 && dj > 0))
+         {
+            // edge crosses the plane - interpolate a new point and texture coordinate
+            var t = di / (di - dj),
+                a = vertices[i], b = vertices[j],
+                key = a < b ? a + "," + b : b + "," + a,
+                index = splits[key];
+            if (index === undefined)
+            {
+               var pa = points[a], pb = points[b];
+               index = splits[key] = points.length;
+               points.push({x: pa.x + (pb.x - pa.x) * t, y: pa.y + (pb.y - pa.y) * t, z: pa.z + (pb.z - pa.z) * t});
+            }
+            fv.push(index);
+            bv.push(index);
+            if (uvs)
+            {
+               var u = uvs[i*2] + (uvs[j*2] - uvs[i*2]) * t,
+                   v = uvs[i*2+1] + (uvs[j*2+1] - uvs[i*2+1]) * t;
+               fuv.push(u, v);
+               buv.push(u, v);
+            }
+         }
+      }
+      
+      var fnPolygon = function(vertices, uvs) {
+         if (vertices.length < 3) return null;
+         // copy the public polygon properties - private properties are regenerated during scene processing
+         var piece = {};
+         for (var p in poly)
+         {
+            if (poly.hasOwnProperty(p) && p[0] !== '_') piece[p] = poly[p];
+         }
+         piece.vertices = vertices;
+         if (poly.uvs) piece.uvs = uvs;
+         return piece;
+      };
+      return {front: fnPolygon(fv, fuv), back: fnPolygon(bv, buv)};
+   };
+   
+   /**
+    * Recursively build a BSP tree node from a list of polygons
+    */
+   var buildBSPNode = function buildBSPNode(polygons, points)
+   {
+      // choose the splitting plane from a sample of the polygons - the fewest splits with the best balance
+      var best = null, bestScore = Infinity,
+          step = Math.max(1, Math.floor(polygons.length / BSP_CANDIDATES));
+      for (var i=0, plane; i<polygons.length; i+=step)
+      {
+         plane = polygonPlane(polygons[i].vertices, points);
+         if (plane === null) continue;
+         for (var j=0, front=0, back=0, spans=0, side; j<polygons.length; j++)
+         {
+            side = classifyPolygon(plane, polygons[j].vertices, points);
+            if (side === 1) front++;
+            else if (side === -1) back++;
+            else if (side === 2) spans++;
+         }
+         var score = spans * 8 + Math.abs(front - back);
+         if (score < bestScore)
+         {
+            best = plane;
+            bestScore = score;
+         }
+      }
+      
+      // only degenerate polygons remain - they have no plane so are drawn in any order
+      if (best === null) return {normal: [0,0,1], d: 0, polygons: polygons, front: null, back: null};
+      
+      var node = {normal: best.normal, d: best.d, polygons: [], front: null, back: null},
+          front = [], back = [], splits = {};
+      for (var i=0, poly; i<polygons.length; i++)
+      {
+         poly = polygons[i];
+         switch (classifyPolygon(best, poly.vertices, points))
+         {
+            case 0:
+               node.polygons.push(poly);
+               break;
+            case 1:
+               front.push(poly);
+               break;
+            case -1:
+               back.push(poly);
+               break;
+            case 2:
+               var pieces = splitPolygon(best, poly, points, splits);
+               if (pieces.front !== null) front.push(pieces.front);
+               if (pieces.back !== null) back.push(pieces.back);
+               break;
+         }
+      }
+      if (front.length !== 0) node.front = buildBSPNode(front, points);
+      if (back.length !== 0) node.back = buildBSPNode(back, points);
+      
+      return node;
+   };
+   
+   /**
+    * Build a BSP (binary space partitioning) tree from a list of polygons. Polygons that span the plane of a node
+    * are split in two - new points are added for the split edges and the texture coordinates are interpolated.
+    * Polygons must be convex - @see Phoria.Util.triangulate(). The tree is built in the local coordinates of the
+    * points and can be traversed back-to-front from any viewpoint with Phoria.Util.sortPolygonsBSP() - giving a
+    * correct painter's algorithm ordering for interlocking or large polygons that cannot be sorted by depth.
+    * 
+    * @param polygons {Array}    List of convex polygons {vertices:[...],uvs:[...],...}
+    * @param points {Array}      Entity points {x:0,y:0,z:0} indexed by the polygon vertices
+    * @return {points: [], polygons: [], tree: {}} the points list with any new points added, the list of polygons
+    *         including any split polygons and the root node of the tree - the supplied lists are not modified
+    */
+   Phoria.Util.generateBSPTree = function generateBSPTree(polygons, points)
+   {
+      points = points.slice(0);
+      var tree = polygons.length !== 0 ? buildBSPNode(polygons, points) : null,
+          result = [];
+      
+      // flatten the polygons of the tree into the new polygon list
+      var fnCollect = function(node) {
+         if (node === null) return;
+         for (var i=0; i<node.polygons.length; i++) result.push(node.polygons[i]);
+         fnCollect(node.front);
+         fnCollect(node.back);
+      };
+      fnCollect(tree);
+      
+      return {points: points, polygons: result, tree: tree};
+   }
+   
+   /**
+    * Sort a list of polygons back-to-front from a viewpoint by traversing a BSP tree. The list is sorted in place
+    * and must contain the same polygons as the tree - @see Phoria.Util.generateBSPTree()
+    * 
+    * @param tree {Object}       Root node of the BSP tree
+    * @param polygons {Array}    List of the polygons in the tree
+    * @param position {vec3}     Viewpoint in the local coordinates of the tree
+    */
+   Phoria.Util.sortPolygonsBSP = function sortPolygonsBSP(tree, polygons, position)
+   {
+      var index = 0;
+      var fnTraverse = function(node) {
+         if (node === null) return;
+         var inFront = (node.normal[0]*position[0] + node.normal[1]*position[1] + node.normal[2]*position[2] - node.d) >= 0;
+         
+         // the far side of the plane is drawn first, then polygons in the plane, then the near side
+         fnTraverse(inFront ? node.back : node.front);
+         for (var i=0; i<node.polygons.length; i++) polygons[index++] = node.polygons[i];
+         fnTraverse(inFront ? node.front : node.back);
+      };
+      fnTraverse(tree);
+   }
+   
    /**
     * Subdivide the given vertices and triangles - using a basic normalised triangle subdivision algorithm.
     * From OpenGL tutorial chapter "Subdividing to Improve a Polygonal Approximation to a Surface".
-    * NOTE: this only works on triangles or quads not higher order polygons.
+    * Quads and higher order polygons are triangulated first.
     * 
     * TODO: currently this subdivide does not reuse vertices that are shared by polygons!
     */
@@ -637,6 +1068,13 @@ if (typeof Phoria === "undefined" || !Phoria)
             fnSubDivide.call(this, v[vs[0]], v[vs[1]], v[vs[2]]);
             fnSubDivide.call(this, v[vs[2]], v[vs[3]], v[vs[0]]);
          }
+         else
+         {
+            for (var t=0, tris=Phoria.Util.triangulateIndices(vs, v); t<tris.length; t+=3)
+            {
+               fnSubDivide.call(this, v[vs[tris[t]]], v[vs[tris[t+1]]], v[vs[tris[t+2]]]);
+            }
+         }
       }
       
       return {
@@ -902,6 +1340,7 @@ if (typeof Phoria === "undefined" || !Phoria)
     *       scaleTo: 1.0         // optional automatically scale object to a specific size
     *       center: false        // optional centering of imported geometry to the origin
     *       reorder: false       // true to switch order of poly vertices if back-to-front ordering
+    *       triangulate: false   // true to triangulate faces that are not triangles or convex quads
     *    }
     */
    Phoria.Util.importGeometryWavefront = function importGeometryWavefront(config)
@@ -1032,7 +1471,7 @@ if (typeof Phoria === "undefined" || !Phoria)
             {
                config.fnSuccess.call(this, {
                   points: vertex,
-                  polygons: faces
+                  polygons: config.triangulate ? Phoria.Util.triangulate(faces, vertex) : faces
                });
             }
          },
@@ -1110,71 +1549,44 @@ if (typeof Phoria === "undefined" || !Phoria)
 
    Phoria.Util.intersectionInsidePolygon = function intersectionInsidePolygon(polygon, points, intersection)
    {
-      // get absolute values of polygons normal vector
-      var absNormal = vec3.fromValues(Math.abs(polygon._worldnormal[0]), Math.abs(polygon._worldnormal[1]), Math.abs(polygon._worldnormal[2]));
-      // intersection counter
-      var numIntersects = 0;
-      // the vector for the test line, can be any 2D vector
-      var testVector = vec2.fromValues(1, 1);
-
-      // for every vertice of the polygon
-      for (var l = 0; l < polygon.vertices.length; l++)
+      // use orthogonal planes to check if the point is in shape in 2D
+      // the component with the highest normal value is dropped
+      // as this gives the best approximation of the original shape
+      var absNormal = vec3.fromValues(Math.abs(polygon._worldnormal[0]), Math.abs(polygon._worldnormal[1]), Math.abs(polygon._worldnormal[2])),
+          u = 0, v = 1;
+      if (absNormal[2] >= absNormal[0] && absNormal[2] >= absNormal[1])
       {
-         var point1, point2,
-             intersection2D;
-
-         // use orthogonal planes to check if the point is in shape in 2D
-         // the component with the highest normal value is dropped
-         // as this gives the best approximation of the original shape
-
          // drop z coordinates
-         if (absNormal[2] >= absNormal[0] && absNormal[2] >= absNormal[1])
-         {
-            point1 = vec2.fromValues(points[polygon.vertices[l]][0], points[polygon.vertices[l]][1]);
-            point2;
-            if (l < polygon.vertices.length - 1)
-               point2 = vec2.fromValues(points[polygon.vertices[l + 1]][0], points[polygon.vertices[l + 1]][1]);
-            else
-               point2 = vec2.fromValues(points[polygon.vertices[0]][0], points[polygon.vertices[0]][1]);
-
-            intersection2D = vec2.fromValues(intersection[0], intersection[1]);
-         }
+         u = 0; v = 1;
+      }
+      else if (absNormal[1] > absNormal[0])
+      {
          // drop y coordinates
-         else if (absNormal[1] > absNormal[0])
-         {
-            point1 = vec2.fromValues(points[polygon.vertices[l]][2], points[polygon.vertices[l]][0]);
-            point2;
-            if (l < polygon.vertices.length - 1)
-               point2 = vec2.fromValues(points[polygon.vertices[l + 1]][2], points[polygon.vertices[l + 1]][0]);
-            else
-               point2 = vec2.fromValues(points[polygon.vertices[0]][2], points[polygon.vertices[0]][0]);
-
-            intersection2D = vec2.fromValues(intersection[2], intersection[0]);
-         }
+         u = 2; v = 0;
+      }
+      else
+      {
          // drop x coordinates
-         else
-         {
-            point1 = vec2.fromValues(points[polygon.vertices[l]][1], points[polygon.vertices[l]][2]);
-            point2;
-            if (l < polygon.vertices.length - 1)
-               point2 = vec2.fromValues(points[polygon.vertices[l + 1]][1], points[polygon.vertices[l + 1]][2]);
-            else
-               point2 = vec2.fromValues(points[polygon.vertices[0]][1], points[polygon.vertices[0]][2]);
-
-            intersection2D = vec2.fromValues(intersection[1], intersection[2]);
-         }
+         u = 1; v = 2;
+      }
 
-         // check if the vector from the intersection point intersects the line section
-         if (Phoria.Util.sectionLineIntersect2D(point1, point2, intersection2D, testVector))
+      // count the edges crossed by a line from the intersection in the positive u direction - each edge includes its
+      // lower end point but not its upper, so a line passing exactly through a vertex is counted once
+      var inside = false, vertices = polygon.vertices;
+      for (var l = 0, j = vertices.length - 1, a, b; l < vertices.length; j = l++)
+      {
+         a = points[vertices[l]];
+         b = points[vertices[j]];
+         if ((a[v] > intersection[v]) !== (b[v] > intersection[v]) &&
+             intersection[u] < a[u] + (b[u] - a[u]) * (intersection[v] - a[v]) / (b[v] - a[v]))
          {
-            // increase intersect counter
-            numIntersects++;
+            inside = !inside;
          }
       }
 
       // uneven number of intersects, mean the point is inside the object
       // even number of intersects, means its outside
-      return (numIntersects % 2 === 1);
+      return inside;
    }
 
    Phoria.Util.sectionLineIntersect2D = function sectionLineIntersect2D(p1, p2, p, v)
@@ -1239,9 +1651,338 @@ if (typeof Phoria === "undefined" || !Phoria)
       return (doesIntersect.x && doesIntersect.y);
    }
 
+   /**
+    * Return the line scalar where a ray first enters a sphere - zero if the ray starts inside the sphere.
+    * 
+    * @param center {vec3}       Centre of the sphere
+    * @param radius {Number}     Radius of the sphere
+    * @param lineVector {vec3}   Direction of the ray
+    * @param linePoint {vec3}    Start of the ray
+    * @return line scalar along the ray vector or -1 if the ray does not intersect the sphere
+    */
+   Phoria.Util.sphereLineIntersection = function sphereLineIntersection(center, radius, lineVector, linePoint)
+   {
+      // |linePoint + lineScalar * lineVector - center| = radius is a quadratic in lineScalar
+      var ox = linePoint[0] - center[0], oy = linePoint[1] - center[1], oz = linePoint[2] - center[2],
+          a = vec3.dot(lineVector, lineVector),
+          b = ox * lineVector[0] + oy * lineVector[1] + oz * lineVector[2],
+          c = ox*ox + oy*oy + oz*oz - radius*radius,
+          d = b*b - a*c;
+      if (d < 0 || a === 0) return -1;
+      d = Math.sqrt(d);
+      // exit scalar behind the start means the whole sphere is behind the ray
+      if ((-b + d) / a < 0) return -1;
+      return Math.max(0, (-b - d) / a);
+   }
+   
+   /**
+    * Return the line scalar where a ray first enters an axis aligned box - zero if the ray starts inside the box.
+    * 
+    * @param min {vec3}          Minimum corner of the box
+    * @param max {vec3}          Maximum corner of the box
+    * @param lineVector {vec3}   Direction of the ray
+    * @param linePoint {vec3}    Start of the ray
+    * @return line scalar along the ray vector or -1 if the ray does not intersect the box
+    */
+   Phoria.Util.boxLineIntersection = function boxLineIntersection(min, max, lineVector, linePoint)
+   {
+      // clip the ray against the pair of planes on each axis in turn
+      var near = 0, far = Infinity;
+      for (var i=0, t1, t2; i<3; i++)
+      {
+         if (lineVector[i] === 0)
+         {
+            // parallel to the planes - must start between them
+            if (linePoint[i] < min[i] || linePoint[i] > max[i]) return -1;
+            continue;
+         }
+         t1 = (min[i] - linePoint[i]) / lineVector[i];
+         t2 = (max[i] - linePoint[i]) / lineVector[i];
+         if (t1 > t2)
+         {
+            var t = t1; t1 = t2; t2 = t;
+         }
+         if (t1 > near) near = t1;
+         if (t2 < far) far = t2;
+         if (near > far) return -1;
+      }
+      return near;
+   }
+   
+   // maximum number of polygons in a leaf node of a bounding volume hierarchy
+   var BVH_LEAF_SIZE = 4;
+   
+   /**
+    * Build a bounding volume hierarchy for a list of polygons - a binary tree of axis aligned boxes used to quickly
+    * find the polygons that a ray may intersect. Each node of the tree is an object:
+    *    {min: vec3, max: vec3, left: node, right: node, polygons: null}
+    * Leaf nodes have null left and right children and a list of the polygons - the polygon objects are referenced
+    * rather than their indexes so the tree remains valid when the polygon list is sorted.
+    * 
+    * @param polygons {Array}   List of polygons
+    * @param coords {Array}     Coordinates for the polygon vertices - e.g. the world coordinates of an entity
+    * @return root node of the tree - or null if there are no polygons
+    */
+   Phoria.Util.generateBVH = function generateBVH(polygons, coords)
+   {
+      if (polygons.length === 0) return null;
+      
+      // bounds and centre of each polygon
+      var boxes = new Array(polygons.length),
+          indexes = new Array(polygons.length);
+      for (var n=0, vertices, min, max; n<polygons.length; n++)
+      {
+         vertices = polygons[n].vertices;
+         min = vec3.fromValues(Infinity, Infinity, Infinity);
+         max = vec3.fromValues(-Infinity, -Infinity, -Infinity);
+         for (var i=0, c; i<vertices.length; i++)
+         {
+            c = coords[vertices[i]];
+            vec3.min(min, min, c);
+            vec3.max(max, max, c);
+         }
+         boxes[n] = {min: min, max: max, center: vec3.lerp(vec3.create(), min, max, 0.5)};
+         indexes[n] = n;
+      }
+      
+      var fnBuild = function(indexes) {
+         var node = {
+            min: vec3.fromValues(Infinity, Infinity, Infinity),
+            max: vec3.fromValues(-Infinity, -Infinity, -Infinity),
+            left: null,
+            right: null,
+            polygons: null
+         };
+         var cmin = vec3.fromValues(Infinity, Infinity, Infinity),
+             cmax = vec3.fromValues(-Infinity, -Infinity, -Infinity);
+         for (var i=0, box; i<indexes.length; i++)
+         {
+            box = boxes[indexes[i]];
+            vec3.min(node.min, node.min, box.min);
+            vec3.max(node.max, node.max, box.max);
+            vec3.min(cmin, cmin, box.center);
+            vec3.max(cmax, cmax, box.center);
+         }
+         if (indexes.length <= BVH_LEAF_SIZE)
+         {
+            node.polygons = indexes.map(function(i) {
+               return polygons[i];
+            });
+            return node;
+         }
+         
+         // split on the longest axis of the polygon centres - at the middle of the axis, or at the median polygon
+         // if all the polygons fall on one side of the middle
+         var axis = 0;
+         if (cmax[1] - cmin[1] > cmax[axis] - cmin[axis]) axis = 1;
+         if (cmax[2] - cmin[2] > cmax[axis] - cmin[axis]) axis = 2;
+         var mid = (cmin[axis] + cmax[axis]) * 0.5,
+             left = [], right = [];
+         for (var i=0; i<indexes.length; i++)
+         {
+            if (boxes[indexes[i]].center[axis] < mid) left.push(indexes[i]);
+            else right.push(indexes[i]);
+         }
+         if (left.length === 0 || right.length === 0)
+         {
+            indexes.sort(function(a, b) {
+               return boxes[a].center[axis] - boxes[b].center[axis];
+            });
+            left = indexes.slice(0, indexes.length >> 1);
+            right = indexes.slice(indexes.length >> 1);
+         }
+         node.left = fnBuild(left);
+         node.right = fnBuild(right);
+         return node;
+      };
+      
+      return fnBuild(indexes);
+   }
+   
+   /**
+    * Visit the leaf nodes of a bounding volume hierarchy that a ray intersects - nearest first. The visitor returns
+    * the line scalar of the nearest intersection found so far, so nodes that start beyond it are skipped.
+    * 
+    * @param node {Object}         Root node as generated by generateBVH()
+    * @param lineVector {vec3}     Direction of the ray
+    * @param linePoint {vec3}      Start of the ray
+    * @param fnVisit {function}    Called with the list of polygons of each leaf node - returns the line scalar
+    *                              of the nearest intersection so far, or Infinity to visit every intersected leaf
+    */
+   Phoria.Util.traverseBVH = function traverseBVH(node, lineVector, linePoint, fnVisit)
+   {
+      var nearest = Infinity;
+      var fnTraverse = function(node, t) {
+         if (t > nearest) return;
+         if (node.polygons !== null)
+         {
+            nearest = fnVisit(node.polygons);
+            return;
+         }
+         var tl = Phoria.Util.boxLineIntersection(node.left.min, node.left.max, lineVector, linePoint),
+             tr = Phoria.Util.boxLineIntersection(node.right.min, node.right.max, lineVector, linePoint);
+         if (tl !== -1 && (tr === -1 || tl <= tr))
+         {
+            fnTraverse(node.left, tl);
+            if (tr !== -1) fnTraverse(node.right, tr);
+         }
+         else if (tr !== -1)
+         {
+            fnTraverse(node.right, tr);
+            if (tl !== -1) fnTraverse(node.left, tl);
+         }
+      };
+      if (node !== null)
+      {
+         var t = Phoria.Util.boxLineIntersection(node.min, node.max, lineVector, linePoint);
+         if (t !== -1) fnTraverse(node, t);
+      }
+   }
+
 })();
 
 
+/**
+ * Behaviours registry. A behaviour is a named factory that generates an event handler function from a set of parameters.
+ * Entities and scenes can reference behaviours by name and parameters in place of handler functions - e.g. in a scene
+ * JSON description - so no code needs to be serialised or eval()'d at load time. The on* event handler methods of the
+ * Phoria objects (onBeforeScene, onScene, onRender, onParticle, onCamera) all accept behaviour references:
+ * 
+ *    entity.onBeforeScene({behaviour: "spin-y", params: {angle: 30}});
+ *    entity.onBeforeScene("spin-y");
+ * 
+ * @class Phoria.Behaviours
+ */
+(function() {
+   "use strict";
+
+   Phoria.Behaviours = {};
+
+   // map of behaviour names to factory functions
+   var registry = {};
+
+   /**
+    * Register a named behaviour.
+    * 
+    * @param name {string}          Unique name of the behaviour e.g. "spin-y"
+    * @param factory {function}     Factory function with signature: function(params) returning the event handler
+    *                               function. The params object is always supplied - it is empty if none were given.
+    */
+   Phoria.Behaviours.register = function register(name, factory)
+   {
+      registry[name] = factory;
+   }
+
+   /**
+    * Return true if a behaviour with the given name has been registered.
+    */
+   Phoria.Behaviours.exists = function exists(name)
+   {
+      return registry.hasOwnProperty(name);
+   }
+
+   /**
+    * Create an event handler function for a named behaviour. The handler is tagged with the behaviour reference
+    * so it can be serialised again by describe().
+    * 
+    * @param name {string}       Name of a registered behaviour
+    * @param params {Object}     Optional parameters passed to the behaviour factory
+    * @return handler function
+    * @throws Error if the behaviour is not registered
+    */
+   Phoria.Behaviours.create = function create(name, params)
+   {
+      if (!registry.hasOwnProperty(name))
+      {
+         throw new Error("Unknown behaviour: " + name);
+      }
+      params = params || {};
+      var fn = registry[name](params);
+      fn.behaviour = {behaviour: name, params: params};
+      return fn;
+   }
+
+   /**
+    * Resolve an event handler value into handler function(s). Accepts a function, a behaviour name string,
+    * a behaviour reference object {behaviour: name, params: {...}} or an Array of any of those.
+    * 
+    * @return function or Array of functions
+    */
+   Phoria.Behaviours.resolve = function resolve(fn)
+   {
+      if (Array.isArray(fn))
+      {
+         return fn.map(resolve);
+      }
+      if (typeof fn === "string")
+      {
+         return Phoria.Behaviours.create(fn);
+      }
+      if (fn && typeof fn === "object" && fn.behaviour)
+      {
+         return Phoria.Behaviours.create(fn.behaviour, fn.params);
+      }
+      return fn;
+   }
+
+   /**
+    * Return the behaviour references for a list of event handler functions - suitable for serialisation.
+    * Handlers that were not created from a behaviour (plain functions, or handlers added by an entity constructor)
+    * cannot be described and are skipped.
+    * 
+    * @param handlers {Array}    List of handler functions - can be null
+    * @return Array of behaviour references or null if there are none
+    */
+   Phoria.Behaviours.describe = function describe(handlers)
+   {
+      var refs = [];
+      if (handlers)
+      {
+         for (var i=0; i<handlers.length; i++)
+         {
+            if (handlers[i].behaviour) refs.push(handlers[i].behaviour);
+         }
+      }
+      return refs.length !== 0 ? refs : null;
+   }
+
+   /**
+    * Built-in behaviours
+    */
+
+   // rotate the entity around a local axis by an angle in degrees per second of the scene clock - for use with
+   // onBeforeScene or onScene
+   // params: {angle: Number} - default 60.0
+   var fnSpin = function(axis) {
+      return function(params) {
+         var rad = (params.angle !== undefined ? params.angle : 60.0) * Phoria.RADIANS;
+         return function(scene) {
+            this[axis](rad * scene.clock.delta);
+         };
+      };
+   };
+   Phoria.Behaviours.register("spin-x", fnSpin("rotateX"));
+   Phoria.Behaviours.register("spin-y", fnSpin("rotateY"));
+   Phoria.Behaviours.register("spin-z", fnSpin("rotateZ"));
+
+   // rotate the camera position around the lookat point on the Y axis by an angle in degrees per second of the scene
+   // clock - for use with onCamera
+   // params: {angle: Number} - default 60.0
+   Phoria.Behaviours.register("orbit-y", function(params) {
+      var rad = (params.angle !== undefined ? params.angle : 60.0) * Phoria.RADIANS,
+          angle = 0;
+      return function(position, lookAt) {
+         // called with the scene as 'this'
+         angle += rad * this.clock.delta;
+         var rotMatrix = mat4.create();
+         mat4.rotateY(rotMatrix, rotMatrix, angle);
+         vec4.subtract(position, position, lookAt);
+         vec4.transformMat4(position, position, rotMatrix);
+         vec4.add(position, position, lookAt);
+      };
+   });
+})();
+
 /**
  * Image Preloader class. Executes the supplied callback function once all
  * registered images are loaded by the browser.
@@ -1315,3 +2056,449 @@ if (typeof Phoria === "undefined" || !Phoria)
       }
    };
 })();
+
+
+/**
+ * PNG image encoder. Encodes RGBA pixel data - such as an ImageData, a Phoria.Framebuffer or the image of the
+ * SoftwareRenderer - to PNG file bytes in pure JavaScript so frames can be saved without the canvas APIs of a
+ * browser, e.g. for golden image tests or rendering images offline under Node.js.
+ * 
+ *    var bytes = Phoria.PNG.encode(renderer.getImageData());
+ *    var url = Phoria.PNG.toDataURL(bytes);
+ * 
+ * @class Phoria.PNG
+ */
+(function() {
+   "use strict";
+
+   Phoria.PNG = {};
+   
+   // PNG file signature bytes
+   var SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+   
+   // deflate length and distance code tables - RFC 1951 section 3.2.5
+   var LENGTH_BASE = [3,4,5,6,7,8,9,10,11,13,15,17,19,23,27,31,35,43,51,59,67,83,99,115,131,163,195,227,258],
+       LENGTH_EXTRA = [0,0,0,0,0,0,0,0,1,1,1,1,2,2,2,2,3,3,3,3,4,4,4,4,5,5,5,5,0],
+       DIST_BASE = [1,2,3,4,5,7,9,13,17,25,33,49,65,97,129,193,257,385,513,769,1025,1537,2049,3073,4097,6145,8193,
+                    12289,16385,24577],
+       DIST_EXTRA = [0,0,0,0,1,1,2,2,3,3,4,4,5,5,6,6,7,7,8,8,9,9,10,10,11,11,12,12,13,13];
+   
+   // LZ77 window size, maximum match length and the number of hash chain entries searched for each match
+   var WINDOW_SIZE = 32768,
+       MAX_MATCH = 258,
+       MAX_CHAIN = 64;
+   
+   // maximum number of bytes in a deflate block - the largest stored block
+   var BLOCK_SIZE = 65535;
+   
+   // CRC32 lookup table - generated on first use
+   var crcTable = null;
+   
+   /**
+    * Growable byte buffer with a bit writer for the deflate stream - bits are packed from the least significant bit
+    */
+   var ByteWriter = function(size)
+   {
+      this.bytes = new Uint8Array(size > 0 ? size : 1024);
+      this.length = 0;
+      this.bitbuf = 0;
+      this.bitcount = 0;
+   };
+   
+   ByteWriter.prototype = {
+      ensure: function ensure(n)
+      {
+         if (this.length + n > this.bytes.length)
+         {
+            var bytes = new Uint8Array(Math.max(this.bytes.length * 2, this.length + n));
+            bytes.set(this.bytes.subarray(0, this.length));
+            this.bytes = bytes;
+         }
+      },
+      
+      writeByte: function writeByte(b)
+      {
+         this.ensure(1);
+         this.bytes[this.length++] = b;
+      },
+      
+      writeBytes: function writeBytes(bytes)
+      {
+         this.ensure(bytes.length);
+         this.bytes.set(bytes, this.length);
+         this.length += bytes.length;
+      },
+      
+      writeUint32: function writeUint32(n)
+      {
+         this.writeByte((n >>> 24) & 0xff);
+         this.writeByte((n >>> 16) & 0xff);
+         this.writeByte((n >>> 8) & 0xff);
+         this.writeByte(n & 0xff);
+      },
+      
+      writeBits: function writeBits(value, count)
+      {
+         this.bitbuf |= value << this.bitcount;
+         this.bitcount += count;
+         while (this.bitcount >= 8)
+         {
+            this.writeByte(this.bitbuf & 0xff);
+            this.bitbuf >>>= 8;
+            this.bitcount -= 8;
+         }
+      },
+      
+      // Huffman codes are packed starting from the most significant bit of the code
+      writeCode: function writeCode(code, count)
+      {
+         for (var i=0, rev=0; i<count; i++)
+         {
+            rev = (rev << 1) | ((code >>> i) & 1);
+         }
+         this.writeBits(rev, count);
+      },
+      
+      flushBits: function flushBits()
+      {
+         if (this.bitcount > 0) this.writeByte(this.bitbuf & 0xff);
+         this.bitbuf = 0;
+         this.bitcount = 0;
+      },
+      
+      toBytes: function toBytes()
+      {
+         return this.bytes.subarray(0, this.length);
+      }
+   };
+   
+   /**
+    * Write a literal byte or the end of block symbol with the fixed Huffman codes
+    */
+   var writeLiteral = function writeLiteral(out, lit)
+   {
+      if (lit < 144) out.writeCode(0x30 + lit, 8);
+      else if (lit < 256) out.writeCode(0x190 + lit - 144, 9);
+      else if (lit < 280) out.writeCode(lit - 256, 7);
+      else out.writeCode(0xc0 + lit - 280, 8);
+   };
+   
+   /**
+    * Return the number of bits used to write a literal byte or the end of block symbol with the fixed Huffman codes
+    */
+   var literalBits = function literalBits(lit)
+   {
+      return lit < 144 ? 8 : (lit < 256 ? 9 : (lit < 280 ? 7 : 8));
+   };
+   
+   /**
+    * Return the index of the length code for a match length
+    */
+   var lengthCode = function lengthCode(length)
+   {
+      var code = 0;
+      while (code < 28 && LENGTH_BASE[code + 1] <= length) code++;
+      return code;
+   };
+   
+   /**
+    * Return the index of the distance code for a match distance
+    */
+   var distCode = function distCode(dist)
+   {
+      var code = 0;
+      while (code < 29 && DIST_BASE[code + 1] <= dist) code++;
+      return code;
+   };
+   
+   /**
+    * Return the number of bits used to write a length and distance pair with the fixed Huffman codes
+    */
+   var matchBits = function matchBits(length, dist)
+   {
+      var lcode = lengthCode(length);
+      return literalBits(257 + lcode) + LENGTH_EXTRA[lcode] + 5 + DIST_EXTRA[distCode(dist)];
+   };
+   
+   /**
+    * Write a length and distance pair with the fixed Huffman codes
+    */
+   var writeMatch = function writeMatch(out, length, dist)
+   {
+      var code = lengthCode(length);
+      writeLiteral(out, 257 + code);
+      if (LENGTH_EXTRA[code] !== 0) out.writeBits(length - LENGTH_BASE[code], LENGTH_EXTRA[code]);
+      
+      code = distCode(dist);
+      out.writeCode(code, 5);
+      if (DIST_EXTRA[code] !== 0) out.writeBits(dist - DIST_BASE[code], DIST_EXTRA[code]);
+   };
+   
+   /**
+    * Calculate the CRC32 checksum of a range of bytes
+    */
+   var crc32 = function crc32(bytes, start, end)
+   {
+      if (crcTable === null)
+      {
+         crcTable = new Uint32Array(256);
+         for (var n=0, c; n<256; n++)
+         {
+            c = n;
+            for (var k=0; k<8; k++)
+            {
+               c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            crcTable[n] = c;
+         }
+      }
+      var crc = 0xffffffff;
+      for (var i=start; i<end; i++)
+      {
+         crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+      }
+      return (crc ^ 0xffffffff) >>> 0;
+   };
+   
+   /**
+    * Calculate the Adler32 checksum of the bytes as used by the zlib format
+    */
+   var adler32 = function adler32(bytes)
+   {
+      var a = 1, b = 0;
+      for (var i=0, len=bytes.length, n; i<len; )
+      {
+         // sums can be deferred for a block of bytes before the modulo without overflow
+         n = Math.min(len - i, 3800);
+         while (n-- > 0)
+         {
+            a += bytes[i++];
+            b += a;
+         }
+         a %= 65521;
+         b %= 65521;
+      }
+      return ((b << 16) | a) >>> 0;
+   };
+   
+   /**
+    * Compress bytes to a zlib stream - RFC 1950 and RFC 1951. The data is written in blocks using the fixed Huffman
+    * codes with LZ77 matches found from hash chains of the preceding three bytes - or as stored blocks where that is
+    * smaller, so data that does not compress such as noise grows by only a few bytes per block.
+    * 
+    * @param bytes {Uint8Array}    Data to compress
+    * @return compressed zlib stream bytes {Uint8Array}
+    */
+   Phoria.PNG.deflate = function deflate(bytes)
+   {
+      var len = bytes.length,
+          out = new ByteWriter((len >> 1) + 64),
+          head = new Int32Array(65536),
+          prev = new Int32Array(WINDOW_SIZE);
+      
+      // zlib header - deflate with a 32K window
+      out.writeByte(0x78);
+      out.writeByte(0x01);
+      
+      for (var i=0; i<head.length; i++) head[i] = -1;
+      var fnHash = function(i) {
+         return ((bytes[i] << 8) ^ (bytes[i+1] << 4) ^ bytes[i+2]) & 0xffff;
+      };
+      var fnInsert = function(i) {
+         var h = fnHash(i);
+         prev[i & (WINDOW_SIZE - 1)] = head[h];
+         head[h] = i;
+      };
+      
+      var start = 0;
+      do
+      {
+         // find the LZ77 symbols for the block - literal bytes, or the length and distance of a match packed as
+         // (length << 16 | distance) - and the size of the block with the fixed Huffman codes
+         var end = Math.min(start + BLOCK_SIZE, len),
+             symbols = [],
+             bits = 3 + literalBits(256);
+         for (var i=start; i<end; )
+         {
+            var bestLength = 0, bestDist = 0;
+            if (i + 2 < len)
+            {
+               // search the hash chain for the longest match within the window - matches may refer to previous blocks
+               var max = Math.min(MAX_MATCH, end - i);
+               for (var j=head[fnHash(i)], chain=MAX_CHAIN; j >= 0 && i - j <= WINDOW_SIZE && chain > 0; j=prev[j & (WINDOW_SIZE - 1)], chain--)
+               {
+                  if (bytes[j + bestLength] !== bytes[i + bestLength]) continue;
+                  var n = 0;
+                  while (n < max && bytes[j + n] === bytes[i + n]) n++;
+                  if (n > bestLength)
+                  {
+                     bestLength = n;
+                     bestDist = i - j;
+                     if (n === max) break;
+                  }
+               }
+            }
+            if (bestLength >= 3)
+            {
+               symbols.push((bestLength << 16) | bestDist);
+               bits += matchBits(bestLength, bestDist);
+               for (var k=0; k<bestLength; k++, i++)
+               {
+                  if (i + 2 < len) fnInsert(i);
+               }
+            }
+            else
+            {
+               symbols.push(bytes[i]);
+               bits += literalBits(bytes[i]);
+               if (i + 2 < len) fnInsert(i);
+               i++;
+            }
+         }
+         
+         // a stored block is byte aligned after the block header and has the length and its complement
+         var final = (end === len) ? 1 : 0,
+             storedBits = 3 + ((8 - ((out.bitcount + 3) & 7)) & 7) + 32 + (end - start) * 8;
+         if (bits <= storedBits)
+         {
+            // block with fixed Huffman codes
+            out.writeBits(final, 1);
+            out.writeBits(1, 2);
+            for (var s=0, sym; s<symbols.length; s++)
+            {
+               sym = symbols[s];
+               if (sym < 256) writeLiteral(out, sym);
+               else writeMatch(out, sym >>> 16, sym & 0xffff);
+            }
+            writeLiteral(out, 256);
+         }
+         else
+         {
+            // stored block
+            out.writeBits(final, 1);
+            out.writeBits(0, 2);
+            out.flushBits();
+            var size = end - start;
+            out.writeByte(size & 0xff);
+            out.writeByte(size >>> 8);
+            out.writeByte(~size & 0xff);
+            out.writeByte((~size >>> 8) & 0xff);
+            out.writeBytes(bytes.subarray(start, end));
+         }
+         start = end;
+      }
+      while (start < len);
+      
+      out.flushBits();
+      out.writeUint32(adler32(bytes));
+      
+      return out.toBytes();
+   };
+   
+   /**
+    * Paeth predictor for PNG filter type 4
+    */
+   var paeth = function paeth(a, b, c)
+   {
+      var p = a + b - c,
+          pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+      return (pa <= pb && pa <= pc) ? a : (pb <= pc ? b : c);
+   };
+   
+   /**
+    * Encode RGBA pixel data as a PNG image. Each row is filtered with the PNG filter that gives the smallest sum
+    * of absolute differences - which usually compresses best.
+    * 
+    * @param image {Object}    Object with width, height and RGBA data properties - e.g. an ImageData or Phoria.Framebuffer
+    * @return PNG file bytes {Uint8Array}
+    */
+   Phoria.PNG.encode = function encode(image)
+   {
+      var width = image.width, height = image.height, data = image.data,
+          stride = width * 4;
+      if (!width || !height || !data || data.length < stride * height)
+      {
+         throw new Error("PNG image requires width, height and RGBA data properties.");
+      }
+      
+      // filter each scanline - a filter type byte precedes the filtered bytes of each row
+      var raw = new Uint8Array((stride + 1) * height),
+          rows = [new Uint8Array(stride), new Uint8Array(stride), new Uint8Array(stride), new Uint8Array(stride), new Uint8Array(stride)];
+      for (var y=0, offset=0; y<height; y++)
+      {
+         var row = y * stride, above = row - stride, best = 0, bestSum = Infinity;
+         for (var f=0; f<5; f++)
+         {
+            var filtered = rows[f], sum = 0;
+            for (var x=0, a, b, c, v; x<stride; x++)
+            {
+               a = x >= 4 ? data[row + x - 4] : 0;
+               b = y > 0 ? data[above + x] : 0;
+               c = (x >= 4 && y > 0) ? data[above + x - 4] : 0;
+               switch (f)
+               {
+                  case 0: v = data[row + x]; break;
+                  case 1: v = data[row + x] - a; break;
+                  case 2: v = data[row + x] - b; break;
+                  case 3: v = data[row + x] - ((a + b) >> 1); break;
+                  case 4: v = data[row + x] - paeth(a, b, c); break;
+               }
+               v &= 0xff;
+               filtered[x] = v;
+               sum += v < 128 ? v : 256 - v;
+               if (sum >= bestSum) break;
+            }
+            if (sum < bestSum)
+            {
+               best = f;
+               bestSum = sum;
+            }
+         }
+         raw[offset++] = best;
+         raw.set(rows[best], offset);
+         offset += stride;
+      }
+      
+      var compressed = Phoria.PNG.deflate(raw),
+          out = new ByteWriter(compressed.length + 64);
+      out.writeBytes(SIGNATURE);
+      
+      var fnChunk = function(type, bytes) {
+         out.writeUint32(bytes.length);
+         var start = out.length;
+         for (var i=0; i<4; i++) out.writeByte(type.charCodeAt(i));
+         out.writeBytes(bytes);
+         out.writeUint32(crc32(out.bytes, start, out.length));
+      };
+      
+      // header - 8 bit depth, RGBA colour type, deflate compression, adaptive filtering, no interlace
+      var header = new ByteWriter(13);
+      header.writeUint32(width);
+      header.writeUint32(height);
+      header.writeBytes([8, 6, 0, 0, 0]);
+      fnChunk("IHDR", header.toBytes());
+      fnChunk("IDAT", compressed);
+      fnChunk("IEND", []);
+      
+      return out.toBytes();
+   };
+   
+   /**
+    * Return a base64 data URL for file bytes - e.g. to display an encoded PNG in an image element
+    * 
+    * @param bytes {Uint8Array}    File bytes
+    * @param type {String}         Optional mime type - default is "image/png"
+    */
+   Phoria.PNG.toDataURL = function toDataURL(bytes, type)
+   {
+      var chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/",
+          parts = [];
+      for (var i=0, len=bytes.length, n; i<len; i+=3)
+      {
+         n = (bytes[i] << 16) | ((i+1 < len ? bytes[i+1] : 0) << 8) | (i+2 < len ? bytes[i+2] : 0);
+         parts.push(chars[(n >> 18) & 63] + chars[(n >> 12) & 63] +
+                    (i+1 < len ? chars[(n >> 6) & 63] : "=") + (i+2 < len ? chars[n & 63] : "="));
+      }
+      return "data:" + (type ? type : "image/png") + ";base64," + parts.join("");
+   };
+})();
@@ -1,5 +1,5 @@
 /**
- * @fileoverview phoria - View Control. Helpers to control the view via mouse, provide high-level mouse events.
+ * @fileoverview phoria - View Control. Helpers to control the view via mouse and touch, provide high-level pointer events.
  * Reverse object selection (entity picking) - contribution from Ruan Moolman.
  * @author Kevin Roast
  * @date 26th Jan 2014
@@ -15,185 +15,1155 @@
    
    Phoria.View = {};
    
+   // mouse tracking instances by element id - retained for existing code, use Phoria.View.getMouse() to find the
+   // instance for an element as elements without an id are only available from the registry
    Phoria.View.events = {};
    
-   Phoria.View.addMouseEvents = function addMouseEvents(el, fnOnClick)
+   // mouse tracking instances by element - a WeakMap where available so the registry does not keep removed elements alive
+   var registry = typeof WeakMap !== "undefined" ? new WeakMap() : {
+      keys: [],
+      values: [],
+      get: function(el) {
+         var i = this.keys.indexOf(el);
+         return i !== -1 ? this.values[i] : undefined;
+      },
+      set: function(el, value) {
+         var i = this.keys.indexOf(el);
+         if (i === -1) i = this.keys.push(el) - 1;
+         this.values[i] = value;
+      },
+      "delete": function(el) {
+         var i = this.keys.indexOf(el);
+         if (i !== -1)
+         {
+            this.keys.splice(i, 1);
+            this.values.splice(i, 1);
+         }
+      }
+   };
+   
+   /**
+    * Add pointer events to an element to track the velocity of mouse or touch movement. Pointer Events are used where
+    * the browser supports them - else mouse and touch events. One pointer drags to rotate the velocity values, two
+    * pointers pinch to change the scale value and drag to change the pan values.
+    * The values only ever accumulate - so a controller reading them each frame uses the change since the last frame.
+    * Keys can also be tracked for controllers that combine the keyboard with the mouse @see Phoria.View.FlyController
+    * 
+    * @param el {Object}            DOM element - generally the canvas the scene is rendered to
+    * @param fnOnClick {function}   Optional click event handler
+    * @param options {Object}       Optional event options:
+    *    {
+    *       wheel: false,        // true to track the mouse wheel in the wheel value - the page is then not scrolled
+    *                            // by the wheel over the element
+    *       contextmenu: true,   // false to suppress the context menu of the element so the right button can drag
+    *       pointerLock: false,  // true to lock the pointer to the element when pressed - the movement values then
+    *                            // track the mouse without limit until the lock is released
+    *       keys: null,          // [] of key codes to track in the keys value - keys are received from the document
+    *                            // while nothing else on the page has the focus and never from form fields
+    *       enabled: null        // function returning false to ignore new input - the events are then left to the page
+    *    }
+    * @return mouse tracking instance for the element - also available from Phoria.View.getMouse(el)
+    */
+   Phoria.View.addMouseEvents = function addMouseEvents(el, fnOnClick, options)
    {
-      if (el.id)
-      {
-         // mouse rotation and position tracking instance
-         var mouse = {
-            velocityH: 0,        // final target value from horizontal mouse movement 
-            velocityLastH: 0,
-            positionX: 0,
-            clickPositionX: 0,   // last mouse click position
-            velocityV: 0,        // final target value from vertical mouse movement 
-            velocityLastV: 0,
-            positionY: 0,
-            clickPositionY: 0    // last mouse click position
+      if (registry.get(el)) Phoria.View.removeMouseEvents(el);
+      
+      // mouse rotation and position tracking instance
+      var mouse = {
+         velocityH: 0,        // final target value from horizontal mouse movement 
+         velocityLastH: 0,
+         positionX: 0,
+         clickPositionX: 0,   // last mouse click position
+         velocityV: 0,        // final target value from vertical mouse movement 
+         velocityLastV: 0,
+         positionY: 0,
+         clickPositionY: 0,   // last mouse click position
+         scale: 1,            // pinch zoom factor - greater than 1 as two pointers move apart
+         panX: 0,             // two pointer drag distance in pixels
+         panY: 0,
+         movementX: 0,        // one pointer drag distance in pixels
+         movementY: 0,
+         button: 0,           // button pressed to start the one pointer drag - 0 primary, 1 middle, 2 secondary
+         shiftKey: false,     // true if the shift key was held as the drag started
+         wheel: 0,            // mouse wheel distance in pixels - positive as the wheel scrolls down
+         keys: {},            // tracked keys currently held by key code
+         pointers: 0,         // number of pointers currently down
+         _pointers: {},
+         _distance: 0,
+         _midX: 0,
+         _midY: 0,
+         _listeners: [],
+         _touchAction: null
+      };
+      
+      // set object reference for our events
+      registry.set(el, mouse);
+      if (el.id) Phoria.View.events[el.id] = mouse;
+      
+      options = options || {};
+      var doc = el.ownerDocument ? el.ownerDocument : null,
+          win = doc && doc.defaultView ? doc.defaultView : null;
+      var fnListenTo = function(target, type, fn) {
+         target.addEventListener(type, fn, false);
+         mouse._listeners.push({target: target, type: type, fn: fn});
+      };
+      var fnListen = function(type, fn) {
+         fnListenTo(el, type, fn);
+      };
+      var fnEnabled = function() {
+         return !options.enabled || options.enabled() !== false;
+      };
+      var fnLocked = function() {
+         return doc !== null && doc.pointerLockElement === el;
+      };
+      
+      // a pressed pointer requests the lock - movement of the locked pointer is given by the events as the
+      // pointer position no longer changes
+      var fnLock = function() {
+         if (options.pointerLock && el.requestPointerLock && !fnLocked()) el.requestPointerLock();
+      };
+      var fnLockedMove = function(evt) {
+         if (fnLocked() && fnEnabled())
+         {
+            mouse.movementX += evt.movementX || 0;
+            mouse.movementY += evt.movementY || 0;
+         }
+      };
+      
+      // start a new gesture from the current pointer positions - called as each pointer is added or removed
+      // so that the remaining pointers continue on from where they are without a jump in the values
+      var fnStart = function() {
+         var ids = Object.keys(mouse._pointers);
+         mouse.pointers = ids.length;
+         if (ids.length === 1)
+         {
+            var p = mouse._pointers[ids[0]];
+            mouse.positionX = mouse.clickPositionX = p.x;
+            mouse.velocityLastH = mouse.velocityH;
+            mouse.positionY = mouse.clickPositionY = p.y;
+            mouse.velocityLastV = mouse.velocityV;
+         }
+         else if (ids.length === 2)
+         {
+            var a = mouse._pointers[ids[0]], b = mouse._pointers[ids[1]];
+            mouse._distance = Math.sqrt((a.x - b.x) * (a.x - b.x) + (a.y - b.y) * (a.y - b.y));
+            mouse._midX = (a.x + b.x) * 0.5;
+            mouse._midY = (a.y + b.y) * 0.5;
+         }
+      };
+      var fnDown = function(id, x, y, button, shiftKey) {
+         // gestures use at most two pointers
+         if (mouse.pointers < 2)
+         {
+            if (mouse.pointers === 0)
+            {
+               mouse.button = button || 0;
+               mouse.shiftKey = !!shiftKey;
+            }
+            mouse._pointers[id] = {x: x, y: y};
+            fnStart();
+         }
+      };
+      var fnMove = function(id, x, y) {
+         var p = mouse._pointers[id];
+         if (!p) return;
+         var ids = Object.keys(mouse._pointers);
+         if (ids.length === 1)
+         {
+            mouse.movementX += x - p.x;
+            mouse.movementY += y - p.y;
+         }
+         p.x = x;
+         p.y = y;
+         if (ids.length === 1)
+         {
+            mouse.positionX = x;
+            mouse.velocityH = mouse.velocityLastH + (mouse.positionX - mouse.clickPositionX) * 0.5;
+            mouse.positionY = y;
+            mouse.velocityV = mouse.velocityLastV + (mouse.positionY - mouse.clickPositionY) * 0.5;
+         }
+         else
+         {
+            var a = mouse._pointers[ids[0]], b = mouse._pointers[ids[1]],
+                distance = Math.sqrt((a.x - b.x) * (a.x - b.x) + (a.y - b.y) * (a.y - b.y)),
+                midX = (a.x + b.x) * 0.5, midY = (a.y + b.y) * 0.5;
+            if (mouse._distance > 0 && distance > 0) mouse.scale *= distance / mouse._distance;
+            mouse.panX += midX - mouse._midX;
+            mouse.panY += midY - mouse._midY;
+            mouse._distance = distance;
+            mouse._midX = midX;
+            mouse._midY = midY;
+         }
+      };
+      var fnUp = function(id) {
+         if (mouse._pointers[id])
+         {
+            delete mouse._pointers[id];
+            fnStart();
+         }
+      };
+      
+      if (win !== null && win.PointerEvent)
+      {
+         // stop the browser scrolling and zooming the page so touches are delivered as pointer events
+         if (el.style)
+         {
+            mouse._touchAction = el.style.touchAction;
+            el.style.touchAction = "none";
+         }
+         fnListen("pointerdown", function(evt) {
+            if (!fnEnabled()) return;
+            evt.preventDefault();
+            fnLock();
+            // capture the pointer so the drag continues when it leaves the element
+            if (el.setPointerCapture) el.setPointerCapture(evt.pointerId);
+            fnDown(evt.pointerId, evt.clientX, evt.clientY, evt.button, evt.shiftKey);
+         });
+         fnListen("pointermove", function(evt) {
+            fnLockedMove(evt);
+            fnMove(evt.pointerId, evt.clientX, evt.clientY);
+         });
+         var fnPointerUp = function(evt) {
+            fnUp(evt.pointerId);
          };
-         
-         // set object reference for our events
-         Phoria.View.events[el.id] = mouse;
-         
-         mouse.onMouseMove = function onMouseMove(evt) {
-         	mouse.positionX = evt.clientX;
-         	mouse.velocityH = mouse.velocityLastH + (mouse.positionX - mouse.clickPositionX) * 0.5;
-         	mouse.positionY = evt.clientY;
-         	mouse.velocityV = mouse.velocityLastV + (mouse.positionY - mouse.clickPositionY) * 0.5;
+         fnListen("pointerup", fnPointerUp);
+         fnListen("pointercancel", fnPointerUp);
+      }
+      else
+      {
+         fnListen("mousedown", function(evt) {
+            if (!fnEnabled()) return;
+            evt.preventDefault();
+            fnLock();
+            fnDown("mouse", evt.clientX, evt.clientY, evt.button, evt.shiftKey);
+         });
+         fnListen("mousemove", function(evt) {
+            fnLockedMove(evt);
+            fnMove("mouse", evt.clientX, evt.clientY);
+         });
+         var fnMouseUp = function(evt) {
+            fnUp("mouse");
          };
+         fnListen("mouseup", fnMouseUp);
+         fnListen("mouseout", fnMouseUp);
          
-         mouse.onMouseUp = function onMouseUp(evt) {
-         	el.removeEventListener('mousemove', mouse.onMouseMove, false);
+         var fnTouches = function(evt, fn) {
+            for (var i=0, t; i<evt.changedTouches.length; i++)
+            {
+               t = evt.changedTouches[i];
+               fn(t.identifier, t.clientX, t.clientY, 0, false);
+            }
          };
-         
-         mouse.onMouseOut = function onMouseOut(evt) {
-         	el.removeEventListener('mousemove', mouse.onMouseMove, false);
+         fnListen("touchstart", function(evt) {
+            if (!fnEnabled()) return;
+            evt.preventDefault();
+            fnTouches(evt, fnDown);
+         });
+         fnListen("touchmove", function(evt) {
+            evt.preventDefault();
+            fnTouches(evt, fnMove);
+         });
+         var fnTouchEnd = function(evt) {
+            fnTouches(evt, fnUp);
          };
-         
-         mouse.onMouseDown = function onMouseDown(evt) {
-         	evt.preventDefault();
-         	el.addEventListener('mousemove', mouse.onMouseMove, false);
-         	mouse.clickPositionX = evt.clientX;
-         	mouse.velocityLastH = mouse.velocityH;
-         	mouse.clickPositionY = evt.clientY;
-         	mouse.velocityLastV = mouse.velocityV;
+         fnListen("touchend", fnTouchEnd);
+         fnListen("touchcancel", fnTouchEnd);
+      }
+      
+      if (options.wheel)
+      {
+         fnListen("wheel", function(evt) {
+            if (!fnEnabled()) return;
+            evt.preventDefault();
+            // line and page based wheel deltas are converted to approximate pixels
+            mouse.wheel += evt.deltaY * (evt.deltaMode === 1 ? 16 : (evt.deltaMode === 2 ? 400 : 1));
+         });
+      }
+      if (options.contextmenu === false)
+      {
+         fnListen("contextmenu", function(evt) {
+            if (fnEnabled()) evt.preventDefault();
+         });
+      }
+      
+      if (options.keys && doc !== null)
+      {
+         // keys belong to the page while another element has the focus - and keys typed into form fields always do
+         var fnFocused = function(evt) {
+            var target = evt.target, active = doc.activeElement;
+            if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.nodeName))) return false;
+            return !active || active === el || active === doc.body || fnLocked();
          };
+         fnListenTo(doc, "keydown", function(evt) {
+            if (options.keys.indexOf(evt.keyCode) !== -1 && fnEnabled() && fnFocused(evt))
+            {
+               mouse.keys[evt.keyCode] = true;
+               // stop keys such as the arrows scrolling the page - modifier keys have no default action to stop
+               if (evt.keyCode < 16 || evt.keyCode > 18) evt.preventDefault();
+            }
+         });
+         fnListenTo(doc, "keyup", function(evt) {
+            delete mouse.keys[evt.keyCode];
+         });
          
-         el.addEventListener('mousedown', mouse.onMouseDown, false);
-         el.addEventListener('mouseup', mouse.onMouseUp, false);
-         el.addEventListener('mouseout', mouse.onMouseOut, false);
-         
-         // add click handler if supplied
-         if (fnOnClick) el.addEventListener('click', fnOnClick, false);
-         
-         return mouse;
+         // keys released while the window is not focused would otherwise be held forever
+         if (win !== null)
+         {
+            fnListenTo(win, "blur", function(evt) {
+               mouse.keys = {};
+            });
+         }
       }
+      
+      // add click handler if supplied
+      if (fnOnClick) el.addEventListener('click', fnOnClick, false);
+      
+      return mouse;
    }
    
+   /**
+    * Remove the events added to an element by addMouseEvents()
+    * 
+    * @param el {Object}            DOM element
+    * @param fnOnClick {function}   Optional click event handler given to addMouseEvents()
+    */
    Phoria.View.removeMouseEvents = function removeMouseEvents(el, fnOnClick)
    {
-      if (el.id)
+      var mouse = registry.get(el);
+      if (mouse)
       {
-         var mouse = Phoria.View.events[el.id];
-         if (mouse)
+         for (var i=0, l; i<mouse._listeners.length; i++)
          {
-            el.removeEventListener('mousemove', mouse.onMouseMove, false);
-            el.removeEventListener('mousedown', mouse.onMouseDown, false);
-            el.removeEventListener('mouseup', mouse.onMouseUp, false);
-            el.removeEventListener('mouseout', mouse.onMouseOut, false);
-            if (fnOnClick) el.removeEventListener('click', fnOnClick, false);
-            Phoria.View.events[el.id] = null;
+            l = mouse._listeners[i];
+            l.target.removeEventListener(l.type, l.fn, false);
          }
+         mouse._listeners = [];
+         mouse._pointers = {};
+         mouse.pointers = 0;
+         mouse.keys = {};
+         var doc = el.ownerDocument;
+         if (doc && doc.pointerLockElement === el && doc.exitPointerLock) doc.exitPointerLock();
+         if (mouse._touchAction !== null) el.style.touchAction = mouse._touchAction;
+         registry["delete"](el);
+         if (el.id && Phoria.View.events[el.id] === mouse) Phoria.View.events[el.id] = null;
       }
+      if (fnOnClick) el.removeEventListener('click', fnOnClick, false);
    }
    
+   /**
+    * Return the mouse tracking instance added to an element by addMouseEvents() or undefined if none
+    */
    Phoria.View.getMouse = function getMouse(el)
    {
-      return Phoria.View.events[el.id];
+      return registry.get(el);
    }
    
-   Phoria.View.calculateClickPointAndVector = function calculateClickPointAndVector(scene, mousex, mousey)
+   /**
+    * Convert a page client position - as given by mouse and pointer events - to the pixel position on a canvas.
+    * Takes account of the offset of the canvas in the page and of any CSS scaling of the canvas.
+    * 
+    * @param el {Object}         Canvas element
+    * @param clientX {Number}    Client x position e.g. evt.clientX
+    * @param clientY {Number}    Client y position e.g. evt.clientY
+    * @return vec2 canvas position in pixels
+    */
+   Phoria.View.getCanvasPosition = function getCanvasPosition(el, clientX, clientY)
    {
-      var camLookAt = vec3.fromValues(
-         scene.camera.lookat.x,
-         scene.camera.lookat.y,
-         scene.camera.lookat.z);
-      var camOff = vec3.subtract(vec3.create(), scene._cameraPosition, camLookAt);
-      
-      // get pixels per unit at click plane (plane normal to camera direction going through the camera focus point)
-      var pixelsPerUnit = (scene.viewport.height / 2) / (vec3.length(camOff) * Math.tan((scene.perspective.fov / 180 * Math.PI) / 2));
-      
-      // calculate world units (from the centre of canvas) corresponding to the mouse click position
-      var dif = vec2.fromValues(mousex - (scene.viewport.width / 2), mousey - (scene.viewport.height / 2));
-      vec2.subtract(dif, dif, new vec2.fromValues(8, 8)); // calibrate
-      var units = vec2.create();
-      vec2.scale(units, dif, 1 / pixelsPerUnit);
-      
-      // move click point horizontally on click plane by the number of units calculated from the x offset of the mouse click
-      var upVector = vec3.fromValues(scene.camera.up.x, scene.camera.up.y, scene.camera.up.z);
-      var normalVectorSide = vec3.create();
-      vec3.cross(normalVectorSide, camOff, upVector);
-      vec3.normalize(normalVectorSide, normalVectorSide);
-      var clickPoint = vec3.scaleAndAdd(vec3.create(), camLookAt, normalVectorSide, units[0]);
-      
-      // move click point vertically on click plane by the number of units calculated from the y offset of the mouse click
-      var normalVectorUp = vec3.create();
-      vec3.cross(normalVectorUp, normalVectorSide, camOff);
-      vec3.normalize(normalVectorUp, normalVectorUp);
-      vec3.scale(normalVectorUp, normalVectorUp, units[1]);
-      vec3.subtract(clickPoint, clickPoint, normalVectorUp);
-      
-      // calculate click vector (vector from click point to the camera's position)
-      var camVector = vec3.add(vec3.create(), camLookAt, camOff);
+      var rect = el.getBoundingClientRect(),
+          sx = rect.width !== 0 ? el.width / rect.width : 1,
+          sy = rect.height !== 0 ? el.height / rect.height : 1;
+      return vec2.fromValues((clientX - rect.left) * sx, (clientY - rect.top) * sy);
+   }
+   
+   /**
+    * Calculate the pick ray through a position on the viewport. The ray is unprojected through the camera, perspective
+    * and viewport the scene was last projected with - so scene.modelView() must have been called.
+    * 
+    * @param scene {Phoria.Scene}   Scene to pick from
+    * @param mousex {Number}        Canvas x position in pixels - or the client x position if the canvas element is given
+    * @param mousey {Number}        Canvas y position in pixels - or the client y position if the canvas element is given
+    * @param el {Object}            Optional canvas element - to convert the client position of a mouse event
+    * @return {clickPoint: vec3, clickVector: vec3} the point on the near plane and the direction of the ray
+    */
+   Phoria.View.calculateClickPointAndVector = function calculateClickPointAndVector(scene, mousex, mousey, el)
+   {
+      if (el)
+      {
+         var pos = Phoria.View.getCanvasPosition(el, mousex, mousey);
+         mousex = pos[0];
+         mousey = pos[1];
+      }
+      
+      // the ray runs from the near plane to the far plane through the position
+      var clickPoint = scene.unproject(mousex, mousey, -1),
+          farPoint = scene.unproject(mousex, mousey, 1);
       return {
          clickPoint: clickPoint,
-         clickVector: vec3.subtract(vec3.create(), clickPoint, camVector)
+         clickVector: vec3.subtract(vec3.create(), farPoint, clickPoint)
       };
    }
    
-   Phoria.View.getIntersectedObjects = function getIntersectedObjects(scene, clickPoint, clickVector)
+   /**
+    * Return the point on a line segment closest to a ray.
+    * 
+    * @param a {vec3}            Start of the segment
+    * @param b {vec3}            End of the segment
+    * @param linePoint {vec3}    Start of the ray
+    * @param lineVector {vec3}   Direction of the ray
+    * @return vec3 point on the segment
+    */
+   var closestSegmentPoint = function closestSegmentPoint(a, b, linePoint, lineVector)
+   {
+      var d = vec3.subtract(vec3.create(), b, a),
+          r = vec3.subtract(vec3.create(), a, linePoint),
+          dd = vec3.dot(d, d), dv = vec3.dot(d, lineVector), vv = vec3.dot(lineVector, lineVector),
+          dr = vec3.dot(d, r), vr = vec3.dot(lineVector, r),
+          denom = dd * vv - dv * dv,
+          // segment scalar of the closest point - any point will do if the segment is parallel to the ray
+          s = denom > Phoria.EPSILON ? (dv * vr - vv * dr) / denom : 0;
+      return vec3.lerp(vec3.create(), a, b, Math.max(0, Math.min(1, s)));
+   };
+   
+   /**
+    * Return the distance in pixels from a point to a line segment on the viewport.
+    */
+   var segmentDistance2D = function segmentDistance2D(p, a, b)
    {
-      var intersections = [], obj, polygonNormal, polygonPoint, polygonCoords, polygonPlaneIntersection, pointVector;
+      var dx = b[0] - a[0], dy = b[1] - a[1],
+          len = dx*dx + dy*dy,
+          s = len !== 0 ? Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / len)) : 0,
+          x = a[0] + dx * s - p[0], y = a[1] + dy * s - p[1];
+      return Math.sqrt(x*x + y*y);
+   };
+   
+   /**
+    * Return the intersections of a ray with the entities in the renderlist of a scene - nearest first. The polygons of
+    * solid entities are intersected by the ray, the edges of wireframe entities and point entities can also be picked
+    * if within a distance in pixels of the ray on the viewport. Entities the ray does not pass through the world
+    * bounding sphere of are rejected before any polygons are tested - and entities with pickbvh set only test the
+    * polygons in the boxes of the bounding volume hierarchy that the ray passes through.
+    * 
+    * @param scene {Phoria.Scene}   Scene to pick from - scene.modelView() must have been called
+    * @param clickPoint {vec3}      Start of the ray - @see calculateClickPointAndVector()
+    * @param clickVector {vec3}     Direction of the ray
+    * @param options {Object}       Optional picking options:
+    *    {
+    *       closest: false,   // true to return only the nearest intersection
+    *       edges: false,     // true to also pick the edges of wireframe entities
+    *       points: false,    // true to also pick point entities
+    *       tolerance: 3      // distance in pixels from the ray within which edges and points are picked
+    *    }
+    * @return list of intersections {entity, polygonIndex, intersectionPoint, distance} - edge and point intersections
+    *         have an edgeIndex or pointIndex in place of the polygonIndex
+    */
+   Phoria.View.getIntersectedObjects = function getIntersectedObjects(scene, clickPoint, clickVector, options)
+   {
+      var closest = !!(options && options.closest),
+          pickEdges = !!(options && options.edges),
+          pickPoints = !!(options && options.points),
+          tolerance = (options && options.tolerance !== undefined) ? options.tolerance : 3,
+          lenSq = vec3.dot(clickVector, clickVector),
+          // line scalar of the nearest intersection - only used to skip further tests when picking the closest
+          nearest = Infinity,
+          intersections = [],
+          obj;
+      
+      // position of the ray on the viewport for picking edges and points
+      var screen = (pickEdges || pickPoints) ? scene.project(clickPoint) : null;
+      
+      var fnAdd = function(intersection, t) {
+         // intersections behind the start of the ray are not visible
+         if (t < 0 || t > nearest) return;
+         intersection._t = t;
+         if (closest)
+         {
+            nearest = t;
+            intersections = [intersection];
+         }
+         else intersections.push(intersection);
+      };
+      
+      var fnPolygon = function(polygon, m) {
+         
+         // Get the point where the line intersectects the polygon's plane
+         var polygonPlaneIntersection = Phoria.Util.planeLineIntersection(
+            polygon._worldnormal, obj._worldcoords[polygon.vertices[0]], clickVector, clickPoint);
+         
+         // if the intersection is null, it means the line does not intersect the plane
+         // then check if the intersection is inside the polygon
+         if (polygonPlaneIntersection !== null &&
+             Phoria.Util.intersectionInsidePolygon(polygon, obj._worldcoords, polygonPlaneIntersection))
+         {
+            fnAdd({
+               entity: obj,
+               // polygons found through the bounding volume hierarchy are looked up in the current sort order
+               polygonIndex: m !== undefined ? m : obj.polygons.indexOf(polygon),
+               intersectionPoint: polygonPlaneIntersection
+            }, vec3.dot(vec3.subtract(vec3.create(), polygonPlaneIntersection, clickPoint), clickVector) / lenSq);
+         }
+      };
+      var fnLeaf = function(polygons) {
+         for (var i=0; i<polygons.length; i++) fnPolygon(polygons[i]);
+         return nearest;
+      };
       
       // Go through all the appropriate objects
       var objects = scene.renderlist;
-      for (var n = 0, obj; n < objects.length; n++)
+      for (var n = 0; n < objects.length; n++)
       {
          obj = objects[n];
          
-         // only consider solid objects
-         if (obj.style.drawmode !== "solid") continue;
-         
-         // Go through all the polygons of an object
-         for (var m = 0; m < obj.polygons.length; m++)
+         switch (obj.style.drawmode)
          {
-            polygonNormal = vec3.clone(obj.polygons[m]._worldnormal);
-            polygonPoint = vec3.clone(obj._worldcoords[obj.polygons[m].vertices[0]]);
+            case "solid":
+            {
+               // reject the entity if the ray misses the bounding sphere - or only reaches it beyond the nearest intersection
+               var bounds = obj._worldbounds;
+               if (bounds !== null)
+               {
+                  var t = Phoria.Util.sphereLineIntersection(bounds.center, bounds.radius, clickVector, clickPoint);
+                  if (t === -1 || t > nearest) break;
+               }
+               
+               if (obj.pickbvh)
+               {
+                  Phoria.Util.traverseBVH(obj.getPickBVH(), clickVector, clickPoint, fnLeaf);
+               }
+               else
+               {
+                  // Go through all the polygons of an object
+                  for (var m = 0; m < obj.polygons.length; m++)
+                  {
+                     fnPolygon(obj.polygons[m], m);
+                  }
+               }
+               break;
+            }
             
-            // Get the point where the line intersectects the polygon's plane
-            polygonPlaneIntersection = Phoria.Util.planeLineIntersection(polygonNormal, polygonPoint, clickVector, clickPoint);
+            case "wireframe":
+            {
+               if (!pickEdges || screen === null) break;
+               for (var m = 0, edge, coorda, coordb, width; m < obj.edges.length; m++)
+               {
+                  // screen coordinates of the edge as rendered
+                  edge = obj.edges[m];
+                  if (edge._clipcoords)
+                  {
+                     if (edge._clipcoords.length === 0) continue;
+                     coorda = edge._clipcoords[0];
+                     coordb = edge._clipcoords[1];
+                  }
+                  else
+                  {
+                     if (obj._clip[edge.a] & obj._clip[edge.b]) continue;
+                     coorda = obj._coords[edge.a];
+                     coordb = obj._coords[edge.b];
+                  }
+                  width = obj.style.linescale !== 0 ?
+                     ((obj.style.linewidth * obj.style.linescale) / ((coorda[3] + coordb[3]) * 0.5)) * scene._perspectiveScale :
+                     obj.style.linewidth;
+                  if (segmentDistance2D(screen, coorda, coordb) <= tolerance + width * 0.5)
+                  {
+                     var edgePoint = closestSegmentPoint(obj._worldcoords[edge.a], obj._worldcoords[edge.b], clickPoint, clickVector);
+                     fnAdd({
+                        entity: obj,
+                        edgeIndex: m,
+                        intersectionPoint: edgePoint
+                     }, vec3.dot(vec3.subtract(vec3.create(), edgePoint, clickPoint), clickVector) / lenSq);
+                  }
+               }
+               break;
+            }
             
-            // if the intersection is null, it means the line does not intersect the plane
-            if (polygonPlaneIntersection !== null)
+            case "point":
             {
-               // Check if the intersection is inside the polygon
-               if (Phoria.Util.intersectionInsidePolygon(obj.polygons[m], obj._worldcoords, polygonPlaneIntersection))
+               if (!pickPoints || screen === null) break;
+               for (var m = 0, coord, radius, dx, dy; m < obj.points.length; m++)
                {
-                  // add intersection to the array being returned
-                  var returnObject = {
-                     entity: obj,
-                     polygonIndex: m,
-                     intersectionPoint: polygonPlaneIntersection
-                  };
-                  intersections.push(returnObject);
+                  if (obj._clip[m]) continue;
+                  // radius of the point as rendered
+                  coord = obj._coords[m];
+                  radius = obj.style.linescale !== 0 ?
+                     (obj.style.linewidth * obj.style.linescale * scene._perspectiveScale) / coord[3] :
+                     obj.style.linewidth;
+                  dx = coord[0] - screen[0];
+                  dy = coord[1] - screen[1];
+                  if (Math.sqrt(dx*dx + dy*dy) <= tolerance + radius)
+                  {
+                     var point = vec3.clone(obj._worldcoords[m]);
+                     fnAdd({
+                        entity: obj,
+                        pointIndex: m,
+                        intersectionPoint: point
+                     }, vec3.dot(vec3.subtract(vec3.create(), point, clickPoint), clickVector) / lenSq);
+                  }
                }
+               break;
             }
          }
       }
       
+      // sort intersection points from closest to farthest along the ray
+      intersections.sort(function(a, b) {
+         return a._t - b._t;
+      });
+      
       // calculate distance to each intersection from camera's position
       for (var i = 0; i < intersections.length; i++)
       {
          intersections[i].distance = vec3.distance(scene._cameraPosition, intersections[i].intersectionPoint);
+         delete intersections[i]._t;
+      }
+      
+      // return list of all intersections
+      return intersections;
+   }
+
+})();
+
+
+/**
+ * Base camera controller. A controller reads the pointer movement of an element tracked by Phoria.View.addMouseEvents()
+ * and moves the camera of a scene. Once attached the camera is updated during each scene.modelView() by the frame time
+ * of the scene clock - so the movement is independent of the frame rate and stops while the clock is paused.
+ * A controller that is not attached can be driven by calling update() directly.
+ * 
+ * @class Phoria.View.CameraController
+ */
+(function() {
+   "use strict";
+   
+   /**
+    * @param scene {Phoria.Scene}   Scene with the camera to control
+    */
+   Phoria.View.CameraController = function(scene)
+   {
+      this.scene = scene;
+      
+      return this;
+   };
+   
+   Phoria.View.CameraController.prototype = {
+      // {Phoria.Scene} scene with the camera being controlled
+      scene: null,
+      
+      // {boolean} false to ignore input - the pointer and key events are then left to the page
+      enabled: true,
+      
+      // {Object} element the controller is attached to
+      element: null,
+      
+      // {Object} mouse tracking instance of the element - @see Phoria.View.addMouseEvents()
+      mouse: null,
+      
+      // @private mouse values at the last readMouse() and the scene onCamera handler
+      _last: null,
+      _handler: null,
+      
+      /**
+       * Return the options for Phoria.View.addMouseEvents() the controller needs - override in subclasses
+       */
+      getMouseOptions: function getMouseOptions()
+      {
+         return {};
+      },
+      
+      /**
+       * Move the camera of the scene for a period of time - override in subclasses
+       * 
+       * @param time {Number}   Time in seconds since the last update - optional, default is 1/60th of a second
+       * @return true if the camera is still moving
+       */
+      update: function update(time)
+      {
+         return false;
+      },
+      
+      /**
+       * Attach the pointer events of an element to the controller through Phoria.View.addMouseEvents() - replacing
+       * any mouse events added to the element before - and update the camera of the scene each frame.
+       * 
+       * @param el {Object}   DOM element - generally the canvas the scene is rendered to
+       */
+      attach: function attach(el)
+      {
+         if (this.element !== null) this.detach();
+         this.element = el;
+         
+         var me = this,
+             options = this.getMouseOptions();
+         options.enabled = function() {
+            return me.enabled;
+         };
+         this.mouse = Phoria.View.addMouseEvents(el, null, options);
+         this._last = null;
+         this.readMouse();
+         
+         // the camera is updated by the scene clock before the camera vectors are used for the frame
+         this._handler = function(position, lookat, up) {
+            me.update(this.clock.delta);
+            var camera = this.camera;
+            vec4.set(position, camera.position.x, camera.position.y, camera.position.z, 0);
+            vec4.set(lookat, camera.lookat.x, camera.lookat.y, camera.lookat.z, 0);
+            vec4.set(up, camera.up.x, camera.up.y, camera.up.z, 0);
+         };
+         this.scene.onCamera(this._handler);
+         
+         return this;
+      },
+      
+      /**
+       * Remove the events added to the element by attach() and stop updating the camera of the scene
+       */
+      detach: function detach()
+      {
+         if (this.element !== null && Phoria.View.getMouse(this.element) === this.mouse)
+         {
+            Phoria.View.removeMouseEvents(this.element);
+         }
+         var handlers = this.scene.onCameraHandlers, handler = this._handler;
+         if (handlers !== null && handler !== null)
+         {
+            this.scene.onCameraHandlers = handlers.filter(function(fn) {return fn !== handler;});
+         }
+         this._handler = null;
+         this.element = null;
+         this.mouse = null;
+         this._last = null;
+         
+         return this;
+      },
+      
+      /**
+       * Return the change in the values of the mouse tracking instance since the last call - the change in the
+       * movement, pan and wheel distances and the ratio of the pinch scale. No change is returned if not attached.
+       * 
+       * @return {movementX, movementY, panX, panY, scale, wheel}
+       */
+      readMouse: function readMouse()
+      {
+         var mouse = this.mouse, last = this._last;
+         if (mouse === null) return {movementX: 0, movementY: 0, panX: 0, panY: 0, scale: 1, wheel: 0};
+         var current = {
+            movementX: mouse.movementX,
+            movementY: mouse.movementY,
+            panX: mouse.panX,
+            panY: mouse.panY,
+            scale: mouse.scale,
+            wheel: mouse.wheel
+         };
+         if (last === null) last = current;
+         this._last = current;
+         return {
+            movementX: current.movementX - last.movementX,
+            movementY: current.movementY - last.movementY,
+            panX: current.panX - last.panX,
+            panY: current.panY - last.panY,
+            scale: current.scale / last.scale,
+            wheel: current.wheel - last.wheel
+         };
       }
+   };
+})();
+
+
+/**
+ * Orbit camera controller. Drives the camera of a scene around a target point - drag to rotate, right drag (or shift
+ * drag) or two finger drag to pan, and the mouse wheel or a two finger pinch to zoom. Movement continues with inertia
+ * after the pointer is released and slows by the damping factor.
+ * 
+ *    var orbit = new Phoria.View.OrbitController(scene).attach(canvas);
+ * 
+ * @class Phoria.View.OrbitController
+ * @augments Phoria.View.CameraController
+ */
+(function() {
+   "use strict";
+   
+   /**
+    * @param scene {Phoria.Scene}   Scene with the camera to control - the orbit starts from the current camera
+    * @param desc {Object}          Optional settings to override the default properties - e.g. {minDistance: 5}
+    */
+   Phoria.View.OrbitController = function(scene, desc)
+   {
+      Phoria.View.OrbitController.superclass.constructor.call(this, scene);
+      
+      this.target = vec3.create();
+      this._rotate = [0, 0];
+      this._pan = [0, 0];
+      this._zoom = 0;
+      if (desc) Phoria.Util.combine(this, desc);
+      this.sync();
+      
+      return this;
+   };
+   
+   Phoria.Util.extend(Phoria.View.OrbitController, Phoria.View.CameraController, {
+      // {vec3} point the camera orbits around and looks at
+      target: null,
+      
+      // {Number} rotation in radians for each pixel of pointer movement
+      rotateSpeed: 0.01,
+      
+      // {Number} pan speed - at 1.0 the target moves with the pointer
+      panSpeed: 1.0,
       
-      // sort intersection points from closest to farthest
-      for (var i = 0; i < intersections.length - 1; i++)
+      // {Number} zoom speed for each unit of mouse wheel movement
+      zoomSpeed: 0.002,
+      
+      // {Number} fraction 0-1 of the remaining movement applied each 1/60th of a second - 1.0 for no inertia
+      damping: 0.2,
+      
+      // {Number} distance limits of the camera from the target
+      minDistance: 0.1,
+      maxDistance: Infinity,
+      
+      // {Number} polar angle limits in radians - the angle from the up axis, 0 looks straight down on the target
+      minPolarAngle: 0,
+      maxPolarAngle: Math.PI,
+      
+      // {boolean} enable each kind of movement
+      enableRotate: true,
+      enablePan: true,
+      enableZoom: true,
+      
+      // current orbit - distance from the target, azimuth angle around the up axis and polar angle from the up axis
+      distance: 1,
+      azimuth: 0,
+      polar: Math.PI * 0.5,
+      
+      // @private pending rotate (azimuth, polar), pan (pixels x, y) and zoom (log scale) movement
+      _rotate: null,
+      _pan: null,
+      _zoom: 0,
+      
+      /**
+       * Read the orbit from the current camera position and lookat of the scene - call after modifying the camera
+       * directly. The camera up vector is set to the Y axis.
+       */
+      sync: function sync()
       {
-         for (var j = i + 1, keepVal; j < intersections.length; j++)
+         var camera = this.scene.camera,
+             offset = vec3.fromValues(camera.position.x - camera.lookat.x, camera.position.y - camera.lookat.y, camera.position.z - camera.lookat.z);
+         vec3.set(this.target, camera.lookat.x, camera.lookat.y, camera.lookat.z);
+         this.distance = Math.max(vec3.length(offset), Phoria.EPSILON);
+         this.azimuth = Math.atan2(offset[0], offset[2]);
+         this.polar = Math.acos(Math.max(-1, Math.min(1, offset[1] / this.distance)));
+         this._rotate[0] = this._rotate[1] = this._pan[0] = this._pan[1] = this._zoom = 0;
+         
+         return this;
+      },
+      
+      /**
+       * Rotate the camera around the target
+       * 
+       * @param azimuth {Number}   Angle in radians around the up axis
+       * @param polar {Number}     Angle in radians towards or away from the up axis
+       */
+      rotate: function rotate(azimuth, polar)
+      {
+         this._rotate[0] += azimuth;
+         this._rotate[1] += polar;
+         return this;
+      },
+      
+      /**
+       * Pan the camera and target across the view
+       * 
+       * @param x {Number}   Horizontal movement in screen pixels
+       * @param y {Number}   Vertical movement in screen pixels
+       */
+      pan: function pan(x, y)
+      {
+         this._pan[0] += x;
+         this._pan[1] += y;
+         return this;
+      },
+      
+      /**
+       * Zoom the camera towards or away from the target
+       * 
+       * @param scale {Number}   Scale of the distance to the target - less than 1 to zoom in
+       */
+      zoom: function zoom(scale)
+      {
+         if (scale > 0) this._zoom += Math.log(scale);
+         return this;
+      },
+      
+      /**
+       * The wheel is tracked if zooming is enabled and the context menu is suppressed so the right button can drag to pan
+       */
+      getMouseOptions: function getMouseOptions()
+      {
+         return {wheel: this.enableZoom, contextmenu: false};
+      },
+      
+      /**
+       * Apply the pointer movement and pending movement to the orbit and update the camera of the scene - movement
+       * continues over the following updates by the damping factor.
+       * 
+       * @param time {Number}   Time in seconds since the last update - optional, default is 1/60th of a second
+       * @return true if the camera is still moving
+       */
+      update: function update(time)
+      {
+         if (time === undefined) time = 1/60;
+         
+         // one pointer drags to rotate - the right button or a shift drag pans
+         var input = this.readMouse();
+         if (this.enabled && this.mouse !== null)
          {
-            if (intersections[i].distance >= intersections[j].distance)
+            if (input.movementX !== 0 || input.movementY !== 0)
             {
-               keepVal = intersections[j];
-               intersections[j] = intersections[i];
-               intersections[i] = keepVal;
+               if (this.mouse.button === 0 && !this.mouse.shiftKey)
+               {
+                  if (this.enableRotate) this.rotate(input.movementX * this.rotateSpeed, -input.movementY * this.rotateSpeed);
+               }
+               else if (this.enablePan) this.pan(input.movementX, input.movementY);
             }
+            
+            // two pointers pinch to zoom and drag to pan - and the mouse wheel zooms
+            if (this.enableZoom)
+            {
+               this.zoom(1 / input.scale);
+               this.zoom(Math.exp(input.wheel * this.zoomSpeed));
+            }
+            if (this.enablePan) this.pan(input.panX, input.panY);
+         }
+         
+         // the damping applies for each 1/60th of a second so the inertia is independent of the frame rate
+         var damping = 1 - Math.pow(1 - Math.max(Math.min(this.damping, 1.0), 0.01), time * 60),
+             camera = this.scene.camera;
+         
+         // rotation - the polar angle is kept away from the poles where the up axis is undefined
+         this.azimuth += this._rotate[0] * damping;
+         this.polar += this._rotate[1] * damping;
+         this.polar = Math.max(Math.max(this.minPolarAngle, 0.0001), Math.min(Math.min(this.maxPolarAngle, Math.PI - 0.0001), this.polar));
+         
+         // zoom
+         this.distance *= Math.exp(this._zoom * damping);
+         this.distance = Math.max(this.minDistance, Math.min(this.maxDistance, this.distance));
+         
+         // direction from the target to the camera
+         var sinPolar = Math.sin(this.polar),
+             offset = vec3.fromValues(sinPolar * Math.sin(this.azimuth), Math.cos(this.polar), sinPolar * Math.cos(this.azimuth));
+         
+         // pan along the screen axes - scaled to world units at the distance of the target by the projection of the
+         // last view, the same projection as Scene.project() - so a named camera or orthographic projection is used
+         var m = this.scene._perspectiveMatrix;
+         if ((this._pan[0] !== 0 || this._pan[1] !== 0) && m !== null)
+         {
+            // clip w at the distance over the clip y of a unit height - per pixel of the viewport height
+            var units = (Math.abs(m[11]) * this.distance + m[15]) / (Math.abs(m[5]) * this.scene.getViewport().height * 0.5);
+            units *= this.panSpeed * damping;
+            var right = vec3.normalize(vec3.create(), vec3.cross(vec3.create(), offset, vec3.fromValues(0, 1, 0))),
+                up = vec3.cross(vec3.create(), right, offset);
+            vec3.scaleAndAdd(this.target, this.target, right, -this._pan[0] * units);
+            vec3.scaleAndAdd(this.target, this.target, up, this._pan[1] * units);
          }
+         
+         // remaining movement for the following updates
+         this._rotate[0] *= (1 - damping);
+         this._rotate[1] *= (1 - damping);
+         this._pan[0] *= (1 - damping);
+         this._pan[1] *= (1 - damping);
+         this._zoom *= (1 - damping);
+         
+         camera.lookat.x = this.target[0];
+         camera.lookat.y = this.target[1];
+         camera.lookat.z = this.target[2];
+         camera.position.x = this.target[0] + offset[0] * this.distance;
+         camera.position.y = this.target[1] + offset[1] * this.distance;
+         camera.position.z = this.target[2] + offset[2] * this.distance;
+         camera.up.x = 0;
+         camera.up.y = 1;
+         camera.up.z = 0;
+         
+         var moving = Math.abs(this._rotate[0]) + Math.abs(this._rotate[1]) > 0.00001 ||
+                      Math.abs(this._pan[0]) + Math.abs(this._pan[1]) > 0.01 || Math.abs(this._zoom) > 0.00001;
+         if (!moving) this._rotate[0] = this._rotate[1] = this._pan[0] = this._pan[1] = this._zoom = 0;
+         return moving;
       }
-      
-      // return list of all intersections
-      return intersections;
-   }
+   });
+})();
 
+
+/**
+ * First person fly camera controller. Moves the camera of a scene with the WASD or arrow keys - Q and E move down
+ * and up, shift moves faster - and turns it with the mouse. Mouse look uses pointer lock when the browser supports
+ * it, the lock is requested by clicking the element - else the mouse is dragged to look around.
+ * 
+ *    var fly = new Phoria.View.FlyController(scene, {speed: 20}).attach(canvas);
+ * 
+ * @class Phoria.View.FlyController
+ * @augments Phoria.View.CameraController
+ */
+(function() {
+   "use strict";
+   
+   // key codes for each direction of movement
+   var KEYS = {
+      forward: [87, 38],   // W, up arrow
+      back: [83, 40],      // S, down arrow
+      left: [65, 37],      // A, left arrow
+      right: [68, 39],     // D, right arrow
+      up: [69],            // E
+      down: [81],          // Q
+      fast: [16]           // shift
+   };
+   
+   /**
+    * @param scene {Phoria.Scene}   Scene with the camera to control - the camera direction is read from the current camera
+    * @param desc {Object}          Optional settings to override the default properties - e.g. {speed: 20}
+    */
+   Phoria.View.FlyController = function(scene, desc)
+   {
+      Phoria.View.FlyController.superclass.constructor.call(this, scene);
+      
+      this.velocity = vec3.create();
+      if (desc) Phoria.Util.combine(this, desc);
+      this.sync();
+      
+      return this;
+   };
+   
+   Phoria.Util.extend(Phoria.View.FlyController, Phoria.View.CameraController, {
+      // {Number} maximum speed in world units per second
+      speed: 10,
+      
+      // {Number} speed multiplier while the fast key is held
+      fastMultiplier: 3,
+      
+      // {Number} acceleration and deceleration in world units per second per second
+      acceleration: 40,
+      
+      // {Number} rotation in radians for each pixel of mouse movement
+      lookSpeed: 0.003,
+      
+      // {boolean} true to request pointer lock for mouse look when the element is clicked
+      pointerLock: true,
+      
+      // {Number} pitch limit in radians above and below the horizon
+      maxPitch: 89 * Phoria.RADIANS,
+      
+      // current heading around the up axis and pitch above the horizon in radians
+      yaw: 0,
+      pitch: 0,
+      
+      // {vec3} current velocity in world units per second
+      velocity: null,
+      
+      /**
+       * Read the camera direction from the current camera position and lookat of the scene - call after
+       * modifying the camera directly. The camera up vector is set to the Y axis.
+       */
+      sync: function sync()
+      {
+         var camera = this.scene.camera,
+             dir = vec3.fromValues(camera.lookat.x - camera.position.x, camera.lookat.y - camera.position.y, camera.lookat.z - camera.position.z),
+             len = vec3.length(dir);
+         if (len > Phoria.EPSILON)
+         {
+            this.yaw = Math.atan2(dir[0], dir[2]);
+            this.pitch = Math.asin(Math.max(-1, Math.min(1, dir[1] / len)));
+         }
+         vec3.set(this.velocity, 0, 0, 0);
+         
+         return this;
+      },
+      
+      /**
+       * Turn the camera
+       * 
+       * @param yaw {Number}     Angle in radians around the up axis
+       * @param pitch {Number}   Angle in radians up or down
+       */
+      look: function look(yaw, pitch)
+      {
+         this.yaw += yaw;
+         this.pitch = Math.max(-this.maxPitch, Math.min(this.maxPitch, this.pitch + pitch));
+         return this;
+      },
+      
+      /**
+       * Return true if any of the keys for a movement are held
+       */
+      isKeyDown: function isKeyDown(move)
+      {
+         if (this.mouse === null || !this.enabled) return false;
+         for (var i=0; i<KEYS[move].length; i++)
+         {
+            if (this.mouse.keys[KEYS[move][i]]) return true;
+         }
+         return false;
+      },
+      
+      /**
+       * The movement keys are tracked and the pointer is locked for mouse look if requested
+       */
+      getMouseOptions: function getMouseOptions()
+      {
+         var keys = [];
+         for (var move in KEYS) keys = keys.concat(KEYS[move]);
+         return {pointerLock: this.pointerLock, keys: keys};
+      },
+      
+      /**
+       * Turn the camera by the mouse movement and move it by the current velocity and the keys held for a period
+       * of time.
+       * 
+       * @param time {Number}   Time in seconds since the last update - optional, default is 1/60th of a second
+       * @return true if the camera is still moving
+       */
+      update: function update(time)
+      {
+         if (time === undefined) time = 1/60;
+         var input = this.readMouse();
+         if (this.enabled) this.look(input.movementX * this.lookSpeed, -input.movementY * this.lookSpeed);
+         
+         // camera axes - the camera flies in the direction it is looking
+         var cosPitch = Math.cos(this.pitch),
+             forward = vec3.fromValues(Math.sin(this.yaw) * cosPitch, Math.sin(this.pitch), Math.cos(this.yaw) * cosPitch),
+             right = vec3.fromValues(Math.cos(this.yaw), 0, -Math.sin(this.yaw)),
+             up = vec3.fromValues(0, 1, 0);
+         
+         if (time > 0)
+         {
+            // direction of movement requested by the keys held
+            var dir = vec3.create();
+            if (this.isKeyDown("forward")) vec3.add(dir, dir, forward);
+            if (this.isKeyDown("back")) vec3.subtract(dir, dir, forward);
+            if (this.isKeyDown("right")) vec3.add(dir, dir, right);
+            if (this.isKeyDown("left")) vec3.subtract(dir, dir, right);
+            if (this.isKeyDown("up")) vec3.add(dir, dir, up);
+            if (this.isKeyDown("down")) vec3.subtract(dir, dir, up);
+            if (vec3.length(dir) > 0)
+            {
+               vec3.normalize(dir, dir);
+               vec3.scale(dir, dir, this.speed * (this.isKeyDown("fast") ? this.fastMultiplier : 1));
+            }
+            
+            // accelerate towards the requested velocity - by no more than the acceleration allows in the time
+            var change = vec3.subtract(vec3.create(), dir, this.velocity),
+                len = vec3.length(change),
+                max = this.acceleration * time;
+            if (len > max) vec3.scale(change, change, max / len);
+            vec3.add(this.velocity, this.velocity, change);
+         }
+         
+         var camera = this.scene.camera;
+         camera.position.x += this.velocity[0] * time;
+         camera.position.y += this.velocity[1] * time;
+         camera.position.z += this.velocity[2] * time;
+         camera.lookat.x = camera.position.x + forward[0];
+         camera.lookat.y = camera.position.y + forward[1];
+         camera.lookat.z = camera.position.z + forward[2];
+         camera.up.x = 0;
+         camera.up.y = 1;
+         camera.up.z = 0;
+         
+         return vec3.length(this.velocity) > 0;
+      }
+   });
 })();
@@ -0,0 +1,43 @@
+/**
+ * The built-in behaviours must animate by the time of the scene clock - in degrees per second whatever the frame rate.
+ *
+ *    node tests/behaviours.js
+ */
+var assert = require("assert"),
+    Phoria = require("../scripts/phoria-node.js");
+
+var fnClose = function(a, b, message) {
+   assert.ok(Math.abs(a - b) < 1e-9, message + ": " + a + " != " + b);
+};
+
+var scene = new Phoria.Scene();
+scene.clock.mode = "manual";
+var entity = Phoria.Entity.create({points: [{x:1, y:0, z:0}], style: {drawmode: "point"}});
+entity.onBeforeScene({behaviour: "spin-y", params: {angle: 90}});
+scene.graph.push(entity);
+scene.onCamera({behaviour: "orbit-y", params: {angle: 45}});
+
+// the same time passes in one frame or many
+scene.clock.advance(0.5);
+scene.modelView();
+fnClose(Math.atan2(-entity.matrix[2], entity.matrix[0]), 45 * Phoria.RADIANS, "spin for half a second");
+for (var i=0; i<30; i++)
+{
+   scene.clock.advance(1/60);
+   scene.modelView();
+}
+fnClose(Math.atan2(-entity.matrix[2], entity.matrix[0]), 90 * Phoria.RADIANS, "spin over 30 frames");
+
+// nothing moves while the clock is paused
+var matrix = entity.matrix.slice(0);
+scene.clock.pause();
+scene.modelView();
+assert.deepEqual(entity.matrix, matrix, "no spin while paused");
+scene.clock.resume();
+
+// the camera has orbited the lookat point for one second - the default camera is 10 units along -Z
+var camera = scene._cameraPosition;
+fnClose(Math.atan2(camera[0], -camera[2]), -45 * Phoria.RADIANS, "orbit for one second");
+fnClose(Math.sqrt(camera[0]*camera[0] + camera[2]*camera[2]), 10, "orbit keeps the distance");
+
+console.log("behaviours: ok");
@@ -0,0 +1,63 @@
+/**
+ * A BSP tree must split polygons that cross the plane of another - and sort the polygons back-to-front from any
+ * viewpoint, so a later polygon is never behind an earlier one.
+ *
+ *    node tests/bsp.js
+ */
+var assert = require("assert"),
+    Phoria = require("../scripts/phoria-node.js");
+
+// two interlocking squares crossing at the Y axis and a third square behind them
+var points = [
+   {x:-1, y:-1, z:0}, {x:1, y:-1, z:0}, {x:1, y:1, z:0}, {x:-1, y:1, z:0},
+   {x:0, y:-1, z:-1}, {x:0, y:-1, z:1}, {x:0, y:1, z:1}, {x:0, y:1, z:-1},
+   {x:-1, y:-1, z:3}, {x:1, y:-1, z:3}, {x:1, y:1, z:3}, {x:-1, y:1, z:3}
+];
+var polygons = [
+   {vertices: [0, 1, 2, 3], uvs: [0,0, 1,0, 1,1, 0,1]},
+   {vertices: [4, 5, 6, 7], uvs: [0,0, 1,0, 1,1, 0,1]},
+   {vertices: [8, 9, 10, 11], uvs: [0,0, 1,0, 1,1, 0,1]}
+];
+var bsp = Phoria.Util.generateBSPTree(polygons, points);
+
+// one square is split by the plane of the other - the new points are on the line they cross
+assert.strictEqual(polygons.length, 3, "the polygon list is not modified");
+assert.strictEqual(points.length, 12, "the points list is not modified");
+assert.strictEqual(bsp.polygons.length, 4, "one polygon is split");
+assert.strictEqual(bsp.points.length, 14, "two points are added for the split edges");
+for (var i=12; i<14; i++)
+{
+   assert.ok(Math.abs(bsp.points[i].x) < 1e-9 && Math.abs(bsp.points[i].z) < 1e-9, "split point on the crossing line");
+}
+bsp.polygons.forEach(function(poly) {
+   assert.strictEqual(poly.uvs.length, poly.vertices.length * 2, "texture coordinates for each vertex");
+});
+
+// signed distance of a point from the plane of a polygon
+var fnDistance = function(poly, p) {
+   var a = bsp.points[poly.vertices[0]], b = bsp.points[poly.vertices[1]], c = bsp.points[poly.vertices[2]],
+       n = vec3.cross(vec3.create(), [b.x - a.x, b.y - a.y, b.z - a.z], [c.x - a.x, c.y - a.y, c.z - a.z]);
+   vec3.normalize(n, n);
+   return n[0] * (p[0] - a.x) + n[1] * (p[1] - a.y) + n[2] * (p[2] - a.z);
+};
+
+// from each viewpoint a polygon drawn later must not be entirely on the far side of an earlier polygon
+var sorted = bsp.polygons.slice(0);
+[[0, 0, -10], [0, 0, 10], [10, 0, 0], [-10, 0, 0], [5, 5, -5], [-5, -5, 8], [0, 10, 0.5]].forEach(function(eye) {
+   Phoria.Util.sortPolygonsBSP(bsp.tree, sorted, eye);
+   assert.strictEqual(sorted.length, bsp.polygons.length, "all polygons are sorted");
+   for (var i=0; i<sorted.length; i++)
+   {
+      var side = fnDistance(sorted[i], eye) >= 0 ? 1 : -1;
+      for (var j=i+1; j<sorted.length; j++)
+      {
+         var behind = sorted[j].vertices.every(function(v) {
+            var p = bsp.points[v];
+            return side * fnDistance(sorted[i], [p.x, p.y, p.z]) < -1e-9;
+         });
+         assert.ok(!behind, "polygon " + j + " is drawn after polygon " + i + " it is behind from " + eye);
+      }
+   }
+});
+
+console.log("bsp: ok");
@@ -0,0 +1,61 @@
+/**
+ * Polygons and edges crossing the near plane must be clipped in clip space - so vertices behind the camera do not
+ * project through it to the wrong side of the screen.
+ *
+ *    node tests/clipping.js
+ */
+var assert = require("assert"),
+    Phoria = require("../scripts/phoria-node.js");
+
+var scene = new Phoria.Scene();
+scene.viewport.width = scene.viewport.height = 256;
+scene.camera.position = {x:0, y:0, z:-10};
+
+// two vertices ahead of the camera and one behind it
+var points = [{x:-2, y:-1, z:0}, {x:2, y:-1, z:0}, {x:0, y:-1, z:-20}];
+var triangle = Phoria.Entity.create({
+   points: points,
+   polygons: [{vertices: [0, 1, 2]}],
+   style: {doublesided: true}
+});
+var lines = Phoria.Entity.create({
+   points: points.concat([{x:0, y:1, z:-20}]),
+   edges: [{a: 0, b: 1}, {a: 1, b: 2}, {a: 2, b: 3}],
+   style: {drawmode: "wireframe"}
+});
+scene.graph.push(triangle, lines);
+scene.modelView();
+
+// the triangle becomes a quad with the two new vertices on the near plane
+var poly = triangle.polygons[0], near = scene.perspective.near;
+assert.ok(scene.renderlist.indexOf(triangle) !== -1, "the triangle is rendered");
+assert.strictEqual(poly._clipcoords.length, 4, "one vertex clipped to two");
+assert.deepEqual(poly._clipvertices, [0, 1, 2, 3]);
+var onNear = 0;
+poly._clipcoords.forEach(function(c) {
+   assert.ok(c[2] >= -c[3] - 1e-9, "clip vertex in front of the near plane");
+   assert.ok(c[1] > 128, "clip vertex below the centre of the screen - as the triangle is: " + c[1]);
+   if (Math.abs(c[3] - near) < 1e-9) onNear++;
+});
+assert.strictEqual(onNear, 2, "new vertices are on the near plane");
+
+// an edge crossing the near plane is shortened - an edge entirely behind the camera is dropped
+var edges = lines.edges;
+assert.strictEqual(edges[0]._clipcoords, null, "edge in front of the camera is not clipped");
+assert.strictEqual(edges[1]._clipcoords.length, 2, "crossing edge is clipped");
+assert.ok(Math.abs(edges[1]._clipcoords[1][3] - near) < 1e-9, "crossing edge ends on the near plane");
+assert.strictEqual(edges[2]._clipcoords.length, 0, "edge behind the camera is dropped");
+
+// the clipped values are reset once the primitives no longer cross the plane
+scene.camera.position = {x:0, y:0, z:-30};
+scene.modelView();
+assert.strictEqual(poly._clipcoords, null, "polygon clip reset");
+assert.strictEqual(edges[1]._clipcoords, null, "edge clip reset");
+
+// without clipping the vertices are projected as they are
+scene.camera.position = {x:0, y:0, z:-10};
+scene.clipmode = "none";
+scene.modelView();
+assert.strictEqual(poly._clipcoords, null, "no clipping");
+
+console.log("clipping: ok");
@@ -0,0 +1,78 @@
+/**
+ * The scene clock must give repeatable frame times in the fixed and manual modes - and consume the frame time in whole
+ * simulation steps with the remainder carried to the next frame.
+ *
+ *    node tests/clock.js
+ */
+var assert = require("assert"),
+    Phoria = require("../scripts/phoria-node.js");
+
+var fnClose = function(a, b, message) {
+   assert.ok(Math.abs(a - b) < 1e-9, message + ": " + a + " != " + b);
+};
+
+// realtime - measured from a time source in milliseconds, the first frame has no time
+var now = 1000;
+var clock = Phoria.Clock.create({source: function() { return now; }});
+assert.strictEqual(clock.tick(), 0, "first realtime frame");
+now += 40;
+fnClose(clock.tick(), 0.04, "realtime frame time");
+assert.strictEqual(clock.steps, 2, "whole steps of the frame");
+now += 10;
+clock.tick();
+assert.strictEqual(clock.steps, 1, "remainder carried to the next frame");
+
+// a long frame is limited to the maximum number of steps
+now += 1000;
+clock.tick();
+assert.strictEqual(clock.steps, clock.maxSteps, "steps are limited");
+
+// time passed while paused is not included
+clock.pause();
+now += 100;
+assert.strictEqual(clock.tick(), 0, "paused frame");
+assert.strictEqual(clock.steps, 0, "no steps while paused");
+clock.resume();
+now += 100;
+assert.strictEqual(clock.tick(), 0, "first frame after resume");
+now += 20;
+fnClose(clock.tick(), 0.02, "frame after resume");
+
+// fixed - every frame is a single step
+clock = Phoria.Clock.create({mode: "fixed", step: 1/30});
+for (var i=0; i<4; i++) clock.tick();
+fnClose(clock.delta, 1/30, "fixed frame time");
+fnClose(clock.time, 4/30, "fixed time");
+assert.strictEqual(clock.steps, 1, "one step per fixed frame");
+assert.strictEqual(clock.frame, 4, "frames counted");
+
+// manual - only the requested time passes
+clock = Phoria.Clock.create({mode: "manual"});
+assert.strictEqual(clock.tick(), 0, "no time requested");
+clock.advance(0.1);
+clock.advance();
+fnClose(clock.tick(), 0.1 + 1/60, "requested time is consumed by the next frame");
+assert.strictEqual(clock.tick(), 0, "time is only consumed once");
+clock.timescale = 0.5;
+clock.advance(0.1);
+fnClose(clock.tick(), 0.05, "frame time is scaled");
+clock.reset();
+assert.strictEqual(clock.time + clock.frame, 0, "reset");
+
+// the scene ticks its clock once per frame - the frame time is passed to the entity handlers
+var scene = new Phoria.Scene();
+scene.clock.mode = "manual";
+var times = [];
+var entity = Phoria.Entity.create({points: [{x:0, y:0, z:0}], style: {drawmode: "point"}});
+entity.onScene(function(scene, matLocal, time) {
+   times.push(time);
+});
+scene.graph.push(entity);
+scene.clock.advance(0.25);
+scene.modelView();
+scene.modelView();
+assert.deepEqual(times, [0.25, 0], "handlers are given the frame time");
+fnClose(scene.clock.time, 0.25, "scene time");
+assert.strictEqual(scene.clock.frame, 2, "one tick per frame");
+
+console.log("clock: ok");
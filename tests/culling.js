@@ -0,0 +1,52 @@
+/**
+ * Entities outside the view frustum must not be transformed each frame - unless they cast a shadow onto a visible
+ * receiver or their world coordinates are asked for - and points modified in place must update the culling bounds.
+ *
+ *    node tests/culling.js
+ */
+var assert = require("assert"),
+    Phoria = require("../scripts/phoria-node.js");
+
+var scene = new Phoria.Scene();
+scene.viewport.width = scene.viewport.height = 256;
+scene.camera.position = {x:0, y:5, z:-10};
+
+var plane = Phoria.Util.generateTesselatedPlane(1, 1, 0, 4);
+var floor = Phoria.Entity.create({
+   points: plane.points,
+   polygons: plane.polygons,
+   style: {receiveshadows: true, castshadows: false}
+});
+// a cube high above the view - casts a shadow onto the floor below
+var cube = Phoria.Util.generateUnitCube(1);
+var caster = Phoria.Entity.create({points: cube.points, polygons: cube.polygons});
+cube = Phoria.Util.generateUnitCube(1);
+caster.translateY(50);
+// a cube behind the camera that casts no shadows
+var hidden = Phoria.Entity.create({points: cube.points, polygons: cube.polygons, style: {castshadows: false}});
+hidden.translateZ(-50);
+scene.graph.push(floor, caster, hidden);
+scene.graph.push(Phoria.DistantLight.create({direction: {x:0, y:-1, z:0}, shadows: true}));
+
+scene.modelView();
+assert.deepEqual(scene.renderlist, [floor], "only the floor is in the view");
+assert.ok(floor._shadows.length !== 0 && floor._shadows[0].polygons.length !== 0, "the culled caster casts a shadow");
+assert.strictEqual(hidden._worldcoords, null, "a culled entity is not transformed");
+var coords = scene.getWorldCoords(hidden);
+assert.deepEqual(Array.prototype.slice.call(coords[0], 0, 3), [-1, 1, -51], "world coordinates on demand");
+
+// no receiver in the view - the caster is no longer transformed
+floor.style.receiveshadows = false;
+caster.translateX(1);
+scene.modelView();
+assert.strictEqual(caster._worldcoords[0][0], -1, "caster is not transformed without a visible receiver");
+assert.strictEqual(scene.getWorldCoords(caster)[0][0], 0, "caster world coordinates on demand");
+
+// points moved into the view in place are no longer culled
+var bounds = hidden.getLocalBounds();
+for (var i=0; i<hidden.points.length; i++) hidden.points[i].z += 50;
+assert.notStrictEqual(hidden.getLocalBounds(), bounds, "bounds are recalculated for points modified in place");
+scene.modelView();
+assert.ok(scene.renderlist.indexOf(hidden) !== -1, "entity with points moved into the view is rendered");
+
+console.log("culling: ok");
@@ -0,0 +1,55 @@
+/**
+ * The SoftwareRenderer depth buffer must keep the nearest pixels whatever order triangles are drawn in - and
+ * drawTriangle() must draw over the buffer without a depth test, before or after the first render.
+ *
+ *    node tests/depth-buffer.js
+ */
+var assert = require("assert"),
+    Phoria = require("../scripts/phoria-node.js");
+
+var framebuffer = new Phoria.Framebuffer(16, 16);
+var renderer = new Phoria.SoftwareRenderer(framebuffer);
+var RED = [255, 0, 0], GREEN = [0, 255, 0], BLUE = [0, 0, 255];
+
+var fnPixel = function(x, y) {
+   var i = (y * framebuffer.width + x) * 4;
+   return [framebuffer.data[i], framebuffer.data[i+1], framebuffer.data[i+2]];
+};
+// triangle covering the buffer at a depth - clip z and w as generated by the scene
+var fnTriangle = function(z, color) {
+   renderer.rasteriseTriangle([0, 0, z, 1], [0, 32, z, 1], [32, 0, z, 1], color, color, color, null);
+};
+
+// drawn before any render - covers the whole buffer
+renderer.drawTriangle(0, 0, 0, 32, 32, 0, 0, 0, 255);
+assert.deepEqual(fnPixel(4, 4), BLUE, "drawTriangle() before render");
+
+// the nearest triangle is kept - drawn far to near then near to far
+renderer.clearDepthRect(0, 0, 16, 16);
+fnTriangle(0.5, GREEN);
+fnTriangle(0.2, RED);
+assert.deepEqual(fnPixel(4, 4), RED, "near triangle drawn over far triangle");
+renderer.clearDepthRect(0, 0, 16, 16);
+fnTriangle(0.2, RED);
+fnTriangle(0.5, GREEN);
+assert.deepEqual(fnPixel(4, 4), RED, "far triangle hidden by near triangle");
+
+// the test can be reversed
+renderer.depthtest = "greater";
+fnTriangle(0.8, GREEN);
+assert.deepEqual(fnPixel(4, 4), GREEN, "greater depth test");
+renderer.depthtest = "less";
+
+// drawTriangle() ignores the depth buffer and leaves it unchanged
+renderer.drawTriangle(0, 0, 0, 32, 32, 0, 0, 0, 255);
+assert.deepEqual(fnPixel(4, 4), BLUE, "drawTriangle() has no depth test");
+assert.strictEqual(renderer.depthbuffer, true, "drawTriangle() leaves the depth buffer enabled");
+fnTriangle(0.5, RED);
+assert.deepEqual(fnPixel(4, 4), RED, "drawTriangle() does not write the depth");
+
+// without the depth buffer the last triangle drawn is kept
+renderer.depthbuffer = false;
+fnTriangle(0.9, GREEN);
+assert.deepEqual(fnPixel(4, 4), GREEN, "no depth buffer");
+
+console.log("depth-buffer: ok");
@@ -0,0 +1,136 @@
+/**
+ * The fly controller must move and turn the camera in the screen directions of the keys and mouse - and must leave
+ * keys typed into form fields to the page.
+ *
+ *    node tests/fly-controller.js
+ */
+var assert = require("assert"),
+    Phoria = require("../scripts/phoria-node.js"),
+    Target = require("./support/event-target.js");
+
+var win = new Target(),
+    doc = new Target({defaultView: win}),
+    el = new Target({id: "canvas", ownerDocument: doc, nodeName: "CANVAS"});
+
+var scene = new Phoria.Scene();
+scene.viewport.width = scene.viewport.height = 256;
+scene.camera.position = {x:0, y:0, z:-10};
+scene.clock.mode = "manual";
+// a single point at the origin - the screen position of the point follows the view of the camera
+var origin = Phoria.Entity.create({points: [{x:0, y:0, z:0}], style: {drawmode: "point"}});
+scene.graph.push(origin);
+var fly = new Phoria.View.FlyController(scene, {pointerLock: false}).attach(el);
+
+var fnFrames = function(n) {
+   for (var i=0; i<n; i++)
+   {
+      scene.clock.advance(1/60);
+      scene.modelView();
+   }
+};
+var fnOrigin = function() {
+   return Array.prototype.slice.call(origin._coords[0]);
+};
+
+// strafe right - the origin moves to the left of the screen
+scene.modelView();
+var before = fnOrigin();
+assert.ok(Math.abs(before[0] - 128) < 1e-6, "origin starts at the centre");
+assert.ok(doc.fire("keydown", {keyCode: 68, target: el}).defaultPrevented, "key is handled");
+fnFrames(30);
+doc.fire("keyup", {keyCode: 68, target: el});
+var after = fnOrigin();
+assert.ok(after[0] < before[0] - 10, "strafe right moves the origin left: " + before[0] + " -> " + after[0]);
+assert.ok(Math.abs(after[1] - before[1]) < 1e-6, "strafe does not move the origin vertically");
+
+// strafe left - back past the centre
+fnFrames(60);
+before = fnOrigin();
+doc.fire("keydown", {keyCode: 65, target: el});
+fnFrames(30);
+doc.fire("keyup", {keyCode: 65, target: el});
+fnFrames(60);
+assert.ok(fnOrigin()[0] > before[0] + 10, "strafe left moves the origin right");
+
+// look right - the view turns right so the point ahead moves left
+scene.camera.position = {x:0, y:0, z:-10};
+fly.sync();
+scene.modelView();
+before = fnOrigin();
+el.fire("mousedown", {clientX: 100, clientY: 100, button: 0});
+el.fire("mousemove", {clientX: 150, clientY: 100});
+el.fire("mouseup", {});
+fnFrames(1);
+after = fnOrigin();
+assert.ok(after[0] < before[0] - 10, "mouse right turns the view right: " + before[0] + " -> " + after[0]);
+
+// look up - the point ahead moves down the screen
+fly.look(-fly.yaw, 0);
+fnFrames(1);
+before = fnOrigin();
+el.fire("mousedown", {clientX: 100, clientY: 100, button: 0});
+el.fire("mousemove", {clientX: 100, clientY: 50});
+el.fire("mouseup", {});
+fnFrames(1);
+assert.ok(fnOrigin()[1] > before[1] + 10, "mouse up turns the view up");
+
+// the locked pointer turns the view by the movement of the events
+fly.detach();
+fly.pointerLock = true;
+el.requestPointerLock = function() { doc.pointerLockElement = el; };
+doc.exitPointerLock = function() { doc.pointerLockElement = null; };
+fly.attach(el);
+fly.look(-fly.yaw, -fly.pitch);
+fnFrames(1);
+before = fnOrigin();
+el.fire("mousedown", {clientX: 100, clientY: 100, button: 0});
+el.fire("mouseup", {});
+assert.strictEqual(doc.pointerLockElement, el, "pressing the element locks the pointer");
+el.fire("mousemove", {clientX: 100, clientY: 100, movementX: 50, movementY: 0});
+fnFrames(1);
+assert.ok(fnOrigin()[0] < before[0] - 10, "locked mouse right turns the view right");
+
+// keys typed into form fields and editable content are left to the page
+var position = JSON.stringify(scene.camera.position);
+[new Target({nodeName: "INPUT"}), new Target({nodeName: "TEXTAREA"}), new Target({nodeName: "SELECT"}),
+ new Target({nodeName: "DIV", isContentEditable: true})].forEach(function(target) {
+   var evt = doc.fire("keydown", {keyCode: 87, target: target});
+   assert.ok(!evt.defaultPrevented, target.nodeName + " keeps the key");
+   fnFrames(10);
+   doc.fire("keyup", {keyCode: 87, target: target});
+});
+assert.strictEqual(JSON.stringify(scene.camera.position), position, "camera does not move for form field keys");
+
+// keys belong to another element with the focus - once the pointer is no longer locked
+doc.exitPointerLock();
+doc.body = new Target({nodeName: "BODY"});
+doc.activeElement = new Target({nodeName: "BUTTON"});
+assert.ok(!doc.fire("keydown", {keyCode: 87, target: doc.activeElement}).defaultPrevented, "focused button keeps the key");
+fnFrames(10);
+doc.fire("keyup", {keyCode: 87, target: doc.activeElement});
+assert.strictEqual(JSON.stringify(scene.camera.position), position, "camera does not move while another element has the focus");
+doc.activeElement = doc.body;
+
+// a disabled controller ignores the keyboard and mouse
+fly.enabled = false;
+var yaw = fly.yaw;
+assert.ok(!doc.fire("keydown", {keyCode: 87, target: el}).defaultPrevented, "disabled controller keeps the key");
+el.fire("mousemove", {clientX: 100, clientY: 100, movementX: 50, movementY: 0});
+fnFrames(10);
+doc.fire("keyup", {keyCode: 87, target: el});
+assert.strictEqual(JSON.stringify(scene.camera.position), position, "disabled controller does not move");
+assert.strictEqual(fly.yaw, yaw, "disabled controller does not turn");
+
+// the time defaults to 1/60th of a second
+fly.enabled = true;
+vec3.set(fly.velocity, 6, 0, 0);
+var x = scene.camera.position.x;
+fly.update();
+assert.ok(scene.camera.position.x > x && scene.camera.position.x < x + 0.1, "update() moves the camera for 1/60th of a second");
+
+fly.detach();
+assert.strictEqual(scene.onCameraHandlers.length, 0, "detach removes the camera handler");
+assert.strictEqual(el.count() + doc.count() + win.count(), 0, "detach removes every event");
+assert.strictEqual(doc.pointerLockElement, null, "detach releases the pointer lock");
+
+console.log("fly-controller: ok");
@@ -0,0 +1,120 @@
+/**
+ * A scene rendered to a Phoria.Framebuffer by a manual clock must give the same pixels each time - and the PNG
+ * encoding of a frame must decode to the same pixels, including images stored without compression.
+ *
+ *    node tests/headless-render.js
+ */
+var assert = require("assert"),
+    zlib = require("zlib"),
+    Phoria = require("../scripts/phoria-node.js");
+
+// decode a PNG written by Phoria.PNG.encode() - 8 bit RGBA without interlacing
+var fnDecode = function(bytes) {
+   var buffer = Buffer.from(bytes), width = 0, height = 0, idat = [];
+   assert.deepEqual(Array.prototype.slice.call(bytes, 0, 8), [137, 80, 78, 71, 13, 10, 26, 10], "PNG signature");
+   for (var offset=8, length, type; offset<buffer.length; offset+=length + 12)
+   {
+      length = buffer.readUInt32BE(offset);
+      type = buffer.toString("ascii", offset + 4, offset + 8);
+      if (type === "IHDR")
+      {
+         width = buffer.readUInt32BE(offset + 8);
+         height = buffer.readUInt32BE(offset + 12);
+         assert.deepEqual(Array.prototype.slice.call(buffer, offset + 16, offset + 21), [8, 6, 0, 0, 0], "RGBA header");
+      }
+      else if (type === "IDAT") idat.push(buffer.slice(offset + 8, offset + 8 + length));
+   }
+
+   // undo the filter of each row
+   var raw = zlib.inflateSync(Buffer.concat(idat)),
+       stride = width * 4,
+       data = new Uint8Array(stride * height);
+   assert.strictEqual(raw.length, (stride + 1) * height, "decompressed length");
+   for (var y=0; y<height; y++)
+   {
+      var filter = raw[y * (stride + 1)], row = y * stride;
+      for (var x=0, v, a, b, c, p; x<stride; x++)
+      {
+         v = raw[y * (stride + 1) + 1 + x];
+         a = x >= 4 ? data[row + x - 4] : 0;
+         b = y > 0 ? data[row - stride + x] : 0;
+         c = (x >= 4 && y > 0) ? data[row - stride + x - 4] : 0;
+         switch (filter)
+         {
+            case 1: v += a; break;
+            case 2: v += b; break;
+            case 3: v += (a + b) >> 1; break;
+            case 4:
+               p = a + b - c;
+               v += (Math.abs(p - a) <= Math.abs(p - b) && Math.abs(p - a) <= Math.abs(p - c)) ? a :
+                    (Math.abs(p - b) <= Math.abs(p - c) ? b : c);
+               break;
+         }
+         data[row + x] = v & 0xff;
+      }
+   }
+   return {width: width, height: height, data: data};
+};
+
+// a spinning cube lit by a distant light - rendered after a number of fixed steps of a manual clock
+var fnRender = function(frames) {
+   var scene = new Phoria.Scene();
+   scene.viewport.width = scene.viewport.height = 64;
+   scene.camera.position = {x:0, y:2, z:-6};
+   scene.clock.mode = "manual";
+   var cube = Phoria.Util.generateUnitCube(1);
+   var entity = Phoria.Entity.create({
+      points: cube.points,
+      edges: cube.edges,
+      polygons: cube.polygons,
+      style: {color: [200, 100, 50]}
+   });
+   entity.onScene(function(scene) {
+      mat4.rotateY(this.matrix, this.matrix, scene.clock.delta);
+   });
+   scene.graph.push(entity);
+   scene.graph.push(Phoria.DistantLight.create({direction: {x:0, y:-0.5, z:1}}));
+
+   var framebuffer = new Phoria.Framebuffer(64, 64),
+       renderer = new Phoria.SoftwareRenderer(framebuffer);
+   for (var i=0; i<frames; i++)
+   {
+      scene.clock.advance(1/30);
+      scene.modelView();
+      renderer.render(scene);
+   }
+   return {framebuffer: framebuffer, renderer: renderer};
+};
+
+var first = fnRender(10), data = first.framebuffer.data;
+assert.strictEqual(data[3], 0, "background is transparent");
+var centre = (32 * 64 + 32) * 4;
+assert.strictEqual(data[centre + 3], 255, "the cube covers the centre");
+assert.ok(data[centre] > data[centre + 1] && data[centre + 1] > data[centre + 2], "the cube is lit in its colour");
+
+// the same frames give the same pixels
+var png = first.renderer.snapshot();
+assert.deepEqual(fnRender(10).renderer.snapshot(), png, "frames of a manual clock are repeatable");
+assert.notDeepEqual(fnRender(5).renderer.snapshot(), png, "the cube spins by the clock");
+
+// the encoding decodes to the rendered pixels
+var decoded = fnDecode(png);
+assert.strictEqual(decoded.width, 64);
+assert.strictEqual(decoded.height, 64);
+assert.deepEqual(decoded.data, new Uint8Array(data.buffer), "decoded pixels match the framebuffer");
+
+// noise does not compress - the image is written as stored blocks of up to 64K
+var noise = new Phoria.Framebuffer(160, 120), seed = 1;
+for (var i=0; i<noise.data.length; i++)
+{
+   // xorshift
+   seed ^= seed << 13;
+   seed ^= seed >>> 17;
+   seed ^= seed << 5;
+   noise.data[i] = seed >>> 24;
+}
+png = Phoria.PNG.encode(noise);
+assert.ok(png.length < noise.data.length * 1.01, "stored blocks are smaller than the Huffman encoding: " + png.length);
+assert.deepEqual(fnDecode(png).data, new Uint8Array(noise.data.buffer), "decoded noise matches");
+
+console.log("headless-render: ok");
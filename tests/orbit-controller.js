@@ -0,0 +1,129 @@
+/**
+ * The orbit controller must be driven by the mouse tracking of Phoria.View.addMouseEvents() - drag to rotate, right
+ * or shift drag to pan, wheel to zoom and the two pointer pinch and pan gestures - and must remove every event on detach.
+ *
+ *    node tests/orbit-controller.js
+ */
+var assert = require("assert"),
+    Phoria = require("../scripts/phoria-node.js"),
+    Target = require("./support/event-target.js");
+
+var win = new Target(),
+    doc = new Target({defaultView: win}),
+    el = new Target({id: "canvas", ownerDocument: doc, nodeName: "CANVAS"});
+
+var scene = new Phoria.Scene();
+scene.viewport.width = scene.viewport.height = 256;
+scene.camera.position = {x:0, y:0, z:-10};
+scene.clock.mode = "manual";
+var orbit = new Phoria.View.OrbitController(scene, {damping: 1}).attach(el);
+var mouse = Phoria.View.getMouse(el);
+assert.strictEqual(orbit.mouse, mouse, "controller uses the mouse tracking of the element");
+
+var fnClose = function(a, b, message) {
+   assert.ok(Math.abs(a - b) < 1e-9, message + ": " + a + " != " + b);
+};
+var fnFrame = function() {
+   scene.clock.advance(1/60);
+   scene.modelView();
+};
+var fnDrag = function(button, shiftKey, dx, dy) {
+   el.fire("mousedown", {clientX: 100, clientY: 100, button: button, shiftKey: shiftKey});
+   el.fire("mousemove", {clientX: 100 + dx, clientY: 100 + dy});
+   el.fire("mouseup", {});
+   fnFrame();
+};
+
+// drag to rotate
+var azimuth = orbit.azimuth, polar = orbit.polar;
+fnDrag(0, false, 20, -10);
+fnClose(orbit.azimuth, azimuth + 20 * orbit.rotateSpeed, "drag rotates the azimuth");
+fnClose(orbit.polar, polar + 10 * orbit.rotateSpeed, "drag rotates the polar angle");
+
+// no movement is applied again by the following frames
+azimuth = orbit.azimuth;
+fnFrame();
+assert.strictEqual(orbit.azimuth, azimuth, "movement is applied once");
+
+// the camera of the scene follows the orbit each frame
+var camera = scene._cameraPosition;
+fnClose(camera[0], orbit.target[0] + Math.sin(orbit.polar) * Math.sin(orbit.azimuth) * orbit.distance, "camera x follows the orbit");
+fnClose(camera[2], orbit.target[2] + Math.sin(orbit.polar) * Math.cos(orbit.azimuth) * orbit.distance, "camera z follows the orbit");
+
+// right drag and shift drag pan the target
+var target = Array.prototype.slice.call(orbit.target);
+fnDrag(2, false, 10, 0);
+assert.ok(vec3.distance(orbit.target, target) > 0.01, "right drag pans");
+assert.strictEqual(orbit.azimuth, azimuth, "right drag does not rotate");
+target = Array.prototype.slice.call(orbit.target);
+fnDrag(0, true, 0, 10);
+assert.ok(vec3.distance(orbit.target, target) > 0.01, "shift drag pans");
+assert.ok(el.fire("contextmenu", {}).defaultPrevented, "context menu is suppressed for right drag");
+
+// the wheel zooms
+var distance = orbit.distance;
+assert.ok(el.fire("wheel", {deltaY: 100, deltaMode: 0}).defaultPrevented, "wheel does not scroll the page");
+fnFrame();
+fnClose(orbit.distance, distance * Math.exp(100 * orbit.zoomSpeed), "wheel zooms out");
+
+// touches pinch to zoom and drag to pan
+distance = orbit.distance;
+target = Array.prototype.slice.call(orbit.target);
+el.fire("touchstart", {changedTouches: [{identifier: 1, clientX: 0, clientY: 0}, {identifier: 2, clientX: 100, clientY: 0}]});
+el.fire("touchmove", {changedTouches: [{identifier: 1, clientX: -40, clientY: 10}, {identifier: 2, clientX: 160, clientY: 10}]});
+el.fire("touchend", {changedTouches: [{identifier: 1}, {identifier: 2}]});
+fnFrame();
+fnClose(orbit.distance, distance / 2, "pinch apart zooms in");
+assert.ok(vec3.distance(orbit.target, target) > 0.01, "two pointer drag pans");
+
+// disabled movement is ignored
+orbit.enableRotate = false;
+azimuth = orbit.azimuth;
+fnDrag(0, false, 20, 0);
+assert.strictEqual(orbit.azimuth, azimuth, "rotation can be disabled");
+orbit.enableRotate = true;
+
+// a disabled controller leaves the events to the page
+orbit.enabled = false;
+distance = orbit.distance;
+assert.ok(!el.fire("mousedown", {clientX: 100, clientY: 100, button: 0}).defaultPrevented, "disabled controller keeps the press");
+assert.ok(!el.fire("wheel", {deltaY: 100, deltaMode: 0}).defaultPrevented, "disabled controller keeps the wheel");
+fnDrag(0, false, 20, 0);
+assert.strictEqual(orbit.azimuth, azimuth, "disabled controller does not rotate");
+assert.strictEqual(orbit.distance, distance, "disabled controller does not zoom");
+orbit.enabled = true;
+
+// inertia continues over the following frames by the frame time
+orbit.damping = 0.2;
+orbit.rotate(1, 0);
+azimuth = orbit.azimuth;
+scene.clock.advance(1/30);
+scene.modelView();
+fnClose(orbit.azimuth - azimuth, 1 - 0.8 * 0.8, "damping applies for each 1/60th of a second");
+scene.clock.pause();
+azimuth = orbit.azimuth;
+fnFrame();
+assert.strictEqual(orbit.azimuth, azimuth, "camera does not move while the clock is paused");
+scene.clock.resume();
+
+// a pan moves the target by the same number of pixels in the projection of the last view - here a named camera
+// following the scene camera with an orthographic projection
+var ortho = scene.addCamera("ortho", {perspective: {projection: "orthographic", height: 20}});
+ortho.position = scene.camera.position;
+ortho.lookat = scene.camera.lookat;
+ortho.up = scene.camera.up;
+orbit.damping = 1;
+fnFrame();
+scene.viewFrom("ortho");
+var origin = scene.project(vec3.fromValues(0, 0, 0));
+orbit.pan(10, 0);
+fnFrame();
+scene.viewFrom("ortho");
+fnClose(Math.abs(scene.project(vec3.fromValues(0, 0, 0))[0] - origin[0]), 10, "pan by pixels of the named view");
+
+orbit.detach();
+assert.strictEqual(el.count(), 0, "detach removes every event");
+assert.strictEqual(scene.onCameraHandlers.length, 0, "detach removes the camera handler");
+assert.ok(!Phoria.View.getMouse(el), "detach removes the mouse tracking");
+
+console.log("orbit-controller: ok");
@@ -0,0 +1,63 @@
+/**
+ * Picking through the bounding volume hierarchy of an entity must give the same results as testing every polygon -
+ * including after the camera moves and the scene has re-sorted the polygons of the entity.
+ * 
+ *    node tests/picking.js
+ */
+var assert = require("assert"),
+    Phoria = require("../scripts/phoria-node.js");
+
+var scene = new Phoria.Scene();
+scene.viewport.width = scene.viewport.height = 256;
+var sphere = Phoria.Util.generateSphere(2, 24, 32);
+var entity = Phoria.Entity.create({
+   points: sphere.points,
+   polygons: sphere.polygons,
+   pickbvh: true
+});
+scene.graph.push(entity);
+
+// pick a grid of rays with and without the hierarchy - in all and closest modes
+var fnCompare = function() {
+   var hits = 0;
+   for (var y=8; y<256; y+=16)
+   {
+      for (var x=8; x<256; x+=16)
+      {
+         var ray = Phoria.View.calculateClickPointAndVector(scene, x, y);
+         for (var closest=0; closest<2; closest++)
+         {
+            entity.pickbvh = true;
+            var bvh = Phoria.View.getIntersectedObjects(scene, ray.clickPoint, ray.clickVector, {closest: !!closest});
+            entity.pickbvh = false;
+            var brute = Phoria.View.getIntersectedObjects(scene, ray.clickPoint, ray.clickVector, {closest: !!closest});
+            assert.strictEqual(bvh.length, brute.length, "hits at " + x + "," + y);
+            for (var i=0; i<bvh.length; i++)
+            {
+               assert.strictEqual(bvh[i].polygonIndex, brute[i].polygonIndex);
+               assert.ok(Math.abs(bvh[i].distance - brute[i].distance) < 1e-9);
+            }
+            hits += bvh.length;
+         }
+      }
+   }
+   return hits;
+};
+
+scene.modelView();
+assert.ok(fnCompare() > 0, "rays hit the entity");
+
+// move the camera - the polygons are sorted into a new order but the hierarchy is still valid
+var tree = entity.getPickBVH();
+scene.camera.position = {x:6, y:4, z:7};
+scene.modelView();
+assert.ok(fnCompare() > 0, "rays hit the entity after the camera moves");
+assert.strictEqual(entity.getPickBVH(), tree, "hierarchy is not rebuilt for a camera move");
+
+// move the entity - the hierarchy is rebuilt from the new world coordinates
+entity.translateX(0.5);
+scene.modelView();
+assert.ok(fnCompare() > 0, "rays hit the entity after it moves");
+assert.notStrictEqual(entity.getPickBVH(), tree, "hierarchy is rebuilt when the entity moves");
+
+console.log("picking: ok");
@@ -0,0 +1,66 @@
+/**
+ * A scene must survive a round trip through Phoria.Scene.toJSON() and createFromJSON() - the same JSON, entity types
+ * and projected coordinates - without modifying the description it was loaded from.
+ *
+ *    node tests/scene-json.js
+ */
+var assert = require("assert"),
+    Phoria = require("../scripts/phoria-node.js");
+
+var scene = Phoria.Scene.create({
+   camera: {position: {x:2, y:3, z:-8}, lookat: {x:0, y:1, z:0}},
+   perspective: {fov: 45, near: 0.5, far: 100},
+   viewport: {width: 128, height: 96},
+   cameras: {top: {position: {x:0, y:10, z:0.1}, perspective: {projection: "orthographic", height: 12}}},
+   fog: {mode: "linear", start: 5, end: 20, color: [10, 20, 30]}
+});
+var cube = Phoria.Util.generateUnitCube(1);
+var entity = Phoria.Entity.create({
+   id: "cube",
+   points: cube.points,
+   edges: cube.edges,
+   polygons: cube.polygons,
+   style: {color: [200, 100, 50], shademode: "gouraud", creaseangle: 30}
+});
+entity.translateX(1).rotateY(0.5);
+entity.onBeforeScene(Phoria.Behaviours.create("spin-y", {angle: 10}));
+var child = Phoria.Entity.create({points: [{x:0, y:2, z:0}], style: {drawmode: "point"}});
+entity.children.push(child);
+scene.graph.push(entity);
+scene.graph.push(Phoria.DistantLight.create({direction: {x:0, y:-0.6, z:0.8}}));
+scene.graph.push(Phoria.PointLight.create({position: {x:0, y:5, z:0}, intensity: 0.5}));
+
+// the JSON of the loaded scene is the JSON it was loaded from
+var json = Phoria.Scene.toJSON(scene);
+var loaded = Phoria.Scene.createFromJSON(json);
+assert.strictEqual(Phoria.Scene.toJSON(loaded), json, "JSON round trip");
+
+// entity types and the graph structure are restored
+var restored = loaded.graph[0];
+assert.ok(restored instanceof Phoria.Entity, "entity type");
+assert.ok(loaded.graph[1] instanceof Phoria.DistantLight && loaded.graph[2] instanceof Phoria.PointLight, "light types");
+assert.strictEqual(restored.children.length, 1, "children");
+assert.strictEqual(restored.onBeforeSceneHandlers.length, 1, "behaviour handler");
+
+// the loaded scene projects the same coordinates - including the behaviour run each frame
+scene.modelView();
+loaded.modelView();
+assert.strictEqual(loaded.findEntity("cube"), restored, "entity ids");
+assert.deepEqual(restored._coords, entity._coords, "projected coordinates");
+assert.deepEqual(restored.children[0]._coords, child._coords, "projected child coordinates");
+scene.viewFrom("top");
+loaded.viewFrom("top");
+assert.deepEqual(restored._coords, entity._coords, "coordinates projected through the named camera");
+
+// an object description is not modified by loading - and can be loaded again
+var desc = JSON.parse(json);
+Phoria.Scene.createFromJSON(desc);
+assert.strictEqual(JSON.stringify(desc), json, "description is not modified");
+assert.strictEqual(Phoria.Scene.toJSON(Phoria.Scene.createFromJSON(desc)), json, "description loads again");
+
+// unknown formats are rejected
+assert.throws(function() { Phoria.Scene.createFromJSON("{}"); }, /does not contain/);
+desc.version = Phoria.Scene.JSON_VERSION + 1;
+assert.throws(function() { Phoria.Scene.createFromJSON(desc); }, /Unsupported/);
+
+console.log("scene-json: ok");
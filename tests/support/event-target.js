@@ -0,0 +1,34 @@
+/**
+ * Minimal event target standing in for a DOM element, document or window in the tests - events are fired directly
+ * at the listeners and record whether the default action was prevented.
+ */
+var EventTarget = function(props)
+{
+   this.listeners = {};
+   for (var p in props) this[p] = props[p];
+};
+
+EventTarget.prototype = {
+   addEventListener: function(type, fn) {
+      (this.listeners[type] = this.listeners[type] || []).push(fn);
+   },
+   removeEventListener: function(type, fn) {
+      var list = this.listeners[type] || [], i = list.indexOf(fn);
+      if (i !== -1) list.splice(i, 1);
+   },
+   fire: function(type, evt) {
+      evt = evt || {};
+      evt.defaultPrevented = false;
+      evt.preventDefault = function() { evt.defaultPrevented = true; };
+      (this.listeners[type] || []).slice().forEach(function(fn) { fn(evt); });
+      return evt;
+   },
+   // total number of listeners added
+   count: function() {
+      var n = 0;
+      for (var type in this.listeners) n += this.listeners[type].length;
+      return n;
+   }
+};
+
+module.exports = EventTarget;
@@ -0,0 +1,75 @@
+/**
+ * Ear clipping must split concave and n-sided polygons into triangles that exactly cover the polygon - keeping the
+ * winding order and the polygon properties.
+ *
+ *    node tests/triangulation.js
+ */
+var assert = require("assert"),
+    Phoria = require("../scripts/phoria-node.js");
+
+// signed area of a polygon in the XY plane
+var fnArea = function(vertices, points) {
+   for (var i=0, area=0, a, b; i<vertices.length; i++)
+   {
+      a = points[vertices[i]];
+      b = points[vertices[(i+1) % vertices.length]];
+      area += a.x * b.y - b.x * a.y;
+   }
+   return area * 0.5;
+};
+
+// an L shape and a star - concave polygons in the XY plane
+var shapes = {
+   L: [[0,0], [3,0], [3,1], [1,1], [1,3], [0,3]],
+   star: []
+};
+for (var i=0; i<10; i++)
+{
+   var r = (i & 1) ? 1 : 3, angle = i * Math.PI / 5;
+   shapes.star.push([Math.cos(angle) * r, Math.sin(angle) * r]);
+}
+
+for (var name in shapes)
+{
+   var points = shapes[name].map(function(p) { return {x: p[0], y: p[1], z: 0}; }),
+       vertices = points.map(function(p, i) { return i; });
+   assert.ok(!Phoria.Util.isConvexPolygon(vertices, points), name + " is concave");
+
+   var tris = Phoria.Util.triangulateIndices(vertices, points), area = 0;
+   assert.strictEqual(tris.length, (vertices.length - 2) * 3, name + " has n-2 triangles");
+   for (var t=0; t<tris.length; t+=3)
+   {
+      var triArea = fnArea([tris[t], tris[t+1], tris[t+2]], points);
+      assert.ok(triArea > 0, name + " triangle keeps the winding order");
+      area += triArea;
+   }
+   assert.ok(Math.abs(area - fnArea(vertices, points)) < 1e-9, name + " triangles cover the polygon");
+
+   // the same polygon in another plane - reversed so it faces the other way
+   var turned = points.map(function(p) { return {x: p.x, y: 2, z: p.y}; });
+   assert.strictEqual(Phoria.Util.triangulateIndices(vertices.slice(0).reverse(), turned).length, tris.length,
+      name + " in the XZ plane");
+}
+
+// triangles and convex quads are kept - other polygons are replaced by triangles with the same properties
+var points = shapes.L.map(function(p) { return {x: p[0], y: p[1], z: 0}; });
+var quad = {vertices: [0, 1, 2, 3]},
+    L = {vertices: [0, 1, 2, 3, 4, 5], color: [255, 0, 0], uvs: [0,0, 1,0, 1,0.3, 0.3,0.3, 0.3,1, 0,1]},
+    polygons = Phoria.Util.triangulate([quad, L], points);
+assert.strictEqual(polygons[0], quad, "convex quad is kept");
+assert.strictEqual(polygons.length, 5, "concave polygon is replaced by triangles");
+for (var i=1; i<polygons.length; i++)
+{
+   assert.deepEqual(polygons[i].color, [255, 0, 0], "triangle has the polygon colour");
+   for (var v=0; v<3; v++)
+   {
+      var index = L.vertices.indexOf(polygons[i].vertices[v]);
+      assert.deepEqual(polygons[i].uvs.slice(v*2, v*2+2), L.uvs.slice(index*2, index*2+2), "texture coordinates");
+   }
+}
+
+// entities can be triangulated on creation
+var entity = Phoria.Entity.create({points: points, polygons: [L], triangulate: true});
+assert.strictEqual(entity.polygons.length, 4, "entity triangulate option");
+
+console.log("triangulation: ok");